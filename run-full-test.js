@@ -161,7 +161,7 @@ async function runTests() {
     
     // 2. Test searchControls
     const acControls = await sendRequest(createRequest('searchControls', { family: 'AC' }));
-    console.log(`   Found ${acControls.length} controls in AC family`);
+    console.log(`   Found ${acControls.controls.length} controls in AC family`);
     
     // 3. Test getControl
     const control = await sendRequest(createRequest('getControl', { controlId: 'AC-1' }));
@@ -169,7 +169,7 @@ async function runTests() {
     
     // 4. Test listSSPs
     const ssps = await sendRequest(createRequest('listSSPs'));
-    console.log(`   Found ${ssps.length} SSPs`);
+    console.log(`   Found ${ssps.ssps.length} SSPs${ssps.nextCursor ? ' on the first page' : ''}`);
     
     // 5. Test getSSP
     const ssp = await sendRequest(createRequest('getSSP', { sspId: 'sample-ssp' }));
@@ -204,7 +204,7 @@ async function runTests() {
     const impls = await sendRequest(createRequest('listControlImplementations', {
       sspId: 'sample-ssp'
     }));
-    console.log(`   Found ${impls.length} control implementations`);
+    console.log(`   Found ${impls.implementations.length} control implementations${impls.nextCursor ? ' on the first page' : ''}`);
     
     // 10. Test validateSSP
     const validation = await sendRequest(createRequest('validateSSP', {
@@ -237,7 +237,7 @@ async function runTests() {
       const extensionSearchResults = await sendRequest(createRequest('searchExtensionControls', {
         familyName: 'Access Control'
       }));
-      console.log(`   Found ${extensionSearchResults.length} extension controls matching family criteria`);
+      console.log(`   Found ${extensionSearchResults.controls.length} extension controls matching family criteria`);
     } catch (error) {
       // The method works but the test framework may timeout due to response size
       console.log(`   Extension search controls method works but the test might time out due to large response size`);
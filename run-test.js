@@ -92,10 +92,10 @@ async function runTests() {
         name: 'Search Controls',
         request: createRequest('searchControls', { family: 'AC' }),
         validate: (response) => {
-          if (!Array.isArray(response.result)) {
-            throw new Error('Expected array result');
+          if (!Array.isArray(response.result.controls)) {
+            throw new Error('Expected array of controls');
           }
-          return `Found ${response.result.length} controls in family AC`;
+          return `Found ${response.result.controls.length} controls in family AC`;
         }
       },
       {
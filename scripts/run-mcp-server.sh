@@ -21,4 +21,4 @@ fi
 
 # Run the MCP server
 echo "Starting NIST 800-53 OSCAL MCP Server..."
-node src/index.js
\ No newline at end of file
+node src/index.js "$@"
\ No newline at end of file
@@ -97,11 +97,11 @@ async function runTests() {
         const response = await sendRequest(serverProcess, request);
         validateResponse(response);
         
-        if (!Array.isArray(response.result)) {
-          throw new Error('Expected array result');
+        if (!Array.isArray(response.result.controls)) {
+          throw new Error('Expected array of controls');
         }
         
-        console.log(`   ✅ Found ${response.result.length} controls in family AC`);
+        console.log(`   ✅ Found ${response.result.controls.length} controls in family AC`);
         return true;
       },
       
@@ -1,30 +1,61 @@
 /**
  * NIST 800-53 OSCAL Server
- * Main application entry point for stdio-based MCP server
+ * Main application entry point for the MCP server
+ *
+ * Usage: node src/index.js [--transport stdio|http] [--port <port>] [--host <host>]
+ *                           [--log-level <level>] [--log-file <path>] [--watch true|false]
+ * The same settings can be given as MCP_TRANSPORT, MCP_PORT, MCP_HOST, LOG_LEVEL, LOG_FILE and OSCAL_WATCH.
  */
 
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-import { setupMcpServer } from './services/mcpServer.js';
+import { configureLogger, createLogger } from './utils/logger.js';
 
-// Ensure all console logs go to stderr in this module
-const originalConsoleLog = console.log;
-console.log = function() {
-  console.error.apply(console, arguments);
-};
+const logger = createLogger('main');
 
-// Get directory paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+/**
+ * Read a command line option given as --name value or --name=value
+ */
+function getArg(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
 
 // Configuration
 const OSCAL_CONTENT_PATH = process.env.OSCAL_CONTENT_PATH || '../oscal-content';
+const TRANSPORT = getArg('transport') || process.env.MCP_TRANSPORT || 'stdio';
+const PORT = parseInt(getArg('port') || process.env.MCP_PORT || '3000', 10);
+const HOST = getArg('host') || process.env.MCP_HOST || '127.0.0.1';
+const WATCH = (getArg('watch') || process.env.OSCAL_WATCH || 'true') !== 'false';
+const ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Apply logging flags before the services load, since they start logging as soon as they are imported
+configureLogger({
+  level: getArg('log-level'),
+  file: getArg('log-file')
+});
+const { setupMcpServer } = await import('./services/mcpServer.js');
 
-console.log('Starting NIST 800-53 OSCAL MCP Server');
-console.log(`Using OSCAL content from: ${OSCAL_CONTENT_PATH}`);
+logger.info('Starting NIST 800-53 OSCAL MCP Server');
+logger.info(`Using OSCAL content from: ${OSCAL_CONTENT_PATH}`);
 
 // Initialize and start MCP server
-setupMcpServer();
+setupMcpServer({
+  transport: TRANSPORT,
+  port: PORT,
+  host: HOST,
+  allowedOrigins: ALLOWED_ORIGINS,
+  watch: WATCH
+});
 
 // Log startup
-console.error('MCP server started and ready for input');
\ No newline at end of file
+logger.info(`MCP server started (${TRANSPORT} transport)`);
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Content Reloader
+ * Reloads OSCAL content and extension data while the server runs, on request or when their files
+ * change, so that edited catalogs, profiles, mappings and extension controls are picked up without
+ * a restart
+ * 
+ * Each area is reloaded atomically: requests keep seeing the old content until the new content has
+ * loaded, and content that fails to load leaves the old in place.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { oscalService } from './oscalService.js';
+import { mappingService } from './mappingService.js';
+import * as extensionControlsService from './extensionControlsService.js';
+import { watchDirectories } from '../utils/directoryWatcher.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('contentReloader');
+
+// Get directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const OSCAL_CONTENT_PATH = process.env.OSCAL_CONTENT_PATH ||
+  path.resolve(__dirname, '../../oscal-content');
+const EXTENSIONS_PATH = path.resolve(__dirname, '../../oscal-content/extensions');
+
+// Areas of content that can be reloaded, named after their directories under oscal-content
+export const CONTENT_AREAS = ['catalogs', 'profiles', 'mappings', 'extensions'];
+
+const reloadListeners = new Set();
+
+// Reloads run one at a time, in the order they were asked for
+let lastReload = Promise.resolve();
+
+/**
+ * Work out which areas of content a set of changed files belongs to
+ * 
+ * @param {Array} changedPaths - Paths of the changed files and directories
+ * @returns {Array} - The areas (see CONTENT_AREAS), in CONTENT_AREAS order
+ */
+export function findChangedAreas(changedPaths) {
+  const areas = new Set();
+  for (const changedPath of changedPaths) {
+    const relativeToExtensions = path.relative(EXTENSIONS_PATH, changedPath);
+    if (!relativeToExtensions.startsWith('..') && !path.isAbsolute(relativeToExtensions)) {
+      areas.add('extensions');
+      continue;
+    }
+    const [directory] = path.relative(OSCAL_CONTENT_PATH, changedPath).split(path.sep);
+    if (CONTENT_AREAS.includes(directory)) {
+      areas.add(directory);
+    }
+  }
+  return CONTENT_AREAS.filter(area => areas.has(area));
+}
+
+/**
+ * Reload areas of content
+ */
+async function reloadAreas(areas) {
+  const result = { areas };
+  
+  // Profiles are resolved against the catalogs, so a catalog change reloads them too
+  if (areas.includes('catalogs') || areas.includes('profiles')) {
+    Object.assign(result, await oscalService.reloadContent({ catalogs: areas.includes('catalogs') }));
+  }
+  if (areas.includes('mappings')) {
+    result.mappedFrameworks = (await mappingService.reloadMappings()).size;
+  }
+  if (areas.includes('extensions')) {
+    result.extensionFiles = await extensionControlsService.reloadControls();
+  }
+  
+  result.reloadedAt = new Date().toISOString();
+  logger.info(`Reloaded ${areas.join(', ')}`);
+  for (const listener of reloadListeners) {
+    listener(result);
+  }
+  return result;
+}
+
+/**
+ * Reload OSCAL content and extension data
+ * 
+ * @param {Array} [areas] - The areas to reload (see CONTENT_AREAS), all of them by default
+ * @returns {Promise<Object>} - The areas reloaded and what is now loaded: catalogs (IDs), profiles,
+ *   mappedFrameworks and extensionFiles (counts), and reloadedAt
+ */
+export function reloadContent(areas = CONTENT_AREAS) {
+  const reload = lastReload.then(() => reloadAreas(CONTENT_AREAS.filter(area => areas.includes(area))));
+  lastReload = reload.catch(() => {});
+  return reload;
+}
+
+/**
+ * Add a listener called with the result of every reload (see reloadContent)
+ * 
+ * @param {Function} listener - The listener
+ * @returns {Function} - Removes the listener
+ */
+export function addReloadListener(listener) {
+  reloadListeners.add(listener);
+  return () => reloadListeners.delete(listener);
+}
+
+/**
+ * Watch the OSCAL content and extension directories, reloading the areas whose files change
+ * A reload that fails is logged, and the content loaded before stays in use.
+ * 
+ * @param {Object} [options] - Watch options (see directoryWatcher.watchDirectories)
+ * @returns {Object} - { close() } to stop watching
+ */
+export function watchContent(options = {}) {
+  logger.info(`Watching ${OSCAL_CONTENT_PATH} for changes`);
+  
+  return watchDirectories([OSCAL_CONTENT_PATH, EXTENSIONS_PATH], (changedPaths) => {
+    const areas = findChangedAreas(changedPaths);
+    if (areas.length === 0) {
+      return;
+    }
+    logger.info(`OSCAL content changed (${areas.join(', ')}), reloading`);
+    reloadContent(areas).catch(error => {
+      logger.error('Failed to reload changed OSCAL content; the content loaded before stays in use', error);
+    });
+  }, options);
+}
@@ -6,26 +6,91 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+import { paginate } from '../utils/pagination.js';
+import { normalize as normalizeControlId } from '../utils/controlUtils.js';
+import { detectFormat, parseOscalDocument } from '../utils/oscalFormats.js';
 
-// Ensure all console logs go to stderr in this module
-const originalConsoleLog = console.log;
-console.log = function() {
-  console.error.apply(console, arguments);
-};
+const logger = createLogger('extensionControlsService');
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const EXTENSIONS_PATH = path.join(PROJECT_ROOT, 'oscal-content/extensions');
 
 // Default to NIST 800-53 cloud-native controls
-const DEFAULT_CONTROLS_PATH = path.join(PROJECT_ROOT, 'oscal-content/extensions/nist-800-53/cloud-native/cloud-native-controls.json');
+const DEFAULT_CONTROLS_PATH = path.join(EXTENSIONS_PATH, 'nist-800-53/cloud-native/cloud-native-controls.json');
 
 // Simple in-memory cache
 const controlsCache = {};
 
 /**
- * Reads and parses the extension controls file
+ * Resolves the controls file for an extension framework
+ * 
+ * @param {string} [framework] - Framework directory under oscal-content/extensions (e.g., nist-800-53)
+ * @returns {string|undefined} - Path to the framework's controls file, or undefined for the default
+ */
+export function getFrameworkControlsPath(framework) {
+  if (!framework) {
+    return undefined;
+  }
+  
+  // Framework names are directory names, never paths
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(framework)) {
+    throw new Error(`Invalid framework: ${framework}`);
+  }
+  
+  return path.join(EXTENSIONS_PATH, `${framework}/cloud-native/cloud-native-controls.json`);
+}
+
+/**
+ * Lists the extension frameworks available under oscal-content/extensions
+ * 
+ * @returns {Promise<string[]>} - Sorted framework directory names (e.g., nist-800-53)
+ */
+export async function listFrameworks() {
+  try {
+    const entries = await fs.readdir(EXTENSIONS_PATH, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads and parses an extension controls file, without caching it
+ */
+async function readControls(controlsPath) {
+  logger.info(`Loading extension controls from: ${controlsPath}`);
+  
+  // Read the file
+  const fileContent = await fs.readFile(controlsPath, 'utf8');
+  
+  // Extension controls are not an OSCAL model, so there is no XML form to convert
+  if (detectFormat(fileContent, controlsPath) === 'xml') {
+    throw new Error(`${controlsPath} is XML; extension controls must be JSON or YAML`);
+  }
+  const controlData = parseOscalDocument(fileContent, controlsPath);
+  
+  logger.info(`Successfully loaded extension controls data`);
+  if (controlData.control_families && controlData.control_families.length) {
+    logger.info(`Loaded ${controlData.control_families.length} control families`);
+  }
+  if (controlData.sources && controlData.sources.length) {
+    logger.info(`With ${controlData.sources.length} sources`);
+  }
+  return controlData;
+}
+
+/**
+ * Reads and parses the extension controls file, which may be JSON or YAML
  * 
  * @param {string} [controlsPath] - Optional path to specific controls file
  * @returns {Promise<Object>} - The loaded controls data
@@ -33,36 +98,54 @@ const controlsCache = {};
 export async function loadControls(controlsPath = DEFAULT_CONTROLS_PATH) {
   // Check cache first
   if (controlsCache[controlsPath]) {
-    console.log(`Using cached controls data for ${controlsPath}`);
+    logger.debug(`Using cached controls data for ${controlsPath}`);
     return controlsCache[controlsPath];
   }
   
   try {
-    console.log(`Loading extension controls from: ${controlsPath}`);
-    
-    // Read the JSON file
-    const fileContent = await fs.readFile(controlsPath, 'utf8');
-    
-    // Parse JSON data
-    const controlData = JSON.parse(fileContent);
-    
-    console.log(`Successfully loaded extension controls data`);
-    if (controlData.control_families && controlData.control_families.length) {
-      console.log(`Loaded ${controlData.control_families.length} control families`);
-    }
-    if (controlData.sources && controlData.sources.length) {
-      console.log(`With ${controlData.sources.length} sources`);
-    }
+    const controlData = await readControls(controlsPath);
     
     // Cache the data
     controlsCache[controlsPath] = controlData;
     return controlData;
   } catch (error) {
-    console.error('Failed to load extension controls:', error);
+    logger.error('Failed to load extension controls', error);
     throw new Error(`Failed to load extension controls data: ${error.message}`);
   }
 }
 
+/**
+ * Reads the cached extension controls files again after they have changed
+ * The cache is replaced only once every file has been read, so a file that fails to parse
+ * leaves all of them as they were. Files that have been deleted are dropped from the cache.
+ * 
+ * @returns {Promise<number>} - The number of controls files now cached
+ */
+export async function reloadControls() {
+  const reloaded = {};
+  try {
+    for (const controlsPath of Object.keys(controlsCache)) {
+      try {
+        reloaded[controlsPath] = await readControls(controlsPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        logger.info(`Extension controls file removed: ${controlsPath}`);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to reload extension controls', error);
+    throw new Error(`Failed to reload extension controls data: ${error.message}`);
+  }
+  
+  for (const controlsPath of Object.keys(controlsCache)) {
+    delete controlsCache[controlsPath];
+  }
+  Object.assign(controlsCache, reloaded);
+  return Object.keys(reloaded).length;
+}
+
 /**
  * Gets a specific control by ID
  * 
@@ -75,7 +158,7 @@ export async function getControlById(controlId, controlsPath) {
   
   // Normalize input ID (uppercase with no spaces)
   const normalizedInputId = controlId.toUpperCase().replace(/\\s+/g, '');
-  console.log(`Looking for control with normalized ID: ${normalizedInputId}`);
+  logger.debug(`Looking for control with normalized ID: ${normalizedInputId}`);
   
   if (controlData.control_families) {
     for (const family of controlData.control_families) {
@@ -83,7 +166,7 @@ export async function getControlById(controlId, controlsPath) {
         // Normalize control ID for comparison
         const normalizedControlId = control.id.toUpperCase().replace(/\\s+/g, '');
         if (normalizedControlId === normalizedInputId) {
-          console.log(`Found control ${control.id}: ${control.title}`);
+          logger.debug(`Found control ${control.id}: ${control.title}`);
           return control;
         }
       }
@@ -94,13 +177,13 @@ export async function getControlById(controlId, controlsPath) {
       // Normalize control ID for comparison
       const normalizedControlId = control.id.toUpperCase().replace(/\\s+/g, '');
       if (normalizedControlId === normalizedInputId) {
-        console.log(`Found control ${control.id}: ${control.title}`);
+        logger.debug(`Found control ${control.id}: ${control.title}`);
         return control;
       }
     }
   }
   
-  console.log(`No control found with ID: ${normalizedInputId}`);
+  logger.debug(`No control found with ID: ${normalizedInputId}`);
   return null;
 }
 
@@ -141,7 +224,7 @@ export async function getControlsByFamily(familyName, controlsPath) {
   
   // Find the family by name (case-insensitive partial match)
   const normalizedFamilyName = familyName.toLowerCase();
-  console.log(`Looking for family matching: ${normalizedFamilyName}`);
+  logger.debug(`Looking for family matching: ${normalizedFamilyName}`);
   
   if (controlData.control_families) {
     const family = controlData.control_families.find(f => 
@@ -149,7 +232,7 @@ export async function getControlsByFamily(familyName, controlsPath) {
     );
     
     if (family) {
-      console.log(`Found family ${family.name} with ${family.controls.length} controls`);
+      logger.debug(`Found family ${family.name} with ${family.controls.length} controls`);
       return family.controls;
     }
   } else if (controlData.controls) {
@@ -158,14 +241,40 @@ export async function getControlsByFamily(familyName, controlsPath) {
       control.family && control.family.toLowerCase().includes(normalizedFamilyName)
     );
     
-    console.log(`Found ${controls.length} controls in family matching: ${normalizedFamilyName}`);
+    logger.debug(`Found ${controls.length} controls in family matching: ${normalizedFamilyName}`);
     return controls;
   }
   
-  console.log(`No family found matching: ${normalizedFamilyName}`);
+  logger.debug(`No family found matching: ${normalizedFamilyName}`);
   return [];
 }
 
+/**
+ * Gets the controls that give guidance for a catalog control, as listed in their related_controls
+ * 
+ * @param {string} controlId - The catalog control ID (e.g., AC-2 or AC.2)
+ * @param {string} [controlsPath] - Optional path to specific controls file
+ * @returns {Object[]} - Array of controls, each with its family name
+ */
+export async function getControlsByRelatedControl(controlId, controlsPath) {
+  const controlData = await loadControls(controlsPath);
+  const normalizedControlId = normalizeControlId(controlId);
+  
+  const relatesTo = (control) => (control.related_controls || []).some(relatedId => {
+    try {
+      return normalizeControlId(relatedId) === normalizedControlId;
+    } catch (error) {
+      logger.debug(`Ignoring invalid related control ${relatedId} of ${control.id}`);
+      return false;
+    }
+  });
+  
+  const controls = controlData.control_families
+    ? controlData.control_families.flatMap(family => family.controls.map(control => ({ ...control, family: family.name })))
+    : controlData.controls || [];
+  return controls.filter(relatesTo);
+}
+
 /**
  * Searches for controls by various criteria
  * 
@@ -174,9 +283,12 @@ export async function getControlsByFamily(familyName, controlsPath) {
  * @param {string} [criteria.familyName] - Family name to filter by
  * @param {string} [criteria.keywords] - Keywords to search in title and description
  * @param {string} [controlsPath] - Optional path to specific controls file
- * @returns {Object[]} - Array of matching controls
+ * @param {Object} [page] - Page options
+ * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+ * @param {number} [page.limit] - Maximum number of controls to return
+ * @returns {Object} - Matching controls ordered by ID, and the nextCursor when there are more
  */
-export async function searchControls(criteria, controlsPath) {
+export async function searchControls(criteria, controlsPath, page = {}) {
   const controlData = await loadControls(controlsPath);
   const results = [];
   
@@ -242,12 +354,17 @@ export async function searchControls(criteria, controlsPath) {
     }
   }
   
-  console.log(`Found ${results.length} controls matching criteria`);
-  return results;
+  logger.debug(`Found ${results.length} controls matching criteria`);
+  
+  // Extension IDs (e.g., CLOUD-10) are not catalog IDs, so order them with numeric collation
+  results.sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+  const scope = JSON.stringify([criteria.id, criteria.familyName, criteria.keywords, controlsPath]);
+  const { items, nextCursor } = paginate(results, page, scope);
+  return { controls: items, nextCursor };
 }
 
 
 // Initialize the module by pre-loading the default controls data
 loadControls().catch(error => {
-  console.error('Error initializing extension controls service:', error);
+  logger.error('Error initializing extension controls service', error);
 });
\ No newline at end of file
@@ -0,0 +1,390 @@
+/**
+ * HTTP Transport
+ * Serves an MCP server over Streamable HTTP, with the older HTTP+SSE transport as a fallback
+ * 
+ * Streamable HTTP (single endpoint, default /mcp):
+ * - POST sends JSON-RPC messages; responses come back as JSON or as an SSE stream
+ * - GET opens an SSE stream for server-initiated messages
+ * - DELETE ends the session
+ * 
+ * HTTP+SSE fallback:
+ * - GET /sse opens the stream and announces the message endpoint
+ * - POST /messages?sessionId=... sends JSON-RPC messages; responses arrive on the stream
+ */
+
+import http from 'http';
+import { ErrorCodes, createError } from '../utils/jsonRpc.js';
+import { createLogger } from '../utils/logger.js';
+
+const SESSION_HEADER = 'mcp-session-id';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const KEEP_ALIVE_INTERVAL_MS = 25 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const logger = createLogger('httpTransport');
+
+/**
+ * Send a JSON body with a status code
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a JSON-RPC error outside of any request, e.g. for a missing session
+ */
+function sendTransportError(res, statusCode, message) {
+  sendJson(res, statusCode, createError(null, ErrorCodes.SERVER_ERROR, message));
+}
+
+/**
+ * Open a Server-Sent Events stream on a response
+ * 
+ * @returns {Object} - Stream with write(message, event) and close() methods
+ */
+function openEventStream(res, headers = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    ...headers
+  });
+  
+  // Comment lines keep proxies from closing idle streams
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL_MS);
+  keepAlive.unref();
+  res.on('close', () => clearInterval(keepAlive));
+  
+  return {
+    write(message, event = 'message') {
+      const data = typeof message === 'string' ? message : JSON.stringify(message);
+      res.write(`event: ${event}\ndata: ${data}\n\n`);
+    },
+    close() {
+      clearInterval(keepAlive);
+      res.end();
+    }
+  };
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Inspect a raw body without failing on malformed JSON; the server reports parse errors itself
+ */
+function describeBody(text) {
+  let messages;
+  try {
+    const parsed = JSON.parse(text);
+    messages = Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    return { isInitialize: false, hasRequests: true };
+  }
+  
+  const entries = messages.filter(message => message && typeof message === 'object');
+  return {
+    isInitialize: entries.some(message => message.method === 'initialize'),
+    // Anything with an id and a method expects a response; notifications and client responses do not
+    hasRequests: entries.length === 0 || entries.some(message => 'id' in message && 'method' in message)
+  };
+}
+
+/**
+ * Check the Origin header to protect local servers from DNS rebinding
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) {
+    return true;
+  }
+  
+  if (allowedOrigins.length > 0) {
+    return allowedOrigins.includes(origin);
+  }
+  
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Start serving an MCP server over HTTP
+ * 
+ * @param {Object} server - The MCP server
+ * @param {Object} [options] - Transport options
+ * @param {number} [options.port] - Port to listen on (default 3000)
+ * @param {string} [options.host] - Host to bind (default 127.0.0.1)
+ * @param {string} [options.endpoint] - Streamable HTTP endpoint path (default /mcp)
+ * @param {string[]} [options.allowedOrigins] - Browser origins allowed to connect
+ * @param {number} [options.sessionTtlMs] - Idle time after which a session without open streams expires
+ * @returns {http.Server} - The listening HTTP server
+ */
+export function startHttpTransport(server, options = {}) {
+  const port = options.port ?? 3000;
+  const host = options.host || '127.0.0.1';
+  const endpoint = options.endpoint || '/mcp';
+  const allowedOrigins = options.allowedOrigins || [];
+  const sessionTtlMs = options.sessionTtlMs || DEFAULT_SESSION_TTL_MS;
+  
+  // Active sessions keyed by session ID
+  const sessions = new Map();
+  
+  /**
+   * Register a session and the streams that deliver its server-initiated messages
+   */
+  const addSession = (kind) => {
+    const entry = {
+      kind,
+      streams: new Set(),
+      lastActivity: Date.now()
+    };
+    entry.session = server.createSession((message) => {
+      if (entry.streams.size === 0) {
+        logger.debug(`Dropping server message for session ${entry.session.id}: no open stream`);
+        return;
+      }
+      for (const stream of entry.streams) {
+        stream.write(message);
+      }
+    });
+    sessions.set(entry.session.id, entry);
+    return entry;
+  };
+  
+  /**
+   * Close a session and any streams it still has open
+   */
+  const removeSession = (sessionId) => {
+    const entry = sessions.get(sessionId);
+    if (!entry) {
+      return;
+    }
+    sessions.delete(sessionId);
+    for (const stream of entry.streams) {
+      stream.close();
+    }
+    server.closeSession(entry.session);
+    logger.info(`Closed ${entry.kind} session ${sessionId}`);
+  };
+  
+  /**
+   * Look up the session named by the request header, answering 400/404 when it is missing or unknown
+   */
+  const requireSession = (req, res) => {
+    const sessionId = req.headers[SESSION_HEADER];
+    if (!sessionId) {
+      sendTransportError(res, 400, 'Bad Request: No valid session ID provided');
+      return null;
+    }
+    
+    const entry = sessions.get(sessionId);
+    if (!entry || entry.kind !== 'streamable') {
+      sendTransportError(res, 404, `Session not found: ${sessionId}`);
+      return null;
+    }
+    
+    entry.lastActivity = Date.now();
+    return entry;
+  };
+  
+  /**
+   * Streamable HTTP: client-to-server messages
+   */
+  const handleStreamablePost = async (req, res) => {
+    const body = await readBody(req);
+    const { isInitialize, hasRequests } = describeBody(body);
+    
+    let entry;
+    if (req.headers[SESSION_HEADER]) {
+      entry = requireSession(req, res);
+      if (!entry) return;
+    } else if (isInitialize) {
+      entry = addSession('streamable');
+      logger.info(`Opened streamable HTTP session ${entry.session.id}`);
+    } else {
+      sendTransportError(res, 400, 'Bad Request: No valid session ID provided');
+      return;
+    }
+    
+    const { session } = entry;
+    const sessionHeaders = { 'Mcp-Session-Id': session.id };
+    
+    // Notifications and responses are accepted without a body
+    if (!hasRequests) {
+      res.writeHead(202, sessionHeaders);
+      res.end();
+      await server.handleMessage(body, { session });
+      return;
+    }
+    
+    const accept = req.headers.accept || '';
+    if (accept.includes('text/event-stream')) {
+      // Stream request-scoped notifications ahead of the response
+      const stream = openEventStream(res, sessionHeaders);
+      const response = await server.handleMessage(body, { session, send: (message) => stream.write(message) });
+      if (response) {
+        stream.write(response);
+      }
+      stream.close();
+      return;
+    }
+    
+    const response = await server.handleMessage(body, { session });
+    if (!response) {
+      res.writeHead(202, sessionHeaders);
+      res.end();
+      return;
+    }
+    const statusCode = response.error?.code === ErrorCodes.PARSE_ERROR ? 400 : 200;
+    sendJson(res, statusCode, response, sessionHeaders);
+  };
+  
+  /**
+   * Streamable HTTP: open a stream for server-initiated messages
+   */
+  const handleStreamableGet = (req, res) => {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      res.writeHead(405, { Allow: 'POST, DELETE' });
+      res.end();
+      return;
+    }
+    
+    const entry = requireSession(req, res);
+    if (!entry) return;
+    
+    const stream = openEventStream(res, { 'Mcp-Session-Id': entry.session.id });
+    entry.streams.add(stream);
+    res.on('close', () => {
+      entry.streams.delete(stream);
+      entry.lastActivity = Date.now();
+    });
+  };
+  
+  /**
+   * Streamable HTTP: end a session
+   */
+  const handleStreamableDelete = (req, res) => {
+    const entry = requireSession(req, res);
+    if (!entry) return;
+    
+    removeSession(entry.session.id);
+    res.writeHead(200);
+    res.end();
+  };
+  
+  /**
+   * HTTP+SSE fallback: open the event stream and announce where to post messages
+   */
+  const handleLegacySse = (req, res) => {
+    const entry = addSession('sse');
+    const stream = openEventStream(res);
+    entry.streams.add(stream);
+    
+    stream.write(`/messages?sessionId=${encodeURIComponent(entry.session.id)}`, 'endpoint');
+    logger.info(`Opened SSE session ${entry.session.id}`);
+    
+    // The legacy transport ties the session to the stream
+    res.on('close', () => removeSession(entry.session.id));
+  };
+  
+  /**
+   * HTTP+SSE fallback: accept a message and answer on the event stream
+   */
+  const handleLegacyMessage = async (req, res, url) => {
+    const sessionId = url.searchParams.get('sessionId');
+    const entry = sessions.get(sessionId);
+    if (!entry || entry.kind !== 'sse') {
+      sendTransportError(res, 404, `Session not found: ${sessionId}`);
+      return;
+    }
+    
+    entry.lastActivity = Date.now();
+    const body = await readBody(req);
+    res.writeHead(202);
+    res.end('Accepted');
+    
+    const response = await server.handleMessage(body, { session: entry.session });
+    if (response) {
+      entry.session.send(response);
+    }
+  };
+  
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!isOriginAllowed(req.headers.origin, allowedOrigins)) {
+        sendTransportError(res, 403, `Origin not allowed: ${req.headers.origin}`);
+        return;
+      }
+      
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      
+      if (url.pathname === endpoint) {
+        if (req.method === 'POST') return await handleStreamablePost(req, res);
+        if (req.method === 'GET') return handleStreamableGet(req, res);
+        if (req.method === 'DELETE') return handleStreamableDelete(req, res);
+      } else if (url.pathname === '/sse' && req.method === 'GET') {
+        return handleLegacySse(req, res);
+      } else if (url.pathname === '/messages' && req.method === 'POST') {
+        return await handleLegacyMessage(req, res, url);
+      } else if (url.pathname === '/health' && req.method === 'GET') {
+        return sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+      } else {
+        return sendTransportError(res, 404, `Not found: ${url.pathname}`);
+      }
+      
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+      res.end();
+    } catch (error) {
+      logger.error('Error handling HTTP request', error);
+      if (!res.headersSent) {
+        sendTransportError(res, error.statusCode || 500, error.message);
+      } else {
+        res.end();
+      }
+    }
+  });
+  
+  // Expire idle sessions that no longer have a stream attached
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [sessionId, entry] of sessions) {
+      if (entry.streams.size === 0 && entry.lastActivity < cutoff) {
+        removeSession(sessionId);
+      }
+    }
+  }, SESSION_SWEEP_INTERVAL_MS);
+  sweep.unref();
+  httpServer.on('close', () => clearInterval(sweep));
+  
+  httpServer.listen(port, host, () => {
+    const address = httpServer.address();
+    logger.notice(`MCP server listening on http://${host}:${address.port}${endpoint} (SSE fallback at /sse) and ready for input`);
+  });
+  
+  return httpServer;
+}
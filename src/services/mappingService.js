@@ -0,0 +1,260 @@
+/**
+ * Mapping Service
+ * Relates NIST 800-53 controls to other frameworks (e.g., NIST CSF 2.0, ISO 27001, SP 800-171)
+ * through OSCAL mapping collections, and reports SSP coverage in those frameworks' terms
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { oscalService } from './oscalService.js';
+import { sspService } from './sspService.js';
+import { normalize as normalizeControlId } from '../utils/controlUtils.js';
+import { findOscalFiles } from '../utils/contentFiles.js';
+import { readOscalDocument, withoutExtension } from '../utils/oscalFormats.js';
+import { FULL_RELATIONSHIPS, parseMappingCollection } from '../utils/mappingParser.js';
+import { paginate } from '../utils/pagination.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('mappingService');
+
+// Get directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const OSCAL_CONTENT_PATH = process.env.OSCAL_CONTENT_PATH ||
+  path.resolve(__dirname, '../../oscal-content');
+const MAPPINGS_PATH = path.join(OSCAL_CONTENT_PATH, 'mappings');
+
+// How much an implementation status contributes to covering a requirement
+const STATUS_COVERAGE = {
+  IMPLEMENTED: 1,
+  ALTERNATIVE_IMPLEMENTATION: 1,
+  PARTIALLY_IMPLEMENTED: 0.5
+};
+
+export const COVERAGE_STATUSES = ['covered', 'partial', 'planned', 'gap'];
+
+/**
+ * Work out how well an SSP covers a requirement from the controls mapped to it
+ * - covered: a control that covers all of the requirement is implemented, or every mapped control is
+ * - partial: some mapped control is implemented, at least in part
+ * - planned: mapped controls are in the SSP, but none is implemented yet
+ * - gap: no mapped control is in the SSP
+ */
+function coverageStatus(controls) {
+  const inSsp = controls.filter(control => control.inSsp && control.implementationStatus !== 'NOT_APPLICABLE');
+  const coverage = (control) => STATUS_COVERAGE[control.implementationStatus] || 0;
+  
+  if (controls.some(control => FULL_RELATIONSHIPS.has(control.relationship) && coverage(control) === 1) ||
+      (controls.length > 0 && controls.every(control => coverage(control) === 1))) {
+    return 'covered';
+  }
+  if (inSsp.some(control => coverage(control) > 0)) {
+    return 'partial';
+  }
+  return inSsp.length > 0 ? 'planned' : 'gap';
+}
+
+/**
+ * The mapping service for relating controls to other frameworks
+ */
+export const mappingService = {
+  /**
+   * Load the mapping collections (JSON, XML or YAML) under oscal-content/mappings
+   * @returns {Promise<Map>} - Parsed collections (see mappingParser.parseMappingCollection) keyed by
+   *   framework ID, the file's path without its extension (e.g., csf-2.0)
+   */
+  async loadMappings() {
+    const mappings = new Map();
+    let files;
+    try {
+      files = await findOscalFiles(MAPPINGS_PATH);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warning(`No mappings directory at ${MAPPINGS_PATH}`);
+        return mappings;
+      }
+      throw error;
+    }
+    
+    for (const filePath of files) {
+      const id = withoutExtension(path.relative(MAPPINGS_PATH, filePath)).split(path.sep).join('/');
+      try {
+        mappings.set(id, { id, ...parseMappingCollection(await readOscalDocument(filePath)) });
+      } catch (error) {
+        logger.warning(`Skipping mapping collection ${filePath}`, { error: error.message });
+      }
+    }
+    logger.info(`Loaded ${mappings.size} mapping collections`);
+    return mappings;
+  },
+  
+  /**
+   * Get the mapping collections, loading them on first use
+   * @returns {Promise<Map>} - Collections keyed by framework ID
+   */
+  async getMappings() {
+    if (!this.mappingsPromise) {
+      this.mappingsPromise = this.loadMappings().catch(error => {
+        // Let the next caller retry
+        this.mappingsPromise = null;
+        throw error;
+      });
+    }
+    return this.mappingsPromise;
+  },
+  
+  /**
+   * Load the mapping collections again after they have changed, keeping the loaded ones until the
+   * new ones are read
+   * @returns {Promise<Map>} - Collections keyed by framework ID
+   */
+  async reloadMappings() {
+    const mappings = await this.loadMappings();
+    this.mappingsPromise = Promise.resolve(mappings);
+    return mappings;
+  },
+  
+  /**
+   * List the frameworks controls are mapped to
+   * @returns {Promise<Array>} - Frameworks ({ id, title, framework, version, description, requirementCount })
+   */
+  async listMappedFrameworks() {
+    const mappings = await this.getMappings();
+    return [...mappings.values()].map(({ id, title, framework, version, description, byTarget }) => ({
+      id,
+      title,
+      framework,
+      version,
+      description,
+      requirementCount: byTarget.size
+    }));
+  },
+  
+  /**
+   * Find a framework's mapping collection
+   * @param {string} framework - The framework ID (e.g., csf-2.0)
+   * @returns {Promise<Object>} - The collection
+   */
+  async findFramework(framework) {
+    const mappings = await this.getMappings();
+    const collection = mappings.get(framework);
+    if (!collection) {
+      throw new Error(`Framework not found: ${framework}. Available frameworks: ${[...mappings.keys()].join(', ') || 'none'}`);
+    }
+    return collection;
+  },
+  
+  /**
+   * Map a control to other frameworks, or a framework's requirement back to NIST 800-53 controls
+   * @param {string} controlId - A NIST 800-53 control ID (e.g., AC-2), or with a framework, one of its
+   *   requirements (e.g., PR.AA-01)
+   * @param {string} [framework] - Only this framework (e.g., csf-2.0)
+   * @returns {Promise<Object>} - For a control, the requirements of each framework it maps to; for a
+   *   requirement, the controls mapped to it, each with its relationship
+   */
+  async mapControl(controlId, framework) {
+    try {
+      const catalog = await oscalService.getCatalog();
+      const titleOf = (id) => catalog.controls.get(id)?.title;
+      
+      // A framework's own requirement IDs map back to the catalog
+      if (framework) {
+        const collection = await this.findFramework(framework);
+        const requirementId = [...collection.byTarget.keys()].find(id => id.toUpperCase() === controlId.toUpperCase());
+        if (requirementId) {
+          return {
+            framework: collection.id,
+            frameworkTitle: collection.framework,
+            requirementId,
+            controls: collection.byTarget.get(requirementId).map(({ source, relationship, remarks }) => ({
+              id: source,
+              title: titleOf(source),
+              relationship,
+              remarks
+            }))
+          };
+        }
+      }
+      
+      const normalizedId = normalizeControlId(controlId);
+      const collections = framework ? [await this.findFramework(framework)] : [...(await this.getMappings()).values()];
+      return {
+        controlId: normalizedId,
+        title: titleOf(normalizedId),
+        frameworks: collections
+          .filter(collection => collection.bySource.has(normalizedId))
+          .map(collection => ({
+            framework: collection.id,
+            frameworkTitle: collection.framework,
+            requirements: collection.bySource.get(normalizedId).map(({ target, relationship, remarks }) => ({
+              id: target,
+              relationship,
+              remarks
+            }))
+          }))
+      };
+    } catch (error) {
+      logger.error(`Failed to map control ${controlId}`, error);
+      throw error;
+    }
+  },
+  
+  /**
+   * Report an SSP's implementation coverage in terms of another framework's requirements
+   * @param {string} sspId - The SSP ID
+   * @param {string} framework - The framework ID (e.g., csf-2.0)
+   * @param {Object} [filter] - Filters
+   * @param {string} [filter.status] - Only requirements with this coverage (covered, partial, planned, gap)
+   * @param {Object} [page] - Page options
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [page.limit] - Maximum number of requirements to return
+   * @returns {Promise<Object>} - A summary of the coverage over all requirements and a page of
+   *   requirements, each with its coverage and the mapped controls' implementation status in the SSP
+   */
+  async coverageByFramework(sspId, framework, { status } = {}, page = {}) {
+    try {
+      const ssp = await sspService.getSSP(sspId);
+      const collection = await this.findFramework(framework);
+      
+      // Mappings relate the current catalog's controls
+      const { id: catalogId } = await oscalService.findCatalog();
+      if (ssp.systemCharacteristics.catalog && ssp.systemCharacteristics.catalog !== catalogId) {
+        throw new Error(`SSP ${sspId} uses catalog ${ssp.systemCharacteristics.catalog}; migrate it to ${catalogId} with migrateSSP first`);
+      }
+      
+      const implementations = new Map(ssp.controlImplementations.map(impl => [impl.controlId, impl]));
+      const requirements = [...collection.byTarget].map(([id, sources]) => {
+        const controls = sources.map(({ source, relationship }) => {
+          const implementation = implementations.get(source);
+          return implementation
+            ? { id: source, relationship, inSsp: true, implementationStatus: implementation.status }
+            : { id: source, relationship, inSsp: false };
+        });
+        return { id, coverage: coverageStatus(controls), controls };
+      });
+      
+      const summary = { total: requirements.length };
+      for (const coverage of COVERAGE_STATUSES) {
+        summary[coverage] = requirements.filter(requirement => requirement.coverage === coverage).length;
+      }
+      summary.coveragePercentage = requirements.length === 0 ? 0 :
+        parseFloat((((summary.covered + summary.partial * 0.5) / requirements.length) * 100).toFixed(2));
+      
+      const filtered = status ? requirements.filter(requirement => requirement.coverage === status) : requirements;
+      const { items, nextCursor } = paginate(filtered, page, JSON.stringify([sspId, framework, status]));
+      return {
+        sspId,
+        framework: collection.id,
+        frameworkTitle: collection.framework,
+        summary,
+        requirements: items,
+        nextCursor
+      };
+    } catch (error) {
+      logger.error(`Failed to report coverage of ${sspId} by ${framework}`, error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * MCP Completions
+ * Suggests values for prompt arguments and resource template variables through completion/complete
+ */
+
+import { oscalService } from './oscalService.js';
+import { sspService } from './sspService.js';
+import * as extensionControlsService from './extensionControlsService.js';
+import { listPrompts } from './mcpPrompts.js';
+import { listResourceTemplates } from './mcpResources.js';
+import { compareControlIds, parse as parseControlId } from '../utils/controlUtils.js';
+import { ErrorCodes, JsonRpcError } from '../utils/jsonRpc.js';
+
+// MCP caps a completion response at 100 values
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Spell a control ID in every format controlUtils.parse accepts, most common first
+ * 
+ * @param {string} controlId - A catalog control ID (e.g., ac-2.1)
+ * @returns {Array} - The ID as AC-2(1), AC.2.1, AC-2.1, and for base controls AC 2 and AC2
+ */
+function controlIdFormats(controlId) {
+  const parsed = parseControlId(controlId);
+  const formats = [parsed.mcp, parsed.internal];
+  
+  if (parsed.enhancement !== undefined) {
+    formats.push(`${parsed.family}-${parsed.number}.${parsed.enhancement}`);
+  } else {
+    formats.push(`${parsed.family} ${parsed.number}`, `${parsed.family}${parsed.number}`);
+  }
+  return formats;
+}
+
+/**
+ * Complete a control ID from the catalog, answering in the format the user started typing
+ */
+async function completeControlId(value) {
+  const prefix = value.toUpperCase();
+  // Keep lowercase input lowercase, e.g. ac-2.1 as used in OSCAL documents
+  const lowercase = /[a-z]/.test(value) && value === value.toLowerCase();
+  
+  const controlIds = [...await oscalService.listControlIds()]
+    .filter(controlId => {
+      try {
+        parseControlId(controlId);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })
+    .sort(compareControlIds);
+  
+  const values = [];
+  for (const controlId of controlIds) {
+    const match = controlIdFormats(controlId).find(format => format.startsWith(prefix));
+    if (match) {
+      values.push(lowercase ? match.toLowerCase() : match);
+    }
+  }
+  return values;
+}
+
+/**
+ * Complete an SSP ID from the saved SSPs
+ */
+async function completeSspId(value) {
+  return filterByPrefix(await sspService.listSSPIds(), value);
+}
+
+/**
+ * Complete an extension framework from the oscal-content/extensions directory
+ */
+async function completeFramework(value) {
+  return filterByPrefix(await extensionControlsService.listFrameworks(), value);
+}
+
+/**
+ * Complete an extension control ID within the framework already chosen, if any
+ */
+async function completeExtensionControlId(value, { framework } = {}) {
+  let controlsPath;
+  try {
+    controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
+  } catch (error) {
+    return [];
+  }
+  
+  const { control_families: families = [], controls = [] } = await extensionControlsService.loadControls(controlsPath);
+  const controlIds = [...families.flatMap(family => family.controls), ...controls].map(control => control.id);
+  return filterByPrefix(controlIds, value);
+}
+
+/**
+ * Keep the candidates starting with a value, ignoring case
+ */
+function filterByPrefix(candidates, value) {
+  const prefix = value.toLowerCase();
+  return candidates.filter(candidate => candidate.toLowerCase().startsWith(prefix));
+}
+
+/**
+ * Completers keyed by argument name
+ */
+const completers = {
+  controlId: completeControlId,
+  sspId: completeSspId,
+  framework: completeFramework
+};
+
+/**
+ * Find the completer for an argument of a prompt or resource template
+ * 
+ * @param {Object} ref - The completion reference ({ type: 'ref/prompt', name } or { type: 'ref/resource', uri })
+ * @param {string} argumentName - The argument being completed
+ * @returns {Function|undefined} - The completer, or undefined when the argument has no suggestions
+ */
+function findCompleter(ref, argumentName) {
+  if (ref?.type === 'ref/prompt') {
+    const prompt = listPrompts().find(candidate => candidate.name === ref.name);
+    if (!prompt) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Prompt not found: ${ref.name}`);
+    }
+    return prompt.arguments.some(arg => arg.name === argumentName) ? completers[argumentName] : undefined;
+  }
+  
+  if (ref?.type === 'ref/resource') {
+    const template = listResourceTemplates().find(candidate => candidate.uriTemplate === ref.uri);
+    if (!template) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Resource template not found: ${ref.uri}`);
+    }
+    if (!template.uriTemplate.includes(`{${argumentName}}`)) {
+      return undefined;
+    }
+    // Extension templates take extension control IDs (e.g., CLOUD-1), not catalog IDs
+    if (template.name === 'extension-control' && argumentName === 'controlId') {
+      return completeExtensionControlId;
+    }
+    return completers[argumentName];
+  }
+  
+  throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unsupported completion reference type: ${ref?.type}`);
+}
+
+/**
+ * Suggest values for a prompt argument or resource template variable
+ * 
+ * @param {Object} ref - The prompt or resource template being filled in
+ * @param {Object} argument - The argument being completed ({ name, value })
+ * @param {Object} [context] - Completion context
+ * @param {Object} [context.arguments] - Values of arguments the user already filled in
+ * @returns {Promise<Object>} - The MCP completion ({ values, total, hasMore })
+ */
+export async function complete(ref, argument, context) {
+  if (!argument || typeof argument.name !== 'string') {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Completion argument name is required');
+  }
+  
+  const completer = findCompleter(ref, argument.name);
+  const values = completer ? await completer(String(argument.value ?? ''), context?.arguments) : [];
+  
+  return {
+    values: values.slice(0, MAX_COMPLETION_VALUES),
+    total: values.length,
+    hasMore: values.length > MAX_COMPLETION_VALUES
+  };
+}
+
+/**
+ * Register the MCP completions capability and handler on a server
+ * 
+ * @param {Object} server - The MCP server
+ */
+export function registerCompletions(server) {
+  server.addCapability('completions');
+  
+  server.addProtocolHandler('completion/complete', async ({ ref, argument, context }) => ({
+    completion: await complete(ref, argument, context)
+  }));
+}
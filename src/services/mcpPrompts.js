@@ -0,0 +1,248 @@
+/**
+ * MCP Prompts
+ * Parameterized prompt templates for common compliance authoring workflows
+ */
+
+import { oscalService } from './oscalService.js';
+import { isValidSSPId, sspService } from './sspService.js';
+import { readResource } from './mcpResources.js';
+import { normalize as normalizeControlId } from '../utils/controlUtils.js';
+import { ErrorCodes, JsonRpcError } from '../utils/jsonRpc.js';
+
+/**
+ * Prompt definitions keyed by prompt name
+ */
+const prompts = {
+  'draft-implementation-statement': {
+    title: 'Draft Implementation Statement',
+    description: 'Draft an implementation statement for a control in an SSP',
+    arguments: [
+      { name: 'controlId', description: 'NIST 800-53 control ID (e.g., AC-2)', required: true },
+      { name: 'sspId', description: 'ID of the System Security Plan', required: true }
+    ],
+    build: buildDraftImplementationStatement
+  },
+  'explain-validation-gaps': {
+    title: 'Explain Validation Gaps',
+    description: 'Explain the gaps reported by validateSSP for an SSP and how to close them',
+    arguments: [
+      { name: 'sspId', description: 'ID of the System Security Plan', required: true }
+    ],
+    build: buildExplainValidationGaps
+  },
+  'summarize-fedramp-requirements': {
+    title: 'Summarize FedRAMP Requirements',
+    description: 'Summarize the FedRAMP requirements for a control',
+    arguments: [
+      { name: 'controlId', description: 'NIST 800-53 control ID (e.g., AC-2)', required: true },
+      { name: 'securityLevel', description: 'FedRAMP baseline to focus on (LOW, MODERATE, HIGH)', required: false }
+    ],
+    build: buildSummarizeFedrampRequirements
+  }
+};
+
+/**
+ * Create a user message with plain text content
+ */
+function textMessage(text) {
+  return {
+    role: 'user',
+    content: { type: 'text', text }
+  };
+}
+
+/**
+ * Create a user message embedding a resource read from the server
+ */
+async function resourceMessage(uri) {
+  const [resource] = await readResource(uri);
+  return {
+    role: 'user',
+    content: { type: 'resource', resource }
+  };
+}
+
+/**
+ * Create a user message embedding JSON content as a resource
+ */
+function jsonResourceMessage(uri, data) {
+  return {
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }
+    }
+  };
+}
+
+/**
+ * Name an SSP with its impact level, which SSPs created from profiles without one do not have
+ */
+function describeSSP(ssp) {
+  const level = ssp.systemCharacteristics.securityImpactLevel;
+  return `"${ssp.metadata.title}"${level ? ` (${level} impact)` : ''}`;
+}
+
+/**
+ * Reject an SSP ID argument that cannot name an SSP, as invalid params
+ */
+function checkSSPId(sspId) {
+  if (!isValidSSPId(sspId)) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Invalid SSP ID: ${sspId}`);
+  }
+}
+
+/**
+ * Build the draft implementation statement prompt
+ */
+async function buildDraftImplementationStatement({ controlId, sspId }) {
+  checkSSPId(sspId);
+  const normalizedId = normalizeControlId(controlId);
+  const ssp = await sspService.getSSP(sspId);
+  const controlUri = `oscal://catalog/nist-800-53/controls/${encodeURIComponent(normalizedId)}`;
+  const implementationUri = `oscal://ssp/${encodeURIComponent(sspId)}/implementations/${encodeURIComponent(normalizedId)}`;
+  
+  const hasImplementation = ssp.controlImplementations.some(impl => impl.controlId === normalizedId);
+  
+  // The control's prose with parameter values from the SSP and its profile, as the tools render it
+  const control = await sspService.renderControl(sspId, normalizedId, { includeEnhancements: true });
+  
+  const messages = [
+    textMessage(
+      `Draft an implementation statement for control ${normalizedId} in the System Security Plan ` +
+      `${describeSSP(ssp)}.\n\n` +
+      `System description: ${ssp.systemCharacteristics.description || 'not provided'}\n\n` +
+      'Address every part of the control statement, name the responsible roles, and describe how the ' +
+      'system meets each requirement. Do not invent organization-defined values; mark them as ' +
+      '[Assignment: ...] for the system owner to fill in.'
+    ),
+    jsonResourceMessage(controlUri, control)
+  ];
+  
+  if (hasImplementation) {
+    messages.push(textMessage('The current implementation record for this control is below. Improve on it rather than starting over.'));
+    messages.push(await resourceMessage(implementationUri));
+  } else {
+    messages.push(textMessage(`The SSP has no implementation record for ${normalizedId} yet.`));
+  }
+  
+  return {
+    description: `Draft implementation statement for ${normalizedId} in ${sspId}`,
+    messages
+  };
+}
+
+/**
+ * Build the validation gap explanation prompt
+ */
+async function buildExplainValidationGaps({ sspId }) {
+  checkSSPId(sspId);
+  const ssp = await sspService.getSSP(sspId);
+  const validation = await sspService.validateSSP(sspId);
+  
+  const incomplete = ssp.controlImplementations.filter(
+    impl => impl.status === 'PLANNED' || impl.status === 'PARTIALLY_IMPLEMENTED'
+  );
+  
+  return {
+    description: `Explain validation gaps for ${sspId}`,
+    messages: [
+      textMessage(
+        `Explain the validation results for the System Security Plan ${describeSSP(ssp)}. For each gap, ` +
+        'say why it matters and what the system owner needs to do to close it. Group the work by ' +
+        'control family and put the highest-impact gaps first.'
+      ),
+      textMessage(`validateSSP results:\n${JSON.stringify(validation, null, 2)}`),
+      textMessage(
+        `Controls that are planned or only partially implemented (${incomplete.length}):\n` +
+        JSON.stringify(incomplete, null, 2)
+      )
+    ]
+  };
+}
+
+/**
+ * Build the FedRAMP requirements summary prompt
+ */
+async function buildSummarizeFedrampRequirements({ controlId, securityLevel }) {
+  const normalizedId = normalizeControlId(controlId);
+  const controlUri = `oscal://catalog/nist-800-53/controls/${encodeURIComponent(normalizedId)}`;
+  
+  // Report which FedRAMP baselines select this control
+  const levels = securityLevel ? [securityLevel.toUpperCase()] : Object.keys(oscalService.fedrampProfiles || {});
+  const membership = {};
+  for (const level of levels) {
+    try {
+      const baselineControls = await oscalService.getBaselineControls(level, 'fedramp');
+      membership[level] = baselineControls.some(id => normalizeControlId(id) === normalizedId);
+    } catch (error) {
+      membership[level] = `unavailable (${error.message})`;
+    }
+  }
+  
+  return {
+    description: `Summarize FedRAMP requirements for ${normalizedId}`,
+    messages: [
+      textMessage(
+        `Summarize the FedRAMP requirements for control ${normalizedId}` +
+        `${securityLevel ? ` at the ${securityLevel.toUpperCase()} baseline` : ''}. ` +
+        'Explain what the control requires, which FedRAMP baselines include it, and what a cloud ' +
+        'service provider must document in its SSP.'
+      ),
+      await resourceMessage(controlUri),
+      textMessage(`FedRAMP baseline membership for ${normalizedId}:\n${JSON.stringify(membership, null, 2)}`)
+    ]
+  };
+}
+
+/**
+ * List the available prompts
+ * 
+ * @returns {Array} - Array of MCP prompt descriptors
+ */
+export function listPrompts() {
+  return Object.entries(prompts).map(([name, prompt]) => ({
+    name,
+    title: prompt.title,
+    description: prompt.description,
+    arguments: prompt.arguments
+  }));
+}
+
+/**
+ * Render a prompt with its arguments
+ * 
+ * @param {string} name - The prompt name
+ * @param {Object} args - The prompt arguments
+ * @returns {Promise<Object>} - The prompt description and messages
+ */
+export async function getPrompt(name, args = {}) {
+  const prompt = prompts[name];
+  if (!prompt) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Prompt not found: ${name}`);
+  }
+  
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Missing required arguments for prompt ${name}: ${missing.join(', ')}`);
+  }
+  
+  return prompt.build(args);
+}
+
+/**
+ * Register the MCP prompts capability and handlers on a server
+ * 
+ * @param {Object} server - The MCP server
+ */
+export function registerPrompts(server) {
+  server.addCapability('prompts', { listChanged: false });
+  
+  server.addProtocolHandler('prompts/list', async () => ({
+    prompts: listPrompts()
+  }));
+  
+  server.addProtocolHandler('prompts/get', async ({ name, arguments: args }) => getPrompt(name, args));
+}
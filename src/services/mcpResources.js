@@ -0,0 +1,345 @@
+/**
+ * MCP Resources
+ * Exposes catalog controls, baseline profiles, SSPs and extension controls as readable MCP resources
+ */
+
+import { oscalService } from './oscalService.js';
+import { isValidSSPId, sspService } from './sspService.js';
+import * as extensionControlsService from './extensionControlsService.js';
+import { toControlKey } from '../utils/catalogParser.js';
+import { ErrorCodes, JsonRpcError } from '../utils/jsonRpc.js';
+
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * Resource templates, in the order they are matched against a URI
+ * Each read returns the resource's content, or null when there is no such resource.
+ */
+const resourceTemplates = [
+  {
+    uriTemplate: 'oscal://catalog/nist-800-53/families',
+    name: 'control-families',
+    title: 'NIST 800-53 Control Families',
+    description: 'All control families in the NIST 800-53 catalog',
+    mimeType: JSON_MIME_TYPE,
+    read: () => oscalService.getControlFamilies()
+  },
+  {
+    uriTemplate: 'oscal://catalog/nist-800-53/controls/{controlId}',
+    name: 'control',
+    title: 'NIST 800-53 Control',
+    description: 'A NIST 800-53 control with its enhancements (e.g., oscal://catalog/nist-800-53/controls/AC-2)',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ controlId }) => readControl(undefined, controlId)
+  },
+  {
+    uriTemplate: 'oscal://catalog/{catalogId}/controls/{controlId}',
+    name: 'catalog-control',
+    title: 'Catalog Control',
+    description: 'A control with its enhancements from any loaded catalog, by catalog ID or UUID (e.g., oscal://catalog/rev4/controls/AC-2, or oscal://catalog/cisecurity.org%2Fcontrols-v8/controls/1.1)',
+    mimeType: JSON_MIME_TYPE,
+    // Catalog IDs other than SP 800-53 revisions are paths
+    slashes: ['catalogId'],
+    read: ({ catalogId, controlId }) => readControl(catalogId, controlId)
+  },
+  {
+    uriTemplate: 'oscal://profiles/{profileType}/{securityLevel}',
+    name: 'profile',
+    title: 'Baseline Profile',
+    description: 'Controls selected by a baseline profile (e.g., oscal://profiles/fedramp/HIGH)',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ profileType, securityLevel }) => readProfile(profileType, securityLevel)
+  },
+  {
+    uriTemplate: 'oscal://profiles/{profileType}/{securityLevel}/resolved',
+    name: 'resolved-profile',
+    title: 'Resolved Profile Catalog',
+    description: 'The catalog produced by resolving a profile, with its parameter settings and alterations applied',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ profileType, securityLevel }) => readResolvedProfile(profileType, securityLevel)
+  },
+  {
+    uriTemplate: 'oscal://ssp/{sspId}/implementations/{controlId}',
+    name: 'control-implementation',
+    title: 'SSP Control Implementation',
+    description: 'The implementation record for one control in a System Security Plan',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ sspId, controlId }) => readControlImplementation(sspId, controlId)
+  },
+  {
+    uriTemplate: 'oscal://ssp/{sspId}',
+    name: 'ssp',
+    title: 'System Security Plan',
+    description: 'A System Security Plan with all of its control implementations',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ sspId }) => readSSP(sspId)
+  },
+  {
+    uriTemplate: 'oscal://extensions/{framework}/controls/{controlId}',
+    name: 'extension-control',
+    title: 'Extension Control',
+    description: 'Extended implementation guidance for a control (e.g., oscal://extensions/nist-800-53/controls/CLOUD-1)',
+    mimeType: JSON_MIME_TYPE,
+    read: ({ framework, controlId }) => readExtensionControl(framework, controlId)
+  }
+];
+
+/**
+ * Builds a matcher for a URI template with simple {variable} path segments
+ * 
+ * @param {string} uriTemplate - The URI template
+ * @param {Array} [slashes] - Variables that may contain an encoded slash (%2F)
+ * @returns {Function} - Returns the extracted variables for a matching URI, or null
+ */
+function compileTemplate(uriTemplate, slashes = []) {
+  const names = [];
+  const pattern = uriTemplate
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+  const regex = new RegExp(`^${pattern}$`);
+  
+  return (uri) => {
+    const matches = uri.match(regex);
+    if (!matches) {
+      return null;
+    }
+    
+    let values;
+    try {
+      values = matches.slice(1).map(value => decodeURIComponent(value));
+    } catch (error) {
+      // Malformed escapes (e.g., %E0) match no resource
+      return null;
+    }
+    
+    // A variable is a single path segment, also once decoded (e.g., %2F is not a separator)
+    if (values.some((value, index) => value.includes('/') && !slashes.includes(names[index]))) {
+      return null;
+    }
+    
+    return Object.fromEntries(names.map((name, index) => [name, values[index]]));
+  };
+}
+
+const matchers = resourceTemplates.map(template => ({
+  template,
+  match: compileTemplate(template.uriTemplate, template.slashes)
+}));
+
+/**
+ * Get a control with its enhancements from a catalog, by default the default one
+ */
+async function readControl(catalogId, controlId) {
+  const catalogs = await oscalService.listCatalogs();
+  if (catalogId && !catalogs.some(entry => entry.id === catalogId || entry.uuid === catalogId)) {
+    return null;
+  }
+  
+  const catalog = await oscalService.getCatalog(catalogId);
+  if (!catalog.controls.has(toControlKey(controlId))) {
+    return null;
+  }
+  return oscalService.getControl(controlId, true, catalogId);
+}
+
+/**
+ * Check whether any profile of a type states a security level
+ */
+async function hasProfile(profileType, securityLevel) {
+  const profiles = await oscalService.getProfileRegistry();
+  return profiles.some(profile => profile.profileType === profileType && profile.securityLevel === securityLevel.toUpperCase());
+}
+
+/**
+ * Summarize a baseline profile and the controls it selects
+ */
+async function readProfile(profileType, securityLevel) {
+  if (!await hasProfile(profileType, securityLevel)) {
+    return null;
+  }
+  
+  const profile = await oscalService.findProfile(securityLevel, profileType);
+  const controls = await oscalService.getBaselineControls(securityLevel, profileType);
+  return {
+    id: profile.id,
+    title: profile.title,
+    profileType,
+    securityLevel: securityLevel.toUpperCase(),
+    controls
+  };
+}
+
+/**
+ * Resolve a baseline profile into its resolved catalog
+ */
+async function readResolvedProfile(profileType, securityLevel) {
+  if (!await hasProfile(profileType, securityLevel)) {
+    return null;
+  }
+  
+  const profile = await oscalService.findProfile(securityLevel, profileType);
+  const resolution = await oscalService.resolveProfile(profile.path);
+  return resolution.catalog;
+}
+
+/**
+ * Get a saved SSP
+ */
+async function readSSP(sspId) {
+  if (!isValidSSPId(sspId) || !(await sspService.listSSPIds()).includes(sspId)) {
+    return null;
+  }
+  return sspService.getSSP(sspId);
+}
+
+/**
+ * Get the implementation record for a control in a saved SSP
+ */
+async function readControlImplementation(sspId, controlId) {
+  const ssp = await readSSP(sspId);
+  const normalizedId = toControlKey(controlId);
+  return ssp?.controlImplementations.find(impl => impl.controlId === normalizedId) || null;
+}
+
+/**
+ * Get an extension control
+ */
+async function readExtensionControl(framework, controlId) {
+  if (!(await extensionControlsService.listFrameworks()).includes(framework)) {
+    return null;
+  }
+  
+  const controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
+  return extensionControlsService.getControlById(controlId, controlsPath);
+}
+
+/**
+ * List concrete resources: control families, loaded profiles and saved SSPs
+ * 
+ * @returns {Promise<Array>} - Array of MCP resource descriptors
+ */
+export async function listResources() {
+  const resources = [
+    {
+      uri: 'oscal://catalog/nist-800-53/families',
+      name: 'control-families',
+      title: 'NIST 800-53 Control Families',
+      mimeType: JSON_MIME_TYPE
+    }
+  ];
+  
+  // One profile per type and security level, as used for baselines
+  const profileTypes = new Set((await oscalService.listProfiles()).map(profile => profile.profileType));
+  for (const profileType of profileTypes) {
+    const profiles = await oscalService.getProfiles(profileType).catch(() => ({}));
+    for (const [securityLevel, profile] of Object.entries(profiles)) {
+      resources.push({
+        uri: `oscal://profiles/${profileType}/${securityLevel}`,
+        name: profile.id,
+        title: profile.title,
+        mimeType: JSON_MIME_TYPE
+      });
+    }
+  }
+  
+  let cursor;
+  do {
+    const page = await sspService.listSSPs({ cursor });
+    for (const ssp of page.ssps) {
+      resources.push({
+        uri: `oscal://ssp/${encodeURIComponent(ssp.id)}`,
+        name: ssp.id,
+        title: ssp.title,
+        description: ssp.securityLevel ? `${ssp.securityLevel} System Security Plan` : 'System Security Plan',
+        mimeType: JSON_MIME_TYPE
+      });
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+  
+  return resources;
+}
+
+/**
+ * List the resource templates clients can fill in
+ * 
+ * @returns {Array} - Array of MCP resource template descriptors
+ */
+export function listResourceTemplates() {
+  return resourceTemplates
+    .filter(template => template.uriTemplate.includes('{'))
+    .map(({ uriTemplate, name, title, description, mimeType }) => ({
+      uriTemplate,
+      name,
+      title,
+      description,
+      mimeType
+    }));
+}
+
+/**
+ * Read a resource by URI
+ * 
+ * @param {string} uri - The resource URI (e.g., oscal://ssp/sample-ssp)
+ * @returns {Promise<Array>} - MCP resource contents
+ * @throws {JsonRpcError} - RESOURCE_NOT_FOUND when there is no such resource, INTERNAL_ERROR when it cannot be read
+ */
+export async function readResource(uri) {
+  for (const { template, match } of matchers) {
+    const variables = match(uri);
+    if (!variables) {
+      continue;
+    }
+    
+    let data;
+    try {
+      data = await template.read(variables);
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        throw error;
+      }
+      throw new JsonRpcError(ErrorCodes.INTERNAL_ERROR, `Failed to read resource ${uri}: ${error.message}`, { uri });
+    }
+    if (data === null || data === undefined) {
+      break;
+    }
+    
+    return [
+      {
+        uri,
+        mimeType: template.mimeType,
+        text: JSON.stringify(data, null, 2)
+      }
+    ];
+  }
+  
+  throw new JsonRpcError(ErrorCodes.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+}
+
+/**
+ * Register the MCP resources capability and handlers on a server
+ * 
+ * @param {Object} server - The MCP server
+ */
+export function registerResources(server) {
+  server.addCapability('resources', { listChanged: true });
+  
+  server.addProtocolHandler('resources/list', async () => ({
+    resources: await listResources()
+  }));
+  
+  server.addProtocolHandler('resources/templates/list', async () => ({
+    resourceTemplates: listResourceTemplates()
+  }));
+  
+  server.addProtocolHandler('resources/read', async ({ uri }) => {
+    if (!uri) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, 'Missing required parameter: uri');
+    }
+    
+    return { contents: await readResource(uri) };
+  });
+}
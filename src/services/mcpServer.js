@@ -1,95 +1,414 @@
 /**
  * MCP Server Implementation
- * Creates a Model Context Protocol server for Claude integration through stdin/stdout
+ * Creates a Model Context Protocol server for Claude integration over stdio or HTTP
  */
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
 import { oscalService } from './oscalService.js';
 import { sspService } from './sspService.js';
+import { mappingService } from './mappingService.js';
 import * as extensionControlsService from './extensionControlsService.js';
+import * as contentReloader from './contentReloader.js';
+import { toolDefinitions } from './mcpToolDefinitions.js';
+import { registerResources } from './mcpResources.js';
+import { registerPrompts } from './mcpPrompts.js';
+import { registerCompletions } from './mcpCompletions.js';
+import { startStdioTransport } from './stdioTransport.js';
+import { startHttpTransport } from './httpTransport.js';
+import {
+  ErrorCodes,
+  JsonRpcError,
+  createError,
+  createResult,
+  isNotification,
+  isValidId,
+  isValidRequest
+} from '../utils/jsonRpc.js';
+import { compileValidator, formatErrors } from '../utils/schemaValidator.js';
+import { addLogSink, createLogger, isLevelEnabled, isValidLevel, LOG_LEVELS } from '../utils/logger.js';
 
-// Simple implementation of MCP server for testing
-const createStdioServer = (options) => {
+// MCP protocol revisions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Minimum level forwarded to a client until it calls logging/setLevel
+const DEFAULT_CLIENT_LOG_LEVEL = 'warning';
+
+const logger = createLogger('mcpServer');
+
+/**
+ * Create a transport-agnostic MCP server
+ * Transports create a session per client connection and feed it raw messages through handleMessage
+ */
+const createMcpServer = (options) => {
   const methods = {};
+  const tools = {};
+  const validators = {};
+  const protocolHandlers = {};
+  const sessions = new Set();
+  const capabilities = {
+    tools: { listChanged: false },
+    logging: {}
+  };
+  
+  // Forward log records to initialized sessions as notifications/message, filtered per session.
+  // Sending can itself log (e.g., a transport dropping a message), so nested records are not forwarded.
+  let forwarding = false;
+  addLogSink((record) => {
+    if (forwarding) {
+      return;
+    }
+    forwarding = true;
+    try {
+      for (const session of sessions) {
+        if (session.initialized && isLevelEnabled(record.level, session.logLevel)) {
+          session.send({
+            jsonrpc: '2.0',
+            method: 'notifications/message',
+            params: {
+              level: record.level,
+              logger: record.logger,
+              data: record.data === undefined
+                ? { message: record.message }
+                : { message: record.message, details: record.data }
+            }
+          });
+        }
+      }
+    } finally {
+      forwarding = false;
+    }
+  });
+  
+  /**
+   * Check method params against the method's input schema
+   * @throws {JsonRpcError} - INVALID_PARAMS with field-level details in error.data
+   */
+  const validateParams = (name, params) => {
+    // _meta carries request metadata such as the progress token, not method params
+    let methodParams = params;
+    if (params?._meta !== undefined) {
+      methodParams = { ...params };
+      delete methodParams._meta;
+    }
+    
+    const errors = validators[name](methodParams);
+    if (errors) {
+      throw new JsonRpcError(
+        ErrorCodes.INVALID_PARAMS,
+        `Invalid params for ${name}: ${formatErrors(errors)}`,
+        { method: name, errors }
+      );
+    }
+  };
+  
+  /**
+   * Dispatch a single parsed JSON-RPC message
+   * @returns {Promise<Object|null>} - The response, or null for notifications
+   */
+  const dispatch = async (message, context) => {
+    if (!isValidRequest(message)) {
+      const id = message && typeof message === 'object' && isValidId(message.id) ? message.id : null;
+      return createError(id, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+    }
+    
+    const { method, params, id } = message;
+    const notification = isNotification(message);
+    
+    // Protocol methods take precedence over legacy direct methods
+    const handler = protocolHandlers[method] || methods[method];
+    
+    if (!handler) {
+      if (notification) {
+        logger.debug(`Ignoring unknown notification: ${method}`);
+        return null;
+      }
+      return createError(id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    
+    if (notification) {
+      try {
+        await handler(params || {}, context);
+      } catch (error) {
+        // Notifications never get a response, even when they fail
+        logger.error(`Error handling notification ${method}`, error);
+      }
+      return null;
+    }
+    
+    // Track the request so notifications/cancelled can abort it
+    const controller = new AbortController();
+    const { inFlight } = context.session;
+    inFlight.set(id, controller);
+    
+    try {
+      if (!protocolHandlers[method]) {
+        validateParams(method, params || {});
+      }
+      
+      const requestContext = {
+        ...context,
+        requestId: id,
+        signal: controller.signal,
+        progress: createProgressNotifier(params?._meta?.progressToken, context.send)
+      };
+      const result = await handler(params || {}, requestContext);
+      return controller.signal.aborted ? null : createResult(id, result);
+    } catch (error) {
+      // A cancelled request gets no response at all
+      if (controller.signal.aborted) {
+        logger.info(`Request ${id} (${method}) cancelled`);
+        return null;
+      }
+      return createError(id, error.code || ErrorCodes.SERVER_ERROR, error.message, error.data);
+    } finally {
+      inFlight.delete(id);
+    }
+  };
+  
+  /**
+   * Create a progress callback that sends notifications/progress for a request's progress token
+   * Without a token the callback does nothing; progress values never move backwards.
+   * @returns {Function} - Called as progress(progress, total, message)
+   */
+  const createProgressNotifier = (progressToken, send) => {
+    let last = -Infinity;
+    
+    return (progress, total, message) => {
+      if (progressToken === undefined || progress <= last) {
+        return;
+      }
+      last = progress;
+      
+      const notificationParams = { progressToken, progress };
+      if (total !== undefined) notificationParams.total = total;
+      if (message) notificationParams.message = message;
+      
+      send({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: notificationParams
+      });
+    };
+  };
+  
+  /**
+   * Format a method result as MCP tool call content
+   */
+  const toToolResult = (result) => ({
+    content: [
+      {
+        type: 'text',
+        text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+      }
+    ]
+  });
+  
+  // MCP lifecycle
+  protocolHandlers['initialize'] = async (params, { session }) => {
+    const requestedVersion = params.protocolVersion;
+    
+    // Echo the client's version when we support it, otherwise offer our latest
+    session.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+      ? requestedVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    session.clientInfo = params.clientInfo || null;
+    session.clientCapabilities = params.capabilities || {};
+    
+    logger.info(`Initializing session ${session.id} for ${session.clientInfo?.name || 'unknown client'} (protocol ${session.protocolVersion})`);
+    
+    return {
+      protocolVersion: session.protocolVersion,
+      capabilities,
+      serverInfo: {
+        name: options.name,
+        version: options.version
+      },
+      instructions: options.description
+    };
+  };
+  
+  protocolHandlers['notifications/initialized'] = async (params, { session }) => {
+    session.initialized = true;
+    logger.info(`Client initialization complete for session ${session.id}`);
+  };
+  
+  protocolHandlers['ping'] = async () => ({});
+  
+  // MCP logging: clients choose the minimum level of notifications/message they receive
+  protocolHandlers['logging/setLevel'] = async ({ level }, { session }) => {
+    if (!isValidLevel(level)) {
+      throw new JsonRpcError(
+        ErrorCodes.INVALID_PARAMS,
+        `Invalid log level: ${level}. Must be one of: ${LOG_LEVELS.join(', ')}`,
+        { allowedValues: LOG_LEVELS }
+      );
+    }
+    session.logLevel = level;
+    logger.debug(`Log level for session ${session.id} set to ${level}`);
+    return {};
+  };
+  
+  // Cancellation of in-flight requests on the same session
+  protocolHandlers['notifications/cancelled'] = async ({ requestId, reason }, { session }) => {
+    const controller = session.inFlight.get(requestId);
+    if (!controller) {
+      // The request may already have finished; cancellation is best effort
+      logger.debug(`Ignoring cancellation for unknown request ${requestId}`);
+      return;
+    }
+    logger.info(`Cancelling request ${requestId}${reason ? `: ${reason}` : ''}`);
+    controller.abort(reason || 'Cancelled by client');
+  };
+  
+  // MCP tools
+  protocolHandlers['tools/list'] = async () => ({
+    tools: Object.values(tools)
+  });
+  
+  protocolHandlers['tools/call'] = async (params, context) => {
+    const { name, arguments: args } = params;
+    
+    if (!methods[name]) {
+      throw new JsonRpcError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    
+    // Invalid arguments are a protocol error, not a tool failure
+    validateParams(name, args || {});
+    
+    // Tool execution failures are reported in the result so the model can see them
+    try {
+      const result = await methods[name](args || {}, context);
+      return toToolResult(result);
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true
+      };
+    }
+  };
   
   const server = {
     name: options.name,
     version: options.version,
     description: options.description,
     
-    addMethod(name, handler) {
+    /**
+     * Register a method callable directly and exposed as an MCP tool
+     * @param {string} name - Method name
+     * @param {Function} handler - Async handler receiving the params object and request context
+     *   ({ session, requestId, signal, progress })
+     * @param {Object} [definition] - Tool description and JSON Schema input, used to validate params
+     */
+    addMethod(name, handler, definition = {}) {
+      const inputSchema = definition.inputSchema || { type: 'object', properties: {} };
+      
+      // The same schema validates direct calls and tools/call arguments, and is advertised by tools/list
       methods[name] = handler;
+      validators[name] = compileValidator(inputSchema);
+      tools[name] = {
+        name,
+        description: definition.description || name,
+        inputSchema
+      };
+    },
+    
+    /**
+     * Register an MCP protocol method (not exposed as a tool)
+     * @param {string} method - Protocol method name (e.g., resources/list)
+     * @param {Function} handler - Async handler receiving the params object and request context
+     */
+    addProtocolHandler(method, handler) {
+      protocolHandlers[method] = handler;
+    },
+    
+    /**
+     * Send a notification to every initialized session (e.g., notifications/resources/list_changed)
+     * @param {string} method - Notification method
+     * @param {Object} [params] - Notification params
+     */
+    notify(method, params) {
+      const message = params === undefined ? { jsonrpc: '2.0', method } : { jsonrpc: '2.0', method, params };
+      for (const session of sessions) {
+        if (session.initialized) {
+          session.send(message);
+        }
+      }
+    },
+    
+    /**
+     * Advertise a server capability during initialize
+     * @param {string} name - Capability name (e.g., resources)
+     * @param {Object} [value] - Capability options
+     */
+    addCapability(name, value = {}) {
+      capabilities[name] = value;
     },
     
-    start() {
-      // Increase buffer sizes for better handling of large responses
-      process.stdin.setEncoding('utf8');
+    /**
+     * Create the state for one client connection
+     * @param {Function} send - Writes a server-initiated JSON-RPC message to the client
+     * @returns {Object} - The session
+     */
+    createSession(send) {
+      const session = {
+        id: randomUUID(),
+        initialized: false,
+        protocolVersion: null,
+        clientInfo: null,
+        clientCapabilities: {},
+        logLevel: DEFAULT_CLIENT_LOG_LEVEL,
+        // Abort controllers for requests still being handled, keyed by request ID
+        inFlight: new Map(),
+        send
+      };
+      sessions.add(session);
+      return session;
+    },
+    
+    /**
+     * Forget a client connection, cancelling anything it still has in flight
+     * @param {Object} session - The session to close
+     */
+    closeSession(session) {
+      sessions.delete(session);
+      for (const controller of session.inFlight.values()) {
+        controller.abort('Session closed');
+      }
+      session.inFlight.clear();
+    },
+    
+    /**
+     * Handle one raw JSON-RPC message: a single request, notification or batch
+     * @param {string} text - The serialized message
+     * @param {Object} context - Request context
+     * @param {Object} context.session - The client session the message arrived on
+     * @param {Function} [context.send] - Writes server-initiated messages for this request (defaults to session.send)
+     * @returns {Promise<Object|Array|null>} - The response(s), or null when nothing should be sent
+     */
+    async handleMessage(text, context) {
+      const requestContext = {
+        send: context.session.send,
+        ...context
+      };
       
-      // Increase highWaterMark for stdout to help with large responses
-      // This configures Node.js stream to use larger chunks
-      if (process.stdout._handle && typeof process.stdout._handle.setBlocking === 'function') {
-        process.stdout._handle.setBlocking(true);
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return createError(null, ErrorCodes.PARSE_ERROR, 'Parse error', { details: error.message });
       }
       
-      // Redirect console.log to stderr to avoid interfering with stdout JSON-RPC responses
-      const originalConsoleLog = console.log;
-      console.log = function() {
-        console.error.apply(console, arguments);
-      };
+      if (!Array.isArray(message)) {
+        return dispatch(message, requestContext);
+      }
       
-      // Handle JSON-RPC requests
-      process.stdin.on('data', async (data) => {
-        try {
-          const lines = data.toString().trim().split('\n');
-          
-          for (const line of lines) {
-            if (!line.trim()) continue;
-            
-            const request = JSON.parse(line);
-            const { method, params, id } = request;
-            
-            if (!methods[method]) {
-              const response = {
-                jsonrpc: '2.0',
-                error: {
-                  code: -32601,
-                  message: `Method not found: ${method}`
-                },
-                id
-              };
-              process.stdout.write(JSON.stringify(response) + '\n');
-              continue;
-            }
-            
-            try {
-              const result = await methods[method](params || {});
-              const response = {
-                jsonrpc: '2.0',
-                result,
-                id
-              };
-              process.stdout.write(JSON.stringify(response) + '\n');
-            } catch (error) {
-              const response = {
-                jsonrpc: '2.0',
-                error: {
-                  code: -32000,
-                  message: error.message
-                },
-                id
-              };
-              process.stdout.write(JSON.stringify(response) + '\n');
-            }
-          }
-        } catch (error) {
-          console.error('Error processing request:', error);
-        }
-      });
+      if (message.length === 0) {
+        return createError(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request: empty batch');
+      }
       
-      // Indicate server is ready
-      console.error('MCP server ready for input');
+      // A batch gets one array response without entries for notifications
+      const responses = (await Promise.all(message.map(entry => dispatch(entry, requestContext)))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
     }
   };
   
@@ -98,54 +417,127 @@ const createStdioServer = (options) => {
 
 /**
  * Sets up and starts the MCP server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.transport] - Transport to serve on: stdio (default) or http
+ * @param {number} [options.port] - HTTP port
+ * @param {string} [options.host] - HTTP host to bind
+ * @param {boolean} [options.watch] - Reload OSCAL content when its files change (default true)
  */
-export function setupMcpServer() {
+export function setupMcpServer(options = {}) {
   // Create MCP server
-  const server = createStdioServer({
+  const server = createMcpServer({
     name: 'nist-800-53-oscal-server',
     version: '0.1.0',
     description: 'NIST 800-53 OSCAL server for managing security controls and SSPs',
   });
 
   // Register all methods as direct methods on the server
-  // This allows the MCP server to be used with JSON-RPC style requests
+  // This allows the MCP server to be used with JSON-RPC style requests,
+  // and every method is also listed and callable as an MCP tool
 
   // Control-related methods
-  server.addMethod('getControl', getControl);
-  server.addMethod('searchControls', searchControls);
-  server.addMethod('getControlFamilies', getControlFamilies);
+  server.addMethod('getControl', getControl, toolDefinitions.getControl);
+  server.addMethod('searchControls', searchControls, toolDefinitions.searchControls);
+  server.addMethod('getControlFamilies', getControlFamilies, toolDefinitions.getControlFamilies);
+  server.addMethod('compareBaselines', compareBaselines, toolDefinitions.compareBaselines);
+  server.addMethod('getRelatedControls', getRelatedControls, toolDefinitions.getRelatedControls);
+  server.addMethod('getAssessmentObjectives', getAssessmentObjectives, toolDefinitions.getAssessmentObjectives);
+  server.addMethod('explainControl', explainControl, toolDefinitions.explainControl);
+  
+  // Catalog-related methods
+  server.addMethod('listCatalogs', listCatalogs, toolDefinitions.listCatalogs);
+  server.addMethod('crosswalkControls', crosswalkControls, toolDefinitions.crosswalkControls);
+  
+  // Profile-related methods
+  server.addMethod('listProfiles', listProfiles, toolDefinitions.listProfiles);
+  server.addMethod('getProfile', getProfile, toolDefinitions.getProfile);
   
   // SSP-related methods
-  server.addMethod('createSSP', createSSP);
-  server.addMethod('getSSP', getSSP);
-  server.addMethod('listSSPs', listSSPs);
+  server.addMethod('createSSP', createSSP, toolDefinitions.createSSP);
+  server.addMethod('getSSP', getSSP, toolDefinitions.getSSP);
+  server.addMethod('listSSPs', listSSPs, toolDefinitions.listSSPs);
+  server.addMethod('migrateSSP', migrateSSP, toolDefinitions.migrateSSP);
   
   // Implementation-related methods
-  server.addMethod('addControlImplementation', addControlImplementation);
-  server.addMethod('getControlImplementation', getControlImplementation);
-  server.addMethod('listControlImplementations', listControlImplementations);
+  server.addMethod('addControlImplementation', addControlImplementation, toolDefinitions.addControlImplementation);
+  server.addMethod('getControlImplementation', getControlImplementation, toolDefinitions.getControlImplementation);
+  server.addMethod('listControlImplementations', listControlImplementations, toolDefinitions.listControlImplementations);
   
   // Validation-related methods
-  server.addMethod('validateSSP', validateSSP);
+  server.addMethod('validateSSP', validateSSP, toolDefinitions.validateSSP);
+  
+  // Framework mapping methods
+  server.addMethod('listMappedFrameworks', listMappedFrameworks, toolDefinitions.listMappedFrameworks);
+  server.addMethod('mapControl', mapControl, toolDefinitions.mapControl);
+  server.addMethod('coverageByFramework', coverageByFramework, toolDefinitions.coverageByFramework);
   
   // Extension control-related methods
-  server.addMethod('getExtensionControl', getExtensionControl);
-  server.addMethod('searchExtensionControls', searchExtensionControls);
-  server.addMethod('getExtensionControlFamilies', getExtensionControlFamilies);
+  server.addMethod('getExtensionControl', getExtensionControl, toolDefinitions.getExtensionControl);
+  server.addMethod('searchExtensionControls', searchExtensionControls, toolDefinitions.searchExtensionControls);
+  server.addMethod('getExtensionControlFamilies', getExtensionControlFamilies, toolDefinitions.getExtensionControlFamilies);
 
-  // Start server
-  server.start();
-  console.log('MCP server started in stdio mode');
+  // Content methods
+  server.addMethod('reloadContent', reloadContent, toolDefinitions.reloadContent);
+
+  // MCP resources backed by the catalog, profiles, SSPs and extensions
+  registerResources(server);
+  
+  // MCP prompts for common compliance authoring workflows
+  registerPrompts(server);
+  
+  // MCP argument completion for control IDs, SSP IDs and frameworks
+  registerCompletions(server);
+  
+  // Tell clients to list resources again once content is reloaded, on request or because its files changed
+  contentReloader.addReloadListener(() => server.notify('notifications/resources/list_changed'));
+  if (options.watch !== false) {
+    contentReloader.watchContent();
+  }
+
+  // Start server on the requested transport
+  const transport = options.transport || 'stdio';
+  if (transport === 'http') {
+    startHttpTransport(server, options);
+  } else if (transport === 'stdio') {
+    startStdioTransport(server);
+  } else {
+    throw new Error(`Unknown transport: ${transport}. Must be one of: stdio, http`);
+  }
+  logger.info(`MCP server started in ${transport} mode`);
 
   return server;
 }
 
 /**
- * Get a control by ID
+ * Map a request context onto the cancellation and progress options taken by long-running service methods
  */
-async function getControl({ controlId, includeEnhancements = false }) {
+function operationOptions(context) {
+  return {
+    signal: context?.signal,
+    onProgress: context?.progress
+  };
+}
+
+/**
+ * Get a control by ID, rendered for a profile and SSP when either is given
+ */
+async function getControl({ controlId, includeEnhancements = false, profileId, profileType, securityLevel, sspId, catalogId }, context) {
   try {
-    const control = await oscalService.getControl(controlId, includeEnhancements);
+    if (catalogId && (sspId || profileId || securityLevel)) {
+      // Profiles are resolved against the default catalog
+      throw new Error('catalogId cannot be combined with profileId, securityLevel or sspId');
+    }
+    if (sspId) {
+      return await sspService.renderControl(sspId, controlId, { profileId, profileType, securityLevel, includeEnhancements }, operationOptions(context));
+    }
+    if (profileId || securityLevel) {
+      return await oscalService.renderControl(controlId, { profileId, profileType, securityLevel, includeEnhancements }, operationOptions(context));
+    }
+    if (profileType) {
+      throw new Error('securityLevel is required to render a control for a profile');
+    }
+    
+    const control = await oscalService.getControl(controlId, includeEnhancements, catalogId);
     return control;
   } catch (error) {
     throw new Error(`Failed to get control: ${error.message}`);
@@ -155,9 +547,10 @@ async function getControl({ controlId, includeEnhancements = false }) {
 /**
  * Search for controls
  */
-async function searchControls({ query, family, baseline, limit = 20 }) {
+async function searchControls({ query, family, baseline, profileType, status, enhancement, catalogId, limit = 20, cursor }) {
   try {
-    const controls = await oscalService.searchControls(query, family, baseline, limit);
+    const criteria = { query, family, baseline, profileType, status, enhancement, catalogId };
+    const controls = await oscalService.searchControls(criteria, { cursor, limit });
     return controls;
   } catch (error) {
     throw new Error(`Failed to search controls: ${error.message}`);
@@ -167,21 +560,128 @@ async function searchControls({ query, family, baseline, limit = 20 }) {
 /**
  * Get all control families
  */
-async function getControlFamilies() {
+async function getControlFamilies({ catalogId } = {}) {
   try {
-    const families = await oscalService.getControlFamilies();
+    const families = await oscalService.getControlFamilies(catalogId);
     return families;
   } catch (error) {
     throw new Error(`Failed to get control families: ${error.message}`);
   }
 }
 
+/**
+ * Compare two baselines
+ */
+async function compareBaselines({ from, to }, context) {
+  try {
+    const comparison = await oscalService.compareBaselines(from, to, operationOptions(context));
+    return comparison;
+  } catch (error) {
+    throw new Error(`Failed to compare baselines: ${error.message}`);
+  }
+}
+
+/**
+ * Get the controls related to a control, marking those in an SSP when one is given
+ */
+async function getRelatedControls({ controlId, depth = 1, relations, direction = 'outgoing', sspId }) {
+  try {
+    const traversal = { depth, relations, direction };
+    if (sspId) {
+      return await sspService.getRelatedControls(sspId, controlId, traversal);
+    }
+    
+    const related = await oscalService.getRelatedControls(controlId, traversal);
+    return related;
+  } catch (error) {
+    throw new Error(`Failed to get related controls: ${error.message}`);
+  }
+}
+
+/**
+ * Get a control's assessment objectives, methods and response points, for an SSP when one is given
+ */
+async function getAssessmentObjectives({ controlId, profileId, profileType, securityLevel, sspId }, context) {
+  try {
+    if (sspId) {
+      return await sspService.getAssessmentObjectives(sspId, controlId, { profileId, profileType, securityLevel }, operationOptions(context));
+    }
+    const assessment = await oscalService.getAssessmentObjectives(controlId, { profileId, profileType, securityLevel }, operationOptions(context));
+    return assessment;
+  } catch (error) {
+    throw new Error(`Failed to get assessment objectives: ${error.message}`);
+  }
+}
+
+/**
+ * Explain a control for a baseline from the catalog, profile and extensions, for an SSP when one is given
+ */
+async function explainControl({ controlId, profileId, profileType, securityLevel, sspId, framework }, context) {
+  try {
+    if (sspId) {
+      return await sspService.explainControl(sspId, controlId, { profileId, profileType, securityLevel, framework }, operationOptions(context));
+    }
+    const explanation = await oscalService.explainControl(controlId, { profileId, profileType, securityLevel, framework }, operationOptions(context));
+    return explanation;
+  } catch (error) {
+    throw new Error(`Failed to explain control: ${error.message}`);
+  }
+}
+
+/**
+ * List the catalogs that can be looked up by ID
+ */
+async function listCatalogs() {
+  try {
+    const catalogs = await oscalService.listCatalogs();
+    return catalogs;
+  } catch (error) {
+    throw new Error(`Failed to list catalogs: ${error.message}`);
+  }
+}
+
+/**
+ * Map controls between catalog revisions
+ */
+async function crosswalkControls({ from, to, controlId, type, limit = 100, cursor }) {
+  try {
+    const crosswalk = await oscalService.crosswalkControls({ from, to, controlId, type }, { cursor, limit });
+    return crosswalk;
+  } catch (error) {
+    throw new Error(`Failed to crosswalk controls: ${error.message}`);
+  }
+}
+
+/**
+ * List the registered profiles
+ */
+async function listProfiles({ profileType, securityLevel }) {
+  try {
+    const profiles = await oscalService.listProfiles({ profileType, securityLevel });
+    return profiles;
+  } catch (error) {
+    throw new Error(`Failed to list profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Get a profile by ID or UUID
+ */
+async function getProfile({ profileId }, context) {
+  try {
+    const profile = await oscalService.getProfile(profileId, operationOptions(context));
+    return profile;
+  } catch (error) {
+    throw new Error(`Failed to get profile: ${error.message}`);
+  }
+}
+
 /**
  * Create a new SSP
  */
-async function createSSP({ title, description, securityLevel, systemId }) {
+async function createSSP({ title, description, securityLevel, systemId, profileId }, context) {
   try {
-    const ssp = await sspService.createSSP(title, description, securityLevel, systemId);
+    const ssp = await sspService.createSSP(title, description, securityLevel, systemId, profileId, operationOptions(context));
     return ssp;
   } catch (error) {
     throw new Error(`Failed to create SSP: ${error.message}`);
@@ -203,26 +703,42 @@ async function getSSP({ sspId }) {
 /**
  * List all SSPs
  */
-async function listSSPs() {
+async function listSSPs({ cursor, limit }) {
   try {
-    const ssps = await sspService.listSSPs();
+    const ssps = await sspService.listSSPs({ cursor, limit });
     return ssps;
   } catch (error) {
     throw new Error(`Failed to list SSPs: ${error.message}`);
   }
 }
 
+/**
+ * Migrate an SSP to another catalog revision
+ */
+async function migrateSSP({ sspId, fromCatalog, toCatalog, targetSspId, dryRun = false }, context) {
+  try {
+    const migration = await sspService.migrateSSP(sspId, { fromCatalog, toCatalog, targetSspId, dryRun }, operationOptions(context));
+    return migration;
+  } catch (error) {
+    throw new Error(`Failed to migrate SSP: ${error.message}`);
+  }
+}
+
 /**
  * Add a control implementation to an SSP
  */
-async function addControlImplementation({ sspId, controlId, implementationStatus, description, responsibleRoles }) {
+async function addControlImplementation({ sspId, controlId, implementationStatus, description, responsibleRoles, parameters, allowWithdrawn = false, statements }, context) {
   try {
     const implementation = await sspService.addControlImplementation(
       sspId, 
       controlId, 
       implementationStatus, 
       description, 
-      responsibleRoles
+      responsibleRoles,
+      parameters,
+      allowWithdrawn,
+      statements,
+      operationOptions(context)
     );
     return implementation;
   } catch (error) {
@@ -245,9 +761,9 @@ async function getControlImplementation({ sspId, controlId }) {
 /**
  * List control implementations for an SSP
  */
-async function listControlImplementations({ sspId, status }) {
+async function listControlImplementations({ sspId, status, cursor, limit }) {
   try {
-    const implementations = await sspService.listControlImplementations(sspId, status);
+    const implementations = await sspService.listControlImplementations(sspId, status, { cursor, limit });
     return implementations;
   } catch (error) {
     throw new Error(`Failed to list control implementations: ${error.message}`);
@@ -257,27 +773,58 @@ async function listControlImplementations({ sspId, status }) {
 /**
  * Validate an SSP
  */
-async function validateSSP({ sspId }) {
+async function validateSSP({ sspId }, context) {
   try {
-    const validation = await sspService.validateSSP(sspId);
+    const validation = await sspService.validateSSP(sspId, operationOptions(context));
     return validation;
   } catch (error) {
     throw new Error(`Failed to validate SSP: ${error.message}`);
   }
 }
 
+/**
+ * List the frameworks controls are mapped to
+ */
+async function listMappedFrameworks() {
+  try {
+    const frameworks = await mappingService.listMappedFrameworks();
+    return frameworks;
+  } catch (error) {
+    throw new Error(`Failed to list mapped frameworks: ${error.message}`);
+  }
+}
+
+/**
+ * Map a control to other frameworks, or a framework's requirement back to controls
+ */
+async function mapControl({ controlId, framework }) {
+  try {
+    const mapping = await mappingService.mapControl(controlId, framework);
+    return mapping;
+  } catch (error) {
+    throw new Error(`Failed to map control: ${error.message}`);
+  }
+}
+
+/**
+ * Report an SSP's coverage of another framework's requirements
+ */
+async function coverageByFramework({ sspId, framework, status, limit = 100, cursor }) {
+  try {
+    const coverage = await mappingService.coverageByFramework(sspId, framework, { status }, { cursor, limit });
+    return coverage;
+  } catch (error) {
+    throw new Error(`Failed to report coverage by framework: ${error.message}`);
+  }
+}
+
 /**
  * Get extension control by ID
  */
 async function getExtensionControl({ controlId, framework }) {
   try {
-    // If a specific framework is provided, construct the path to that framework's controls
-    let controlsPath;
-    if (framework) {
-      const __dirname = path.dirname(fileURLToPath(import.meta.url));
-      const PROJECT_ROOT = path.resolve(__dirname, '../..');
-      controlsPath = path.join(PROJECT_ROOT, `oscal-content/extensions/${framework}/cloud-native/cloud-native-controls.json`);
-    }
+    // If a specific framework is provided, use that framework's controls
+    const controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
     
     const control = await extensionControlsService.getControlById(controlId, controlsPath);
     if (!control) {
@@ -292,18 +839,13 @@ async function getExtensionControl({ controlId, framework }) {
 /**
  * Search extension controls
  */
-async function searchExtensionControls({ id, familyName, keywords, framework }) {
+async function searchExtensionControls({ id, familyName, keywords, framework, cursor, limit }) {
   try {
-    // If a specific framework is provided, construct the path to that framework's controls
-    let controlsPath;
-    if (framework) {
-      const __dirname = path.dirname(fileURLToPath(import.meta.url));
-      const PROJECT_ROOT = path.resolve(__dirname, '../..');
-      controlsPath = path.join(PROJECT_ROOT, `oscal-content/extensions/${framework}/cloud-native/cloud-native-controls.json`);
-    }
+    // If a specific framework is provided, use that framework's controls
+    const controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
     
     const criteria = { id, familyName, keywords };
-    const controls = await extensionControlsService.searchControls(criteria, controlsPath);
+    const controls = await extensionControlsService.searchControls(criteria, controlsPath, { cursor, limit });
     return controls;
   } catch (error) {
     throw new Error(`Failed to search extension controls: ${error.message}`);
@@ -315,13 +857,8 @@ async function searchExtensionControls({ id, familyName, keywords, framework })
  */
 async function getExtensionControlFamilies({ framework }) {
   try {
-    // If a specific framework is provided, construct the path to that framework's controls
-    let controlsPath;
-    if (framework) {
-      const __dirname = path.dirname(fileURLToPath(import.meta.url));
-      const PROJECT_ROOT = path.resolve(__dirname, '../..');
-      controlsPath = path.join(PROJECT_ROOT, `oscal-content/extensions/${framework}/cloud-native/cloud-native-controls.json`);
-    }
+    // If a specific framework is provided, use that framework's controls
+    const controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
     
     const families = await extensionControlsService.listControlFamilies(controlsPath);
     return families;
@@ -330,3 +867,14 @@ async function getExtensionControlFamilies({ framework }) {
   }
 }
 
+/**
+ * Reload OSCAL content and extension data from disk
+ */
+async function reloadContent({ areas }) {
+  try {
+    const result = await contentReloader.reloadContent(areas);
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to reload content: ${error.message}`);
+  }
+}
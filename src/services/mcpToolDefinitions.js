@@ -0,0 +1,631 @@
+/**
+ * MCP Tool Definitions
+ * Descriptions and JSON Schema input definitions for every method exposed as an MCP tool
+ */
+
+const controlIdProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'NIST 800-53 control ID (e.g., AC-2, AC-2(1), AC.2.1)'
+};
+
+// SSP IDs double as file names in the data directory
+const SSP_ID_PATTERN = '^[A-Za-z0-9][A-Za-z0-9._-]*$';
+
+const sspIdProperty = {
+  type: 'string',
+  pattern: SSP_ID_PATTERN,
+  description: 'ID of the System Security Plan'
+};
+
+const securityLevelProperty = {
+  type: 'string',
+  enum: ['LOW', 'MODERATE', 'HIGH'],
+  description: 'Security categorization level'
+};
+
+const implementationStatusProperty = {
+  type: 'string',
+  enum: ['IMPLEMENTED', 'PARTIALLY_IMPLEMENTED', 'PLANNED', 'ALTERNATIVE_IMPLEMENTATION', 'NOT_APPLICABLE'],
+  description: 'Implementation status of the control'
+};
+
+const profileTypeProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Profile type: the directory under oscal-content/profiles (e.g., baseline for NIST baselines, fedramp)'
+};
+
+const profileIdProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Profile ID or UUID, as listed by listProfiles (e.g., fedramp_high)'
+};
+
+const baselineReferenceProperty = {
+  type: 'object',
+  properties: {
+    profileId: profileIdProperty,
+    securityLevel: securityLevelProperty,
+    profileType: {
+      ...profileTypeProperty,
+      default: 'baseline'
+    }
+  },
+  anyOf: [
+    { required: ['profileId'] },
+    { required: ['securityLevel'] }
+  ]
+};
+
+const catalogProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Catalog ID, as listed by listCatalogs (e.g., rev4, rev5 or cisecurity.org/controls-v8)'
+};
+
+const mappedFrameworkProperty = {
+  type: 'string',
+  minLength: 1,
+  description: 'Framework ID, as listed by listMappedFrameworks (e.g., csf-2.0, iso-27001-2022, sp800-171-rev2)'
+};
+
+const cursorProperty = {
+  type: 'string',
+  description: 'Opaque cursor from the nextCursor of a previous page'
+};
+
+/**
+ * Page size property for paginated methods
+ */
+function pageLimitProperty(defaultLimit) {
+  return {
+    type: 'integer',
+    minimum: 1,
+    description: 'Maximum number of results per page',
+    default: defaultLimit
+  };
+}
+
+const frameworkProperty = {
+  type: 'string',
+  description: 'Extension framework directory under oscal-content/extensions (e.g., nist-800-53)'
+};
+
+/**
+ * Tool definitions keyed by method name
+ */
+export const toolDefinitions = {
+  getControl: {
+    description: 'Get details about a specific control, from NIST 800-53 or another loaded catalog, including its status; withdrawn controls list the controls they were incorporated into or moved to. Given a securityLevel or sspId, the prose is rendered with parameter values from the SSP, then the profile, then the catalog, unresolved parameters are flagged, and the additional requirements and guidance the profile adds (e.g., FedRAMP\'s) are listed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: controlIdProperty,
+        includeEnhancements: {
+          type: 'boolean',
+          description: 'Whether to include control enhancements',
+          default: false
+        },
+        profileId: {
+          ...profileIdProperty,
+          description: 'Profile to render parameter values from (defaults to the SSP\'s profile)'
+        },
+        profileType: {
+          ...profileTypeProperty,
+          description: 'Type of the profile to render parameter values from, with securityLevel (defaults to the SSP\'s, or baseline)'
+        },
+        securityLevel: {
+          ...securityLevelProperty,
+          description: 'Security level of the profile to render parameter values from (defaults to the SSP\'s)'
+        },
+        sspId: {
+          ...sspIdProperty,
+          description: 'SSP whose parameter values take precedence when rendering'
+        },
+        catalogId: {
+          ...catalogProperty,
+          description: 'Catalog to look the control up in (defaults to the current NIST 800-53 revision); cannot be combined with a profile or SSP'
+        }
+      },
+      required: ['controlId'],
+      // Rejects the catalog parameter catalogId replaced, rather than ignoring it
+      additionalProperties: false
+    }
+  },
+
+  searchControls: {
+    description: 'Search the controls and enhancements of NIST 800-53 or another loaded catalog. Keyword queries are ranked by relevance, with scores and highlighted snippets; facet filters narrow by family, baseline membership, status and enhancement. Results are paginated; pass nextCursor back as cursor for more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Control ID, or keywords matched against titles, statements, guidance, parameters and enhancement titles (e.g., multifactor privileged network access)'
+        },
+        family: {
+          type: 'string',
+          description: 'Control family, as listed by getControlFamilies (e.g., AC, SI, CM)'
+        },
+        baseline: {
+          ...securityLevelProperty,
+          description: 'Only controls in the baseline for this security level'
+        },
+        profileType: {
+          ...profileTypeProperty,
+          description: 'Only controls in baselines of this type (at the given baseline level, or at any level)'
+        },
+        status: {
+          type: 'string',
+          enum: ['active', 'withdrawn'],
+          description: 'Only active or only withdrawn controls'
+        },
+        enhancement: {
+          type: 'boolean',
+          description: 'Only enhancements (true) or only base controls (false)'
+        },
+        catalogId: {
+          ...catalogProperty,
+          description: 'Catalog to search (defaults to the current NIST 800-53 revision)'
+        },
+        limit: pageLimitProperty(20),
+        cursor: cursorProperty
+      },
+      additionalProperties: false
+    }
+  },
+
+  getControlFamilies: {
+    description: 'Get the control families of NIST 800-53 or another loaded catalog: its top-level groups, with their control counts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        catalogId: {
+          ...catalogProperty,
+          description: 'Catalog to list the families of (defaults to the current NIST 800-53 revision)'
+        }
+      }
+    }
+  },
+
+  compareBaselines: {
+    description: 'Compare two baselines, e.g. FedRAMP Moderate to FedRAMP High or FedRAMP Low to the NIST low baseline: controls and enhancements added, removed and in common, grouped by family, and the differences in parameter settings such as FedRAMP constraints',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          ...baselineReferenceProperty,
+          description: 'The baseline to compare from (e.g., the current one)'
+        },
+        to: {
+          ...baselineReferenceProperty,
+          description: 'The baseline to compare to (e.g., the target of an uplift)'
+        }
+      },
+      required: ['from', 'to']
+    }
+  },
+
+  getRelatedControls: {
+    description: 'Walk the relationships between NIST 800-53 controls to a given depth: related links, enhancements to their base control, and withdrawn controls to the controls they were incorporated into or moved to. Given an sspId, marks the related controls the SSP already has, e.g. to check that an AC-2 narrative is consistent with AC-3, AC-6 and IA-2.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: controlIdProperty,
+        depth: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 5,
+          description: 'Number of hops from the control',
+          default: 1
+        },
+        relations: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['related', 'enhancement-of', 'incorporated-into', 'moved-to']
+          },
+          minItems: 1,
+          uniqueItems: true,
+          description: 'Edge types to follow (defaults to all)'
+        },
+        direction: {
+          type: 'string',
+          enum: ['outgoing', 'incoming', 'both'],
+          description: 'Follow edges from the control (outgoing), to it (incoming, e.g. the controls that list it as related), or both',
+          default: 'outgoing'
+        },
+        sspId: {
+          ...sspIdProperty,
+          description: 'SSP to check the related controls against'
+        }
+      },
+      required: ['controlId']
+    }
+  },
+
+  getAssessmentObjectives: {
+    description: 'Get a control\'s assessment objectives, the methods (EXAMINE, INTERVIEW, TEST) used to assess each, and the response points: the statement and objective parts an SSP must respond to, as a profile such as FedRAMP\'s marks them. With an sspId, each response point shows whether the SSP has a narrative for it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: controlIdProperty,
+        profileId: {
+          ...profileIdProperty,
+          description: 'Profile whose objective methods and response points to read (defaults to the SSP\'s profile)'
+        },
+        profileType: {
+          ...profileTypeProperty,
+          description: 'Type of the profile, with securityLevel (defaults to fedramp)'
+        },
+        securityLevel: {
+          ...securityLevelProperty,
+          description: 'Security level of the profile; without a profile or SSP, only the catalog\'s objectives are returned'
+        },
+        sspId: {
+          ...sspIdProperty,
+          description: 'SSP to check the response points against'
+        }
+      },
+      required: ['controlId']
+    }
+  },
+
+  explainControl: {
+    description: 'Explain a control for a baseline in one response: the catalog statement and guidance rendered with parameter values, the additional requirements and guidance the profile adds (e.g., "Additional FedRAMP Requirements and Guidance"), the parameter values and constraints, and guidance from extension controls related to it. With an sspId, the SSP\'s parameter values and implementation are included.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: controlIdProperty,
+        profileId: {
+          ...profileIdProperty,
+          description: 'Profile to explain the control for (defaults to the SSP\'s profile)'
+        },
+        profileType: {
+          ...profileTypeProperty,
+          description: 'Type of the profile, with securityLevel (defaults to the SSP\'s, or fedramp)'
+        },
+        securityLevel: {
+          ...securityLevelProperty,
+          description: 'Security level of the profile (defaults to the SSP\'s)'
+        },
+        sspId: {
+          ...sspIdProperty,
+          description: 'SSP whose parameter values and implementation to include'
+        },
+        framework: frameworkProperty
+      },
+      required: ['controlId']
+    }
+  },
+
+  listCatalogs: {
+    description: 'List the control catalogs loaded side by side, such as SP 800-53 Rev 4 and Rev 5, CIS Controls or an organization\'s own policy catalog, with their IDs',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+
+  crosswalkControls: {
+    description: 'Map controls between catalog revisions (e.g., Rev 4 to Rev 5): unchanged, retitled, renumbered, merged, withdrawn and unmapped controls, with the controls they map to. Results are paginated; pass nextCursor back as cursor for more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: {
+          ...catalogProperty,
+          description: 'Catalog to map from (e.g., rev4)'
+        },
+        to: {
+          ...catalogProperty,
+          description: 'Catalog to map to (defaults to the current revision)'
+        },
+        controlId: {
+          ...controlIdProperty,
+          description: 'Map only this control of the from catalog'
+        },
+        type: {
+          type: 'string',
+          enum: ['unchanged', 'retitled', 'renumbered', 'merged', 'withdrawn', 'unmapped'],
+          description: 'Only mappings of this type'
+        },
+        limit: pageLimitProperty(100),
+        cursor: cursorProperty
+      },
+      required: ['from']
+    }
+  },
+
+  listProfiles: {
+    description: 'List the OSCAL profiles under oscal-content/profiles, with the profile type and security level read from their metadata',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        profileType: profileTypeProperty,
+        securityLevel: securityLevelProperty
+      }
+    }
+  },
+
+  getProfile: {
+    description: 'Get an OSCAL profile by ID or UUID, with the controls it selects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        profileId: profileIdProperty
+      },
+      required: ['profileId']
+    }
+  },
+
+  createSSP: {
+    description: 'Create a new System Security Plan populated with the controls of a profile, by default the baseline for its security level',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          minLength: 1,
+          description: 'Title of the SSP'
+        },
+        description: {
+          type: 'string',
+          description: 'Description of the system'
+        },
+        securityLevel: securityLevelProperty,
+        systemId: {
+          type: 'string',
+          pattern: SSP_ID_PATTERN,
+          description: 'Optional system identifier, used as the SSP ID'
+        },
+        profileId: {
+          ...profileIdProperty,
+          description: 'Profile to take the baseline from (e.g., a custom, StateRAMP or DoD IL profile); defaults to the FedRAMP, or else NIST, baseline for the security level'
+        }
+      },
+      required: ['title'],
+      anyOf: [
+        { required: ['securityLevel'] },
+        { required: ['profileId'] }
+      ]
+    }
+  },
+
+  getSSP: {
+    description: 'Get a System Security Plan by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty
+      },
+      required: ['sspId']
+    }
+  },
+
+  listSSPs: {
+    description: 'List System Security Plans. Results are paginated; pass nextCursor back as cursor for more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: pageLimitProperty(50),
+        cursor: cursorProperty
+      }
+    }
+  },
+
+  migrateSSP: {
+    description: 'Migrate an SSP\'s control implementations to another catalog revision (e.g., Rev 4 to Rev 5), saving the result as a new SSP and reporting the implementations that need a human to review them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty,
+        fromCatalog: {
+          ...catalogProperty,
+          description: 'Catalog the SSP was written against (defaults to the one it records, or the current revision)'
+        },
+        toCatalog: {
+          ...catalogProperty,
+          description: 'Catalog to migrate to (defaults to the current revision)'
+        },
+        targetSspId: {
+          ...sspIdProperty,
+          description: 'ID of the migrated SSP (defaults to <sspId>-<toCatalog>)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Report the migration without saving it',
+          default: false
+        }
+      },
+      required: ['sspId']
+    }
+  },
+
+  addControlImplementation: {
+    description: 'Add or update a control implementation in an SSP. Withdrawn controls are refused, naming the controls that replace them, unless allowWithdrawn is set.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty,
+        controlId: controlIdProperty,
+        implementationStatus: implementationStatusProperty,
+        description: {
+          type: 'string',
+          description: 'Description of the implementation'
+        },
+        responsibleRoles: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Roles responsible for the implementation'
+        },
+        parameters: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Organization-defined parameter values keyed by parameter ID (e.g., { "ac-01_odp.05": "annually" })'
+        },
+        allowWithdrawn: {
+          type: 'boolean',
+          description: 'Record the implementation even if the control is withdrawn (it is returned with a warning)',
+          default: false
+        },
+        statements: {
+          type: 'object',
+          additionalProperties: { type: 'string' },
+          description: 'Narratives for the control\'s response points, keyed by part ID as listed by getAssessmentObjectives (e.g., { "ac-1_smt.a": "..." })'
+        }
+      },
+      required: ['sspId', 'controlId', 'implementationStatus']
+    }
+  },
+
+  getControlImplementation: {
+    description: 'Get a control implementation from an SSP',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty,
+        controlId: controlIdProperty
+      },
+      required: ['sspId', 'controlId']
+    }
+  },
+
+  listControlImplementations: {
+    description: 'List the control implementations of an SSP. Results are paginated; pass nextCursor back as cursor for more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty,
+        status: implementationStatusProperty,
+        limit: pageLimitProperty(50),
+        cursor: cursorProperty
+      },
+      required: ['sspId']
+    }
+  },
+
+  validateSSP: {
+    description: 'Validate an SSP against its baseline: baseline controls missing from the SSP, SSP entries for withdrawn controls with the controls that replace them, and response points the profile marks (e.g., FedRAMP\'s) that have no narrative',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty
+      },
+      required: ['sspId']
+    }
+  },
+
+  listMappedFrameworks: {
+    description: 'List the frameworks (e.g., NIST CSF 2.0, ISO 27001, SP 800-171) that OSCAL mapping collections under oscal-content/mappings relate to NIST 800-53 controls',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+
+  mapControl: {
+    description: 'Map a NIST 800-53 control to the requirements of other frameworks, or, given a framework, one of its requirements (e.g., PR.AA-01) back to NIST 800-53 controls, with the relationship of each mapping',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: {
+          type: 'string',
+          minLength: 1,
+          description: 'NIST 800-53 control ID (e.g., AC-2), or a requirement ID of the framework (e.g., PR.AA-01)'
+        },
+        framework: {
+          ...mappedFrameworkProperty,
+          description: 'Only map to this framework'
+        }
+      },
+      required: ['controlId']
+    }
+  },
+
+  coverageByFramework: {
+    description: "Report an SSP's implementation coverage in terms of another framework's requirements: each requirement is covered, partial, planned or a gap, from the implementation status of the controls mapped to it. Results are paginated; pass nextCursor back as cursor for more.",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sspId: sspIdProperty,
+        framework: mappedFrameworkProperty,
+        status: {
+          type: 'string',
+          enum: ['covered', 'partial', 'planned', 'gap'],
+          description: 'Only requirements with this coverage'
+        },
+        limit: pageLimitProperty(100),
+        cursor: cursorProperty
+      },
+      required: ['sspId', 'framework']
+    }
+  },
+
+  getExtensionControl: {
+    description: 'Get an extension control (e.g., cloud-native guidance) by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        controlId: {
+          type: 'string',
+          description: 'Extension control ID (e.g., CLOUD-1)'
+        },
+        framework: frameworkProperty
+      },
+      required: ['controlId']
+    }
+  },
+
+  searchExtensionControls: {
+    description: 'Search extension controls by ID, family name, or keywords. Results are paginated; pass nextCursor back as cursor for more.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Extension control ID (partial match)'
+        },
+        familyName: {
+          type: 'string',
+          description: 'Family name to filter by (partial match)'
+        },
+        keywords: {
+          type: 'string',
+          description: 'Keywords to search in title, description and notes'
+        },
+        framework: frameworkProperty,
+        limit: pageLimitProperty(50),
+        cursor: cursorProperty
+      }
+    }
+  },
+
+  getExtensionControlFamilies: {
+    description: 'List extension control families',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        framework: frameworkProperty
+      }
+    }
+  },
+
+  reloadContent: {
+    description: 'Reload catalogs, profiles, framework mappings and extension controls from disk after they have been edited, without restarting the server. Content that fails to load leaves what was loaded before in place. The server also reloads content when its files change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        areas: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['catalogs', 'profiles', 'mappings', 'extensions']
+          },
+          minItems: 1,
+          uniqueItems: true,
+          description: 'Content to reload (defaults to all); reloading catalogs also reloads the profiles resolved against them'
+        }
+      }
+    }
+  }
+};
@@ -6,13 +6,24 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { normalize as normalizeControlId } from '../utils/controlUtils.js';
+import * as extensionControlsService from './extensionControlsService.js';
+import { compareControlIds, normalize as normalizeControlId } from '../utils/controlUtils.js';
+import { reportProgress, subOperation, throwIfCancelled, waitUnlessCancelled } from '../utils/operation.js';
+import { paginate } from '../utils/pagination.js';
+import { parseCatalog, parseParam, toControlKey } from '../utils/catalogParser.js';
+import { resolveProfile } from '../utils/profileResolver.js';
+import { OSCAL_EXTENSIONS, readOscalDocument, withoutExtension } from '../utils/oscalFormats.js';
+import { discoverProfiles } from '../utils/profileRegistry.js';
+import { discoverCatalogs } from '../utils/catalogRegistry.js';
+import { buildCrosswalk, crosswalkControl } from '../utils/crosswalk.js';
+import { createParamResolver, renderControlProse } from '../utils/paramRenderer.js';
+import { createSearchIndex, highlight } from '../utils/searchIndex.js';
+import { describeAssessment } from '../utils/assessmentObjectives.js';
+import { describeAddedParts, renderWithoutAddedParts } from '../utils/profileAdditions.js';
+import { buildControlGraph, traverseGraph, EDGE_TYPES } from '../utils/controlGraph.js';
+import { createLogger } from '../utils/logger.js';
 
-// Ensure all console logs go to stderr in this module
-const originalConsoleLog = console.log;
-console.log = function() {
-  console.error.apply(console, arguments);
-};
+const logger = createLogger('oscalService');
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
@@ -21,10 +32,237 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const OSCAL_CONTENT_PATH = process.env.OSCAL_CONTENT_PATH || 
   path.resolve(__dirname, '../../oscal-content');
-const CATALOGS_PATH = path.join(OSCAL_CONTENT_PATH, 'catalogs/nist.gov/SP800-53');
+// Catalogs are kept as catalogs/<org>/<name> (see catalogRegistry)
+const CATALOGS_PATH = path.join(OSCAL_CONTENT_PATH, 'catalogs');
+// The catalog profiles are resolved against, and controls are looked up in unless another is asked for,
+// as catalog.json, catalog.xml or catalog.yaml
+const DEFAULT_CATALOG_PATH = path.join(CATALOGS_PATH, 'nist.gov/SP800-53/catalog');
 const PROFILES_BASE_PATH = path.join(OSCAL_CONTENT_PATH, 'profiles');
-const BASELINES_PATH = path.join(PROFILES_BASE_PATH, 'baselines');
-const FEDRAMP_PATH = path.join(PROFILES_BASE_PATH, 'fedramp');
+
+// Names under which profiles import the SP 800-53 catalog, resolved to the local copy
+const CATALOG_ALIASES = ['NIST_SP-800-53_rev5_catalog', 'NIST_SP-800-53_rev5_catalog-min']
+  .flatMap(name => OSCAL_EXTENSIONS.map(extension => `${name}${extension}`));
+
+// Service state loaded from catalogs, and from profiles (whose resolutions also depend on the catalogs)
+const CATALOG_STATE = ['catalogRegistryPromise', 'catalogPromises'];
+const PROFILE_STATE = ['profileRegistryPromise', 'profilesByType', 'resolvedProfiles', 'baselineProfiles', 'fedrampProfiles', 'profiles'];
+
+/**
+ * Present an indexed control without its raw OSCAL parts
+ */
+function describeControl(control) {
+  const described = { ...control };
+  delete described.parts;
+  return described;
+}
+
+/**
+ * Present a registry entry without its file path
+ */
+function withoutPath(entry) {
+  const described = { ...entry };
+  delete described.path;
+  return described;
+}
+
+// Edges from a withdrawn control to the controls that replace it
+const WITHDRAWAL_EDGE_TYPES = ['incorporated-into', 'moved-to'];
+
+/**
+ * Describe the controls a withdrawn control was incorporated into or moved to
+ */
+function describeSuccessors(catalog, graph, controlId) {
+  return (graph.outgoing.get(controlId) || [])
+    .filter(edge => WITHDRAWAL_EDGE_TYPES.includes(edge.type))
+    .map(edge => {
+      const successor = catalog.controls.get(edge.to);
+      return { id: successor.id, title: successor.title, status: successor.status, relation: edge.type };
+    });
+}
+
+/**
+ * Add the successors of a described control when it is withdrawn
+ */
+function addSuccessors(result, catalog, graph) {
+  if (result.status === 'withdrawn') {
+    result.successors = describeSuccessors(catalog, graph, result.id);
+  }
+  return result;
+}
+
+// Indexes of resolved profile catalogs, built when a control is first rendered with the profile
+const resolutionIndexes = new WeakMap();
+
+/**
+ * Index a profile resolution's catalog and parse its parameter settings
+ */
+function indexResolution(resolution) {
+  if (!resolutionIndexes.has(resolution)) {
+    const settings = {};
+    for (const [paramId, setting] of Object.entries(resolution.parameterSettings)) {
+      settings[paramId] = parseParam({ ...setting, id: paramId });
+    }
+    resolutionIndexes.set(resolution, { index: parseCatalog(resolution.catalog), settings });
+  }
+  return resolutionIndexes.get(resolution);
+}
+
+// Full-text indexes of catalogs, built on the first search
+const searchIndexes = new WeakMap();
+
+// Relationship graphs of catalogs, built on the first traversal
+const controlGraphs = new WeakMap();
+
+// Weight of each control field in search ranking
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  statement: 2,
+  parameters: 1,
+  guidance: 1,
+  enhancements: 0.5
+};
+
+/**
+ * Get a control's searchable text, with parameter placeholders shown as their labels
+ */
+function searchableText(catalog, control) {
+  const { render } = createParamResolver({ params: catalog.params });
+  const parameters = control.params.flatMap(param => [
+    param.label,
+    ...param.guidelines,
+    ...(param.values || []),
+    ...(param.select?.choice || []),
+    ...(param.constraints || [])
+  ]);
+  
+  return {
+    title: control.title,
+    statement: render(control.statement),
+    guidance: render(control.guidance),
+    parameters: render(parameters.filter(Boolean).join('\n')),
+    enhancements: control.enhancements.map(id => catalog.controls.get(id)?.title).filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Index a catalog's controls for full-text search
+ */
+function buildSearchIndex(catalog) {
+  const documents = [...catalog.controls.values()].map(control => ({
+    id: control.id,
+    fields: searchableText(catalog, control)
+  }));
+  return createSearchIndex(documents, SEARCH_FIELD_WEIGHTS);
+}
+
+/**
+ * Excerpt the fields of a control that match a search
+ */
+function highlightControl(catalog, control, terms) {
+  const fields = searchableText(catalog, control);
+  return Object.keys(SEARCH_FIELD_WEIGHTS)
+    .map(field => ({ field, snippet: highlight(fields[field], terms) }))
+    .filter(({ snippet }) => snippet);
+}
+
+/**
+ * Group control IDs from a baseline comparison by family
+ */
+function groupByFamily(catalog, comparison) {
+  const families = new Map();
+  for (const [change, controlIds] of Object.entries(comparison)) {
+    for (const controlId of controlIds) {
+      const family = catalog.controls.get(controlId)?.family || controlId.split('-')[0];
+      if (!families.has(family)) {
+        const title = catalog.families.find(candidate => candidate.id === family)?.title;
+        families.set(family, { family, title, added: [], removed: [], common: [] });
+      }
+      families.get(family)[change].push(controlId);
+    }
+  }
+  return [...families.values()].sort((a, b) => a.family.localeCompare(b.family));
+}
+
+/**
+ * Count the base controls and enhancements among control IDs
+ */
+function countByType(catalog, controlIds) {
+  const enhancements = controlIds.filter(id => catalog.controls.get(id)?.parent || id.includes('(')).length;
+  return { controls: controlIds.length - enhancements, enhancements };
+}
+
+/**
+ * Find the control a parameter belongs to, from the catalog or else from the parameter ID (e.g., ac-02_odp.06)
+ */
+function parameterControlId(owners, paramId) {
+  if (owners.has(paramId)) {
+    return owners.get(paramId);
+  }
+  const match = /^([a-z]{2})-0*(\d+)(?:\.0*(\d+))?_/i.exec(paramId);
+  if (!match) {
+    return undefined;
+  }
+  return toControlKey(`${match[1]}-${match[2]}${match[3] ? `.${match[3]}` : ''}`);
+}
+
+/**
+ * Summarize what a profile sets a parameter to
+ */
+function describeSetting(paramId, setting) {
+  const { label, values, select, constraints } = parseParam({ ...setting, id: paramId });
+  const result = {};
+  if (label) result.label = label;
+  if (values) result.values = values;
+  if (select) result.select = select;
+  if (constraints) result.constraints = constraints.map(constraint => constraint.trim());
+  return result;
+}
+
+/**
+ * Diff the parameter settings (e.g., FedRAMP constraints) of two profiles
+ */
+function diffParameterSettings(catalog, fromSettings, toSettings) {
+  const owners = new Map();
+  for (const control of catalog.controls.values()) {
+    for (const param of control.params) {
+      owners.set(param.id, control.id);
+    }
+  }
+  
+  const diff = { added: [], removed: [], changed: [] };
+  for (const paramId of new Set([...Object.keys(fromSettings), ...Object.keys(toSettings)])) {
+    const entry = { paramId, controlId: parameterControlId(owners, paramId) };
+    if (fromSettings[paramId]) entry.from = describeSetting(paramId, fromSettings[paramId]);
+    if (toSettings[paramId]) entry.to = describeSetting(paramId, toSettings[paramId]);
+    
+    if (!entry.from) {
+      diff.added.push(entry);
+    } else if (!entry.to) {
+      diff.removed.push(entry);
+    } else if (JSON.stringify(entry.from) !== JSON.stringify(entry.to)) {
+      diff.changed.push(entry);
+    }
+  }
+  
+  const byControl = (a, b) => compareControlIds(a.controlId || '', b.controlId || '') || a.paramId.localeCompare(b.paramId);
+  for (const entries of Object.values(diff)) {
+    entries.sort(byControl);
+  }
+  return diff;
+}
+
+/**
+ * Present an indexed control as a search result
+ */
+function summarizeControl(control) {
+  return {
+    id: control.id,
+    title: control.title,
+    family: control.family,
+    status: control.status,
+    parent: control.parent
+  };
+}
 
 /**
  * The OSCAL service for accessing and processing OSCAL content
@@ -37,322 +275,1104 @@ export const oscalService = {
     try {
       // Check if OSCAL content exists
       await fs.access(OSCAL_CONTENT_PATH);
-      console.log(`OSCAL content found at ${OSCAL_CONTENT_PATH}`);
-      
-      // Load control catalog
-      await this.loadControlCatalog();
-      
-      // Pre-load both types of profiles for availability
-      this.baselineProfiles = {};
-      this.fedrampProfiles = {};
+      logger.info(`OSCAL content found at ${OSCAL_CONTENT_PATH}`);
       
-      // Load standard baselines
-      try {
-        this.baselineProfiles = await this.loadBaselineProfiles('baseline');
-        console.log(`Loaded ${Object.keys(this.baselineProfiles).length} baseline profiles`);
-      } catch (baselineError) {
-        console.log('Could not load standard baselines', baselineError.message);
+      await this.loadContent();
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize OSCAL service', error);
+      return false;
+    }
+  },
+
+  /**
+   * Discover the catalogs and profiles, and load the default catalog and the baseline profiles
+   */
+  async loadContent() {
+    // Discover the catalog revisions and load the default one
+    await this.getCatalogRegistry();
+    await this.getCatalog();
+    
+    // Discover profiles from their metadata
+    await this.getProfileRegistry();
+    
+    // Pre-load both types of profiles for availability
+    this.baselineProfiles = {};
+    this.fedrampProfiles = {};
+    
+    // Load standard baselines; loadBaselineProfiles logs how many it loaded
+    try {
+      this.baselineProfiles = await this.loadBaselineProfiles('baseline');
+    } catch (baselineError) {
+      logger.warning('Could not load standard baselines', { error: baselineError.message });
+    }
+    
+    // Load FedRAMP profiles
+    try {
+      this.fedrampProfiles = await this.loadBaselineProfiles('fedramp');
+    } catch (fedrampError) {
+      logger.warning('Could not load FedRAMP profiles', { error: fedrampError.message });
+    }
+    
+    // Set the default profiles based on what's available
+    if (Object.keys(this.baselineProfiles).length > 0) {
+      this.profiles = this.baselineProfiles;
+    } else if (Object.keys(this.fedrampProfiles).length > 0) {
+      this.profiles = this.fedrampProfiles;
+    } else {
+      throw new Error('No profiles could be loaded from any source');
+    }
+  },
+
+  /**
+   * Reload the catalogs and profiles from oscal-content after they have changed
+   * The new content is loaded beside the old, which keeps serving requests until it is swapped in
+   * at once; when the new content fails to load, the old content stays.
+   * @param {Object} [scope] - What changed
+   * @param {boolean} [scope.catalogs] - Whether the catalogs changed; profiles are reloaded either way
+   * @returns {Promise<Object>} - The content now loaded: { catalogs (IDs), profiles (count) }
+   */
+  async reloadContent({ catalogs = true } = {}) {
+    try {
+      // Stage the new content on an object with the service's methods and, for what did not change, its state
+      const staged = Object.create(this);
+      for (const key of catalogs ? [...CATALOG_STATE, ...PROFILE_STATE] : PROFILE_STATE) {
+        staged[key] = undefined;
       }
+      await staged.loadContent();
       
-      // Load FedRAMP profiles
-      try {
-        this.fedrampProfiles = await this.loadBaselineProfiles('fedramp');
-        console.log(`Loaded ${Object.keys(this.fedrampProfiles).length} FedRAMP profiles`);
-      } catch (fedrampError) {
-        console.log('Could not load FedRAMP profiles', fedrampError.message);
-      }
+      // Other catalogs are loaded again from the new registry when they are next asked for
+      Object.assign(this, staged);
       
-      // Set the default profiles based on what's available
-      if (Object.keys(this.baselineProfiles).length > 0) {
-        this.profiles = this.baselineProfiles;
-      } else if (Object.keys(this.fedrampProfiles).length > 0) {
-        this.profiles = this.fedrampProfiles;
-      } else {
-        throw new Error('No profiles could be loaded from any source');
+      const registry = await this.getCatalogRegistry();
+      return {
+        catalogs: registry.map(catalog => catalog.id),
+        profiles: (await this.getProfileRegistry()).length
+      };
+    } catch (error) {
+      logger.error('Failed to reload catalogs and profiles', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Discover the catalogs under oscal-content/catalogs, e.g. SP 800-53 Rev 4 and Rev 5 side by side
+   * with CIS Controls or an organization's own policy catalog
+   * @returns {Promise<Array>} - The catalogs (see catalogRegistry.discoverCatalogs), with default set
+   *   on the one profiles are resolved against
+   */
+  async loadCatalogRegistry() {
+    try {
+      const catalogs = (await discoverCatalogs(CATALOGS_PATH)).map(catalog => ({
+        ...catalog,
+        default: withoutExtension(catalog.path) === DEFAULT_CATALOG_PATH
+      }));
+      if (!catalogs.some(catalog => catalog.default)) {
+        throw new Error(`No catalog found at ${DEFAULT_CATALOG_PATH} (${OSCAL_EXTENSIONS.join(', ')})`);
       }
       
-      return true;
+      logger.info(`Discovered ${catalogs.length} catalogs: ${catalogs.map(catalog => catalog.id).join(', ')}`);
+      return catalogs;
     } catch (error) {
-      console.error('Failed to initialize OSCAL service:', error);
-      return false;
+      logger.error('Failed to discover catalogs', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the catalog registry, discovering catalogs on first use
+   * @returns {Promise<Array>} - The catalogs
+   */
+  async getCatalogRegistry() {
+    if (!this.catalogRegistryPromise) {
+      this.catalogRegistryPromise = this.loadCatalogRegistry().catch(error => {
+        // Let the next caller retry
+        this.catalogRegistryPromise = null;
+        throw error;
+      });
+    }
+    return this.catalogRegistryPromise;
+  },
+
+  /**
+   * List the catalogs that can be looked up by ID
+   * @returns {Promise<Array>} - Catalogs ({ id, uuid, title, version, revision, organization, file, default })
+   */
+  async listCatalogs() {
+    const catalogs = await this.getCatalogRegistry();
+    return catalogs.map(withoutPath);
+  },
+
+  /**
+   * Find a catalog by ID or UUID
+   * @param {string} [catalogId] - The catalog ID (e.g., rev4), or none for the default catalog
+   * @returns {Promise<Object>} - The catalog entry, with its path
+   */
+  async findCatalog(catalogId) {
+    const catalogs = await this.getCatalogRegistry();
+    const catalog = catalogId
+      ? catalogs.find(entry => entry.id === catalogId || entry.uuid === catalogId)
+      : catalogs.find(entry => entry.default);
+    if (!catalog) {
+      throw new Error(`Catalog not found: ${catalogId}. Available catalogs: ${catalogs.map(entry => entry.id).join(', ')}`);
     }
+    return catalog;
   },
 
   /**
-   * Load the NIST 800-53 control catalog
+   * Load a control catalog and index its controls
+   * @param {string} [catalogId] - The catalog ID, or none for the default catalog
+   * @returns {Promise<Object>} - The catalog index (see catalogParser.parseCatalog), with the catalog's id
    */
-  async loadControlCatalog() {
+  async loadControlCatalog(catalogId) {
     try {
-      // This is a placeholder implementation
-      // In a real implementation, you would load the catalog from OSCAL content
-      console.log('Loading control catalog...');
-      this.catalog = {
-        id: 'nist-800-53-rev5',
-        title: 'NIST SP 800-53 Revision 5',
-        families: [
-          'AC', 'AT', 'AU', 'CA', 'CM', 'CP', 'IA', 'IR', 'MA',
-          'MP', 'PE', 'PL', 'PM', 'PS', 'PT', 'RA', 'SA', 'SC', 'SI'
-        ],
-        controls: {}
-      };
+      const entry = await this.findCatalog(catalogId);
+      logger.info(`Loading control catalog ${entry.id} from ${entry.path}`);
+      
+      const catalog = { ...parseCatalog(await readOscalDocument(entry.path)), id: entry.id };
       
-      // In a real implementation, this would load the actual controls from OSCAL content
-      console.log('Control catalog loaded');
-      return this.catalog;
+      logger.info(`Control catalog ${entry.id} loaded: ${catalog.controls.size} controls in ${catalog.families.length} families`);
+      return catalog;
     } catch (error) {
-      console.error('Failed to load control catalog:', error);
+      logger.error(`Failed to load control catalog ${catalogId || ''}`.trim(), error);
       throw error;
     }
   },
 
   /**
-   * Load baseline profiles
-   * @param {string} [profileType] - Type of profile to load (baseline, fedramp)
+   * Get a catalog index, loading it on first use
+   * @param {string} [catalogId] - The catalog ID (e.g., rev4), or none for the default catalog
+   * @returns {Promise<Object>} - The catalog index
    */
-  async loadBaselineProfiles(profileType = 'baseline') {
-    console.log(`Loading ${profileType} profiles...`);
-    
-    let profilesPath;
-    if (profileType === 'fedramp') {
-      profilesPath = FEDRAMP_PATH;
-      console.log(`Using FedRAMP path: ${FEDRAMP_PATH}`);
-    } else {
-      profilesPath = BASELINES_PATH;
-      console.log(`Using baselines path: ${BASELINES_PATH}`);
+  async getCatalog(catalogId) {
+    const { id } = await this.findCatalog(catalogId);
+    this.catalogPromises = this.catalogPromises || new Map();
+    if (!this.catalogPromises.has(id)) {
+      this.catalogPromises.set(id, this.loadControlCatalog(id).catch(error => {
+        // Let the next caller retry
+        this.catalogPromises.delete(id);
+        throw error;
+      }));
     }
-    
-    // Check if profiles directory exists
+    return this.catalogPromises.get(id);
+  },
+
+  /**
+   * Discover the profiles under oscal-content/profiles from their metadata
+   * @returns {Promise<Array>} - The profiles (see profileRegistry.discoverProfiles)
+   */
+  async loadProfileRegistry() {
     try {
-      await fs.access(profilesPath);
+      await fs.access(PROFILES_BASE_PATH);
     } catch (error) {
-      console.error(`Profiles directory not found: ${profilesPath}`);
-      throw new Error(`Profiles directory not found: ${profilesPath}`);
+      logger.error(`Profiles directory not found: ${PROFILES_BASE_PATH}`);
+      throw new Error(`Profiles directory not found: ${PROFILES_BASE_PATH}`);
     }
     
-    // List available profiles
-    const profileFiles = await fs.readdir(profilesPath);
-    const jsonFiles = profileFiles.filter(file => file.endsWith('.json'));
+    const profiles = await discoverProfiles(PROFILES_BASE_PATH);
+    logger.info(`Discovered ${profiles.length} profiles in ${PROFILES_BASE_PATH}`);
+    return profiles;
+  },
+
+  /**
+   * Get the profile registry, discovering profiles on first use
+   * @returns {Promise<Array>} - The profiles
+   */
+  async getProfileRegistry() {
+    if (!this.profileRegistryPromise) {
+      this.profileRegistryPromise = this.loadProfileRegistry().catch(error => {
+        // Let the next caller retry
+        this.profileRegistryPromise = null;
+        throw error;
+      });
+    }
+    return this.profileRegistryPromise;
+  },
+
+  /**
+   * List the registered profiles
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.profileType] - Only profiles of this type (e.g., baseline, fedramp)
+   * @param {string} [filters.securityLevel] - Only profiles for this security level
+   * @returns {Promise<Array>} - The profiles ({ id, uuid, title, version, profileType, securityLevel, impactLevel, file })
+   */
+  async listProfiles({ profileType, securityLevel } = {}) {
+    const profiles = await this.getProfileRegistry();
+    return profiles
+      .filter(profile => !profileType || profile.profileType === profileType)
+      .filter(profile => !securityLevel || profile.securityLevel === securityLevel.toUpperCase())
+      .map(withoutPath);
+  },
+
+  /**
+   * Find a registered profile by ID or UUID
+   * @param {string} profileId - The profile ID (e.g., fedramp_high) or UUID
+   * @returns {Promise<Object>} - The profile, including its path
+   */
+  async findProfileById(profileId) {
+    const profiles = await this.getProfileRegistry();
+    const profile = profiles.find(candidate => candidate.id === profileId) ||
+      profiles.find(candidate => candidate.uuid === profileId);
     
-    if (jsonFiles.length === 0) {
-      console.error(`No profile JSON files found in ${profilesPath}`);
-      throw new Error(`No profile JSON files found in ${profilesPath}`);
+    if (!profile) {
+      throw new Error(`Profile not found: ${profileId}`);
     }
+    return profile;
+  },
+
+  /**
+   * Get a registered profile with the controls it selects
+   * @param {string} profileId - The profile ID or UUID
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The profile, the ID of the catalog it imports, its controls, the
+   *   controls missing from the catalog, and the number of parameters it sets
+   */
+  async getProfile(profileId, options = {}) {
+    const { path: profilePath, ...profile } = await this.findProfileById(profileId);
+    const resolution = await this.resolveProfile(profilePath, options);
+    const catalog = await this.findProfileCatalog({ path: profilePath }, options);
     
-    // Map security levels to profile files
-    this.profiles = {};
+    return {
+      ...profile,
+      catalog: catalog.id,
+      controls: resolution.controlIds.map(toControlKey),
+      missingControls: resolution.missingControlIds.map(toControlKey),
+      parameterCount: Object.keys(resolution.parameterSettings).length
+    };
+  },
+
+  /**
+   * Load the profiles of a type, keyed by the security level their metadata states
+   * When several profiles state the same level, the first by path is used.
+   * @param {string} [profileType] - Type of profile to load (e.g., baseline, fedramp)
+   * @returns {Promise<Object>} - Profiles keyed by security level
+   */
+  async loadBaselineProfiles(profileType = 'baseline') {
+    logger.info(`Loading ${profileType} profiles...`);
     
-    // Basic mapping based on filename patterns
-    for (const file of jsonFiles) {
-      let securityLevel;
-      
-      if (file.toLowerCase().includes('low')) {
-        securityLevel = 'LOW';
-        console.log(`Found LOW profile: ${file}`);
-      } else if (file.toLowerCase().includes('moderate')) {
-        securityLevel = 'MODERATE';
-        console.log(`Found MODERATE profile: ${file}`);
-      } else if (file.toLowerCase().includes('high')) {
-        securityLevel = 'HIGH';
-        console.log(`Found HIGH profile: ${file}`);
+    const profiles = {};
+    for (const profile of (await this.getProfileRegistry()).filter(candidate => candidate.profileType === profileType)) {
+      if (!profile.securityLevel) {
+        logger.debug(`Profile ${profile.id} does not state a security level`);
+      } else if (profiles[profile.securityLevel]) {
+        logger.debug(`Using ${profiles[profile.securityLevel].id} for ${profileType} ${profile.securityLevel}, not ${profile.id}`);
       } else {
-        console.log(`Skipping file that doesn't match security levels: ${file}`);
-        continue;
+        profiles[profile.securityLevel] = profile;
       }
-      
-      // Store the profile info with its path
-      this.profiles[securityLevel] = {
-        id: path.basename(file, '.json'),
-        title: `${profileType === 'fedramp' ? 'FedRAMP' : ''} ${securityLevel.charAt(0) + securityLevel.slice(1).toLowerCase()} Impact Baseline`,
-        path: path.join(profilesPath, file)
-      };
     }
     
     // Check if we found profiles
-    if (Object.keys(this.profiles).length === 0) {
-      console.error(`Could not identify security levels in profile files`);
-      throw new Error(`Could not identify security levels in profile files`);
+    if (Object.keys(profiles).length === 0) {
+      logger.error(`No ${profileType} profiles with a security level found in ${PROFILES_BASE_PATH}`);
+      throw new Error(`No ${profileType} profiles with a security level found in ${PROFILES_BASE_PATH}`);
     }
     
-    console.log(`Loaded ${Object.keys(this.profiles).length} ${profileType} profiles`);
+    logger.info(`Loaded ${Object.keys(profiles).length} ${profileType} profiles`);
+    this.profilesByType = { ...this.profilesByType, [profileType]: profiles };
     // Store the profiles in the appropriate property based on type
     if (profileType === 'fedramp') {
-      this.fedrampProfiles = this.profiles;
-    } else {
-      this.baselineProfiles = this.profiles;
+      this.fedrampProfiles = profiles;
+    } else if (profileType === 'baseline') {
+      this.baselineProfiles = profiles;
     }
     
-    return this.profiles;
+    return profiles;
   },
 
   /**
    * Get a control by ID
    * @param {string} controlId - The control ID (e.g., AC-2 or AC.2)
    * @param {boolean} includeEnhancements - Whether to include control enhancements
-   * @returns {Promise<Object>} - The control object
+   * @param {string} [catalogId] - The catalog to look the control up in (e.g., rev4), by default the default catalog
+   * @returns {Promise<Object>} - The control with its statement, guidance, objective and parameters.
+   *   Enhancements are listed by ID, or in full when includeEnhancements is set. Withdrawn controls
+   *   list their successors, the controls they were incorporated into or moved to.
+   */
+  async getControl(controlId, includeEnhancements = false, catalogId) {
+    try {
+      const catalog = await this.getCatalog(catalogId);
+      
+      // Normalize control ID; IDs in other schemes than SP 800-53's are matched as they are
+      const normalizedId = toControlKey(controlId);
+      
+      const control = catalog.controls.get(normalizedId);
+      if (!control) {
+        throw new Error(`Control not found: ${normalizedId}`);
+      }
+      
+      const graph = await this.getControlGraph(catalogId);
+      const describe = (entry) => addSuccessors(describeControl(entry), catalog, graph);
+      
+      const result = describe(control);
+      if (includeEnhancements) {
+        result.enhancements = control.enhancements.map(id => describe(catalog.controls.get(id)));
+      }
+      result.catalog = catalog.id;
+      return result;
+    } catch (error) {
+      logger.error(`Failed to get control ${controlId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a control with its prose rendered for a profile: parameter placeholders are replaced with
+   * values from the SSP, then the profile's set-parameters, then the catalog (see paramRenderer)
+   * @param {string} controlId - The control ID (e.g., AC-2 or AC.2)
+   * @param {Object} rendering - What to render the control for
+   * @param {string} [rendering.profileId] - ID or UUID of the profile
+   * @param {string} [rendering.securityLevel] - Security level of the profile (LOW, MODERATE, HIGH), when no profileId is given
+   * @param {string} [rendering.profileType] - Profile type (e.g., baseline, fedramp)
+   * @param {Object} [rendering.parameterValues] - Values the SSP defines, keyed by parameter ID
+   * @param {boolean} [rendering.includeEnhancements] - Whether to include control enhancements
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The control with rendered statement, guidance and objective, the
+   *   additionalRequirements and guidance the profile adds (e.g., FedRAMP's), the parameterValues
+   *   used and the unresolvedParameters the organization still has to define
    */
-  async getControl(controlId, includeEnhancements = false) {
+  async renderControl(controlId, { profileId, securityLevel, profileType, parameterValues = {}, includeEnhancements = false }, options = {}) {
     try {
-      // Normalize control ID
+      const catalog = await this.getCatalog();
       const normalizedId = normalizeControlId(controlId);
       
-      // This is a placeholder implementation
-      // In a real implementation, you would retrieve the control from OSCAL content
-      const control = {
-        id: normalizedId,
-        title: `Control ${normalizedId}`,
-        description: `This is a placeholder for control ${normalizedId}`,
-        family: normalizedId.split('-')[0] || normalizedId.split('.')[0],
-        enhancements: includeEnhancements ? [] : undefined
+      const baseControl = catalog.controls.get(normalizedId);
+      if (!baseControl) {
+        throw new Error(`Control not found: ${normalizedId}`);
+      }
+      
+      const graph = await this.getControlGraph();
+      const profile = await this.findReferencedProfile({ profileId, securityLevel, profileType });
+      const resolution = await this.resolveProfile(profile.path, options);
+      const { index, settings } = indexResolution(resolution);
+      
+      // Profile parameters carry its modifications; catalog parameters cover controls it does not select
+      const resolver = createParamResolver({
+        params: new Map([...catalog.params, ...index.params]),
+        settings,
+        values: parameterValues
+      });
+      
+      const render = (id) => {
+        const base = catalog.controls.get(id);
+        // Profiles may restructure controls, so family, parent and enhancements come from the catalog
+        let control = { ...(index.controls.get(id) || base), family: base.family, parent: base.parent, enhancements: base.enhancements };
+        
+        // Parts the profile adds are listed on their own rather than in the statement
+        const additionalRequirements = describeAddedParts(resolution.alterations[base.oscalId.toLowerCase()], resolver.render);
+        if (additionalRequirements.length > 0) {
+          control = { ...control, ...renderWithoutAddedParts(control, additionalRequirements) };
+        }
+        return addSuccessors({
+          ...describeControl(control),
+          ...renderControlProse(control, resolver),
+          additionalRequirements,
+          inProfile: index.controls.has(id)
+        }, catalog, graph);
+      };
+      
+      const result = render(normalizedId);
+      if (includeEnhancements) {
+        result.enhancements = baseControl.enhancements.map(render);
+      }
+      result.profile = {
+        id: profile.id,
+        title: profile.title,
+        profileType: profile.profileType,
+        securityLevel: profile.securityLevel
+      };
+      return result;
+    } catch (error) {
+      logger.error(`Failed to render control ${controlId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Explain a control for a baseline, combining in one response the catalog's statement and
+   * guidance, the requirements and guidance the profile adds (e.g., FedRAMP's), its parameter values
+   * and constraints, and the extension controls that give guidance for the control
+   * @param {string} controlId - The control ID (e.g., AC-2 or AC.2)
+   * @param {Object} explanation - What to explain the control for
+   * @param {string} [explanation.profileId] - ID or UUID of the profile
+   * @param {string} [explanation.securityLevel] - Security level of the profile (LOW, MODERATE, HIGH), when no profileId is given
+   * @param {string} [explanation.profileType] - Profile type, fedramp by default
+   * @param {Object} [explanation.parameterValues] - Values the SSP defines, keyed by parameter ID
+   * @param {string} [explanation.framework] - Extension framework to take guidance from (see extensionControlsService)
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The control's rendered statement and guidance, additionalRequirements,
+   *   parameters (with the source of each value) and unresolvedParameters, and the extensionGuidance
+   */
+  async explainControl(controlId, { profileId, securityLevel, profileType = 'fedramp', parameterValues = {}, framework }, options = {}) {
+    try {
+      const control = await this.renderControl(controlId, { profileId, securityLevel, profileType, parameterValues }, options);
+      
+      // Extension guidance is a supplement; the explanation stands without it
+      let extensionGuidance = [];
+      try {
+        const controlsPath = extensionControlsService.getFrameworkControlsPath(framework);
+        extensionGuidance = await extensionControlsService.getControlsByRelatedControl(control.id, controlsPath);
+      } catch (extensionError) {
+        logger.warning(`No extension guidance for ${control.id}`, { error: extensionError.message });
+      }
+      
+      const explanation = {
+        controlId: control.id,
+        title: control.title,
+        family: control.family,
+        status: control.status,
+        profile: control.profile,
+        inProfile: control.inProfile,
+        statement: control.statement,
+        guidance: control.guidance,
+        additionalRequirements: control.additionalRequirements,
+        parameters: control.parameterValues,
+        unresolvedParameters: control.unresolvedParameters,
+        extensionGuidance: extensionGuidance.map(({ id, title, description, family }) => ({ id, title, description, family }))
       };
+      if (control.successors) {
+        explanation.successors = control.successors;
+      }
+      return explanation;
+    } catch (error) {
+      logger.error(`Failed to explain control ${controlId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a control's assessment objectives, with the methods (EXAMINE, INTERVIEW, TEST) used to
+   * assess each and the parts that need a response in an SSP, as a profile such as FedRAMP's adds
+   * them to the catalog (see assessmentObjectives.describeAssessment)
+   * @param {string} controlId - The control ID (e.g., AC-2 or AC.2)
+   * @param {Object} [reference] - The profile whose additions to read; without one, only the catalog's objectives
+   * @param {string} [reference.profileId] - ID or UUID of the profile
+   * @param {string} [reference.securityLevel] - Security level of the profile (LOW, MODERATE, HIGH), when no profileId is given
+   * @param {string} [reference.profileType] - Profile type, fedramp by default
+   * @param {Object} [reference.parameterValues] - Values the SSP defines, keyed by parameter ID, for rendering prose
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The control's objectives, methods and responsePoints, with prose
+   *   rendered for the profile, and the catalog's assessmentMethods
+   */
+  async getAssessmentObjectives(controlId, { profileId, securityLevel, profileType = 'fedramp', parameterValues = {} } = {}, options = {}) {
+    try {
+      const catalog = await this.getCatalog();
+      const normalizedId = normalizeControlId(controlId);
+      const control = catalog.controls.get(normalizedId);
+      
+      let profile;
+      let adds;
+      let resolver = createParamResolver({ params: catalog.params, values: parameterValues });
+      if (profileId || securityLevel) {
+        profile = await this.findReferencedProfile({ profileId, securityLevel, profileType });
+        const resolution = await this.resolveProfile(profile.path, options);
+        const { index, settings } = indexResolution(resolution);
+        adds = Object.entries(resolution.alterations).find(([id]) => toControlKey(id) === normalizedId)?.[1];
+        resolver = createParamResolver({
+          params: new Map([...catalog.params, ...index.params]),
+          settings,
+          values: parameterValues
+        });
+      }
       
-      return control;
+      // Controls a minimal catalog lacks are still described by what the profile adds to them
+      if (!control && !adds) {
+        throw new Error(`Control not found: ${normalizedId}`);
+      }
+      
+      // The profile's adds go on the catalog's control; the resolved control already has them applied where found
+      const { objectives, methods, responsePoints } = describeAssessment(control, adds);
+      const result = {
+        controlId: normalizedId,
+        title: control?.title,
+        objectives: objectives.map(objective => ({ ...objective, prose: resolver.render(objective.prose) })),
+        methods,
+        assessmentMethods: (control?.assessmentMethods || []).map(method => ({ ...method, objects: resolver.render(method.objects) })),
+        responsePoints: responsePoints.map(point => ({ ...point, prose: resolver.render(point.prose) }))
+      };
+      if (profile) {
+        result.profile = {
+          id: profile.id,
+          title: profile.title,
+          profileType: profile.profileType,
+          securityLevel: profile.securityLevel
+        };
+      }
+      return result;
     } catch (error) {
-      console.error(`Failed to get control ${controlId}:`, error);
+      logger.error(`Failed to get assessment objectives for ${controlId}`, error);
       throw error;
     }
   },
 
+  /**
+   * Get the parts of each control that a profile marks as needing a response in an SSP
+   * @param {Object} reference - The profile ({ profileId } or { securityLevel, profileType })
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Map>} - Response points ({ partId, type, label }) keyed by control ID, for
+   *   controls that have any
+   */
+  async getResponsePoints(reference, options = {}) {
+    const catalog = await this.getCatalog();
+    const profile = await this.findReferencedProfile(reference);
+    const resolution = await this.resolveProfile(profile.path, options);
+    
+    const responsePoints = new Map();
+    for (const [oscalId, adds] of Object.entries(resolution.alterations)) {
+      const controlId = toControlKey(oscalId);
+      const points = describeAssessment(catalog.controls.get(controlId), adds).responsePoints;
+      if (points.length > 0) {
+        responsePoints.set(controlId, points.map(({ partId, type, label }) => ({ partId, type, label })));
+      }
+    }
+    return responsePoints;
+  },
+
+  /**
+   * List the IDs of every control and enhancement in the catalog
+   * @returns {Promise<Array>} - Control IDs (e.g., AC-2, AC-2(1))
+   */
+  async listControlIds() {
+    const catalog = await this.getCatalog();
+    return [...catalog.controls.keys()];
+  },
+
+  /**
+   * Get the full-text index over a catalog, building it on first use
+   * @param {string} [catalogId] - The catalog ID, or none for the default catalog
+   * @returns {Promise<Object>} - The search index (see searchIndex.createSearchIndex)
+   */
+  async getSearchIndex(catalogId) {
+    const catalog = await this.getCatalog(catalogId);
+    if (!searchIndexes.has(catalog)) {
+      searchIndexes.set(catalog, buildSearchIndex(catalog));
+    }
+    return searchIndexes.get(catalog);
+  },
+
+  /**
+   * Get the IDs of the controls in baselines
+   * Without a security level, controls in a baseline of any level count; without a profile type,
+   * controls in a baseline of any type count, except that for a single level the standard
+   * baseline is used when there is one, otherwise FedRAMP's.
+   * @param {string} [securityLevel] - Security level (LOW, MODERATE, HIGH)
+   * @param {string} [profileType] - Profile type (e.g., baseline, fedramp)
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profiles
+   * @returns {Promise<Set>} - Normalized control IDs (e.g., AC-2(1))
+   */
+  async getBaselineMembership(securityLevel, profileType, options = {}) {
+    // Profile types that are not installed have no members, unless asked for by name
+    const loadProfiles = (type) => profileType ? this.getProfiles(type) : this.getProfiles(type).catch(() => ({}));
+    
+    const profiles = [];
+    if (securityLevel) {
+      const level = securityLevel.toUpperCase();
+      const type = profileType || ((await loadProfiles('baseline'))[level] ? 'baseline' : 'fedramp');
+      profiles.push([level, type]);
+    } else {
+      const profileTypes = new Set((await this.getProfileRegistry()).map(profile => profile.profileType));
+      for (const type of profileType ? [profileType] : profileTypes) {
+        for (const level of Object.keys(await loadProfiles(type))) {
+          profiles.push([level, type]);
+        }
+      }
+    }
+    
+    const members = new Set();
+    for (const [level, type] of profiles) {
+      for (const id of await this.getBaselineControls(level, type, { signal: options.signal })) {
+        members.add(toControlKey(id));
+      }
+    }
+    return members;
+  },
+
   /**
    * Search for controls
-   * @param {string} query - Search query (control ID, title, or keywords)
-   * @param {string} family - Control family (e.g., AC, SI, CM)
-   * @param {string} baseline - Security baseline (LOW, MODERATE, HIGH)
-   * @param {number} limit - Maximum number of results to return
-   * @returns {Promise<Array>} - Array of matching controls
+   * With a query, controls are ranked by relevance (BM25 over titles, statements, guidance,
+   * parameters and enhancement titles) and come with scores and highlighted snippets;
+   * without one they are listed in control ID order.
+   * @param {Object} [criteria] - Search criteria
+   * @param {string} [criteria.query] - Control ID, or keywords
+   * @param {string} [criteria.family] - Control family, as listed by getControlFamilies (e.g., AC, SI, CM)
+   * @param {string} [criteria.baseline] - Only controls in the baseline for this security level (LOW, MODERATE, HIGH)
+   * @param {string} [criteria.profileType] - Only controls in baselines of this type (baseline, fedramp)
+   * @param {string} [criteria.status] - Only active or withdrawn controls
+   * @param {boolean} [criteria.enhancement] - Only enhancements (true) or only base controls (false)
+   * @param {string} [criteria.catalogId] - The catalog to search (e.g., rev4), by default the default catalog
+   * @param {Object} [page] - Page options
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [page.limit] - Maximum number of controls to return
+   * @returns {Promise<Object>} - The page of controls, the total number of matches, facet counts over
+   *   all matches, and the nextCursor when there are more
    */
-  async searchControls(query, family, baseline, limit = 20) {
+  async searchControls(criteria = {}, page = {}) {
+    const { query, family, baseline, profileType, status, enhancement, catalogId } = criteria;
     try {
-      // This is a placeholder implementation
-      // In a real implementation, you would search through OSCAL content
-      const controls = [
-        { id: 'AC-1', title: 'Policy and Procedures', family: 'AC' },
-        { id: 'AC-2', title: 'Account Management', family: 'AC' },
-        { id: 'SI-4', title: 'Information System Monitoring', family: 'SI' },
-        { id: 'CM-6', title: 'Configuration Settings', family: 'CM' }
-      ];
-      
-      // Filter by family if provided
-      let results = controls;
+      const catalog = await this.getCatalog(catalogId);
+      let results;
+      
+      if (query?.trim()) {
+        const matches = (await this.getSearchIndex(catalogId)).search(query);
+        results = matches.map(({ id, score, terms }) => ({ control: catalog.controls.get(id), score, terms }));
+      
+        // A query that is a control ID ranks that control first, followed by its enhancements
+        const queryId = toControlKey(query.trim());
+        if (catalog.controls.has(queryId)) {
+          const topScore = results[0]?.score || 0;
+          const idMatches = [queryId, ...catalog.controls.get(queryId).enhancements].map((id, rank) => ({
+            control: catalog.controls.get(id),
+            score: topScore + (rank === 0 ? 2 : 1),
+            terms: new Set(),
+            idMatch: queryId
+          }));
+          const idMatched = new Set(idMatches.map(({ control }) => control.id));
+          results = [...idMatches, ...results.filter(({ control }) => !idMatched.has(control.id))];
+        }
+      } else {
+        results = [...catalog.controls.values()]
+          .sort((a, b) => compareControlIds(a.id, b.id))
+          .map(control => ({ control }));
+      }
+      
+      // Facet filters
       if (family) {
-        results = results.filter(control => control.family === family);
+        const upperFamily = family.toUpperCase();
+        results = results.filter(({ control }) => control.family.toUpperCase() === upperFamily);
+      }
+      if (baseline || profileType) {
+        const members = await this.getBaselineMembership(baseline, profileType);
+        results = results.filter(({ control }) => members.has(control.id));
+      }
+      if (status) {
+        results = results.filter(({ control }) => control.status === status);
+      }
+      if (enhancement !== undefined) {
+        results = results.filter(({ control }) => Boolean(control.parent) === enhancement);
       }
       
-      // Filter by query if provided
-      if (query) {
-        const lowerQuery = query.toLowerCase();
-        results = results.filter(control => 
-          control.id.toLowerCase().includes(lowerQuery) || 
-          control.title.toLowerCase().includes(lowerQuery)
+      const facets = { family: {}, status: {}, type: {} };
+      for (const { control } of results) {
+        const type = control.parent ? 'enhancement' : 'control';
+        facets.family[control.family] = (facets.family[control.family] || 0) + 1;
+        facets.status[control.status] = (facets.status[control.status] || 0) + 1;
+        facets.type[type] = (facets.type[type] || 0) + 1;
+      }
+      
+      const scope = JSON.stringify([query, family, baseline, profileType, status, enhancement, catalog.id]);
+      const { items, nextCursor } = paginate(results, { cursor: page.cursor, limit: page.limit ?? 20 }, scope);
+      
+      const controls = items.map(({ control, score, terms, idMatch }) => {
+        const result = summarizeControl(control);
+        if (score !== undefined) {
+          result.score = Math.round(score * 1000) / 1000;
+          result.highlights = highlightControl(catalog, control, terms);
+        }
+        if (idMatch) {
+          result.highlights.unshift({ field: 'id', snippet: control.id.replace(idMatch, `**${idMatch}**`) });
+        }
+        return result;
+      });
+      return { catalog: catalog.id, controls, total: results.length, facets, nextCursor };
+    } catch (error) {
+      logger.error('Failed to search controls', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the relationship graph of a catalog, building it on first use
+   * @param {string} [catalogId] - The catalog ID, or none for the default catalog
+   * @returns {Promise<Object>} - The graph (see controlGraph.buildControlGraph)
+   */
+  async getControlGraph(catalogId) {
+    const catalog = await this.getCatalog(catalogId);
+    if (!controlGraphs.has(catalog)) {
+      controlGraphs.set(catalog, buildControlGraph(catalog));
+    }
+    return controlGraphs.get(catalog);
+  },
+
+  /**
+   * Find out whether a control is withdrawn, and which controls replace it
+   * @param {string} controlId - The control ID (e.g., AC-2(10))
+   * @param {string} [catalogId] - The catalog ID, or none for the default catalog
+   * @returns {Promise<Object|undefined>} - { controlId, successors } for a withdrawn control, where each
+   *   successor is { id, title, status, relation (incorporated-into or moved-to) }; undefined for
+   *   active controls and controls not in the catalog
+   */
+  async getWithdrawal(controlId, catalogId) {
+    const catalog = await this.getCatalog(catalogId);
+    const normalizedId = toControlKey(controlId);
+    
+    if (catalog.controls.get(normalizedId)?.status !== 'withdrawn') {
+      return undefined;
+    }
+    const graph = await this.getControlGraph(catalogId);
+    return { controlId: normalizedId, successors: describeSuccessors(catalog, graph, normalizedId) };
+  },
+
+  /**
+   * Map every control of one catalog to another, e.g. Rev 4 to Rev 5
+   * @param {string} fromCatalogId - The catalog to map from (e.g., rev4)
+   * @param {string} [toCatalogId] - The catalog to map to, by default the default catalog
+   * @returns {Promise<Object>} - { from, to, mappings, added } (see crosswalk.buildCrosswalk)
+   */
+  async getCrosswalk(fromCatalogId, toCatalogId) {
+    const from = await this.getCatalog(fromCatalogId);
+    const to = await this.getCatalog(toCatalogId);
+    if (from === to) {
+      throw new Error(`Cannot crosswalk catalog ${from.id} to itself`);
+    }
+    
+    const crosswalk = buildCrosswalk(
+      { catalog: from, graph: await this.getControlGraph(from.id) },
+      { catalog: to, graph: await this.getControlGraph(to.id) }
+    );
+    return { from: from.id, to: to.id, ...crosswalk };
+  },
+
+  /**
+   * Map controls between catalogs, e.g. Rev 4 to Rev 5, covering renumbered, merged and withdrawn controls
+   * @param {Object} crosswalk - What to map
+   * @param {string} crosswalk.from - The catalog to map from (e.g., rev4)
+   * @param {string} [crosswalk.to] - The catalog to map to, by default the default catalog
+   * @param {string} [crosswalk.controlId] - Map this control only
+   * @param {string} [crosswalk.type] - Only mappings of this type (see crosswalk.MAPPING_TYPES)
+   * @param {Object} [page] - Page options
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [page.limit] - Maximum number of mappings to return
+   * @returns {Promise<Object>} - For a control, its mapping; otherwise a page of mappings, the count of
+   *   each type, the controls added in the target catalog and the nextCursor when there are more
+   */
+  async crosswalkControls({ from, to, controlId, type }, page = {}) {
+    try {
+      if (controlId) {
+        const source = await this.getCatalog(from);
+        const target = await this.getCatalog(to);
+        const normalizedId = toControlKey(controlId);
+        if (!source.controls.has(normalizedId)) {
+          throw new Error(`Control not found in ${source.id}: ${normalizedId}`);
+        }
+        if (source === target) {
+          throw new Error(`Cannot crosswalk catalog ${source.id} to itself`);
+        }
+        
+        const mapping = crosswalkControl(
+          { catalog: source, graph: await this.getControlGraph(source.id) },
+          { catalog: target, graph: await this.getControlGraph(target.id) },
+          normalizedId
         );
+        return { from: source.id, to: target.id, mapping };
       }
       
-      // Apply limit
-      results = results.slice(0, limit);
+      const crosswalk = await this.getCrosswalk(from, to);
+      const summary = {};
+      for (const mapping of crosswalk.mappings) {
+        summary[mapping.type] = (summary[mapping.type] || 0) + 1;
+      }
       
-      return results;
+      const mappings = type ? crosswalk.mappings.filter(mapping => mapping.type === type) : crosswalk.mappings;
+      const scope = JSON.stringify([crosswalk.from, crosswalk.to, type]);
+      const { items, nextCursor } = paginate(mappings, { cursor: page.cursor, limit: page.limit ?? 100 }, scope);
+      return {
+        from: crosswalk.from,
+        to: crosswalk.to,
+        summary,
+        added: crosswalk.added,
+        mappings: items,
+        total: mappings.length,
+        nextCursor
+      };
     } catch (error) {
-      console.error('Failed to search controls:', error);
+      logger.error(`Failed to crosswalk controls from ${from} to ${to || 'the default catalog'}`, error);
       throw error;
     }
   },
 
   /**
-   * Get all control families
-   * @returns {Promise<Array>} - Array of control families
+   * Get the controls related to a control, following related links, enhancements to their base
+   * controls, and withdrawn controls to the controls they were incorporated into or moved to
+   * @param {string} controlId - The control ID (e.g., AC-2)
+   * @param {Object} [traversal] - How to walk the graph
+   * @param {number} [traversal.depth] - Number of hops from the control
+   * @param {Array} [traversal.relations] - Edge types to follow (related, enhancement-of, incorporated-into, moved-to)
+   * @param {string} [traversal.direction] - outgoing (what the control points to), incoming (what points to it) or both
+   * @returns {Promise<Object>} - The related controls, each with its distance from the control, and
+   *   the typed edges ({ from, to, type }) between them
    */
-  async getControlFamilies() {
+  async getRelatedControls(controlId, { depth = 1, relations = EDGE_TYPES, direction = 'outgoing' } = {}) {
     try {
-      return this.catalog?.families || [
-        { id: 'AC', title: 'Access Control' },
-        { id: 'AT', title: 'Awareness and Training' },
-        { id: 'AU', title: 'Audit and Accountability' },
-        { id: 'CA', title: 'Assessment, Authorization, and Monitoring' },
-        { id: 'CM', title: 'Configuration Management' },
-        { id: 'CP', title: 'Contingency Planning' },
-        { id: 'IA', title: 'Identification and Authentication' },
-        { id: 'IR', title: 'Incident Response' },
-        { id: 'MA', title: 'Maintenance' },
-        { id: 'MP', title: 'Media Protection' },
-        { id: 'PE', title: 'Physical and Environmental Protection' },
-        { id: 'PL', title: 'Planning' },
-        { id: 'PM', title: 'Program Management' },
-        { id: 'PS', title: 'Personnel Security' },
-        { id: 'PT', title: 'PII Processing and Transparency' },
-        { id: 'RA', title: 'Risk Assessment' },
-        { id: 'SA', title: 'System and Services Acquisition' },
-        { id: 'SC', title: 'System and Communications Protection' },
-        { id: 'SI', title: 'System and Information Integrity' }
-      ];
+      const catalog = await this.getCatalog();
+      const normalizedId = normalizeControlId(controlId);
+      
+      const control = catalog.controls.get(normalizedId);
+      if (!control) {
+        throw new Error(`Control not found: ${normalizedId}`);
+      }
+      
+      const graph = await this.getControlGraph();
+      const { distances, edges } = traverseGraph(graph, normalizedId, { depth, types: relations, direction });
+      
+      const controls = [...distances]
+        .filter(([id]) => id !== normalizedId)
+        .sort(([a, distanceA], [b, distanceB]) => distanceA - distanceB || compareControlIds(a, b))
+        .map(([id, distance]) => ({ ...summarizeControl(catalog.controls.get(id)), distance }));
+      
+      return {
+        control: summarizeControl(control),
+        depth,
+        direction,
+        relations,
+        controls,
+        edges
+      };
     } catch (error) {
-      console.error('Failed to get control families:', error);
+      logger.error(`Failed to get controls related to ${controlId}`, error);
       throw error;
     }
   },
 
   /**
-   * Get baseline controls for a security level
-   * @param {string} securityLevel - Security level (LOW, MODERATE, HIGH)
-   * @param {string} [profileType] - Profile type to use (baseline, fedramp)
-   * @returns {Promise<Array>} - Array of baseline controls
+   * Get all control families: the catalog's top-level groups
+   * @param {string} [catalogId] - The catalog ID (e.g., rev4), by default the default catalog
+   * @returns {Promise<Array>} - Families from the catalog ({ id, title, controlCount })
    */
-  async getBaselineControls(securityLevel, profileType = 'baseline') {
-    // Normalize security level
-    const normalizedLevel = securityLevel.toUpperCase();
+  async getControlFamilies(catalogId) {
+    try {
+      const catalog = await this.getCatalog(catalogId);
+      return catalog.families;
+    } catch (error) {
+      logger.error('Failed to get control families', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve a profile against the default catalog
+   * @param {string} profilePath - Path of the profile document
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolution
+   * @returns {Promise<Object>} - The resolution (see profileResolver.resolveProfile)
+   */
+  async loadProfileResolution(profilePath, options = {}) {
+    const { path: catalogPath } = await this.findCatalog();
+    const resolution = await resolveProfile(profilePath, {
+      defaultImport: catalogPath,
+      aliases: CATALOG_ALIASES.reduce((aliases, name) => ({ ...aliases, [name]: catalogPath }), {}),
+      signal: options.signal
+    });
     
-    // Determine which profile set to use
-    let profileSet;
-    if (profileType === 'fedramp') {
-      // Use FedRAMP profiles
-      if (!this.fedrampProfiles || Object.keys(this.fedrampProfiles).length === 0) {
-        await this.loadBaselineProfiles('fedramp');
-      }
-      profileSet = this.fedrampProfiles;
-    } else {
-      // Use standard baselines
-      if (!this.baselineProfiles || Object.keys(this.baselineProfiles).length === 0) {
-        await this.loadBaselineProfiles('baseline');
-      }
-      profileSet = this.baselineProfiles;
+    if (resolution.missingControlIds.length > 0) {
+      logger.warning(`${resolution.missingControlIds.length} controls selected by ${path.basename(profilePath)} are not in the catalog`);
+    }
+    return resolution;
+  },
+
+  /**
+   * Resolve a profile into a resolved catalog, following its imports, merge and modify directives
+   * Resolutions are cached per profile path, and requests for a profile that is being resolved wait
+   * for that resolution; callers must not modify them.
+   * @param {string} profilePath - Path of the profile document
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Stops waiting for the resolution, which carries on for other callers
+   * @returns {Promise<Object>} - The resolution (see profileResolver.resolveProfile)
+   */
+  async resolveProfile(profilePath, options = {}) {
+    throwIfCancelled(options.signal);
+    this.resolvedProfiles = this.resolvedProfiles || new Map();
+    if (!this.resolvedProfiles.has(profilePath)) {
+      // Shared by every caller, so no one caller's signal may abort it
+      const resolvedProfiles = this.resolvedProfiles;
+      resolvedProfiles.set(profilePath, this.loadProfileResolution(profilePath).catch(error => {
+        // Let the next caller retry
+        resolvedProfiles.delete(profilePath);
+        throw error;
+      }));
     }
+    return waitUnlessCancelled(this.resolvedProfiles.get(profilePath), options.signal);
+  },
+
+  /**
+   * Find the catalog a profile's controls are imported from, directly or through other profiles
+   * @param {Object} profile - The registered profile
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The catalog entry (see findCatalog); the default catalog when the
+   *   profile imports none of the catalogs under oscal-content/catalogs
+   */
+  async findProfileCatalog(profile, options = {}) {
+    const { catalogLocations } = await this.resolveProfile(profile.path, options);
+    const catalogs = await this.getCatalogRegistry();
+    return catalogs.find(entry => catalogLocations.includes(path.resolve(entry.path))) || this.findCatalog();
+  },
+
+  /**
+   * Get the profiles of a type, keyed by security level, loading them if needed
+   * @param {string} [profileType] - Profile type (e.g., baseline, fedramp)
+   * @returns {Promise<Object>} - Profiles (see listProfiles, with their path) keyed by security level
+   */
+  async getProfiles(profileType = 'baseline') {
+    if (!this.profilesByType?.[profileType]) {
+      await this.loadBaselineProfiles(profileType);
+    }
+    return this.profilesByType[profileType];
+  },
+
+  /**
+   * Find the profile for a security level, loading the profiles of that type if needed
+   * @param {string} securityLevel - Security level (LOW, MODERATE, HIGH)
+   * @param {string} [profileType] - Profile type (baseline, fedramp)
+   * @returns {Promise<Object>} - The profile ({ id, title, path })
+   */
+  async findProfile(securityLevel, profileType = 'baseline') {
+    const normalizedLevel = securityLevel.toUpperCase();
+    const profileSet = await this.getProfiles(profileType);
     
     // Check if the requested security level exists
     if (!profileSet[normalizedLevel]) {
       throw new Error(`Security level ${normalizedLevel} not found in ${profileType} profiles`);
     }
     
-    // Profile path
-    const profilePath = profileSet[normalizedLevel].path;
-    
-    if (!profilePath) {
+    if (!profileSet[normalizedLevel].path) {
       throw new Error(`No path found for ${profileType} profile ${normalizedLevel}`);
     }
-    
-    // Read and parse the profile
-    const profileData = await fs.readFile(profilePath, 'utf8');
-    const profile = JSON.parse(profileData);
-    
-    // Extract control IDs - this depends on the structure of the profile
-    let controlIds = [];
-    
-    // Navigate through the profile structure to find controls
-    if (profile.profile?.imports) {
-      for (const importObj of profile.profile.imports) {
-        if (importObj['include-controls']) {
-          for (const includeControl of importObj['include-controls']) {
-            if (includeControl['with-ids']) {
-              controlIds = controlIds.concat(includeControl['with-ids']);
-            }
-          }
-        }
+    return profileSet[normalizedLevel];
+  },
+
+  /**
+   * Compare two baselines: the controls and enhancements one adds to or removes from the other,
+   * and how their profiles' parameter settings (e.g., FedRAMP constraints) differ
+   * @param {Object} from - The baseline to compare from ({ profileId } or { securityLevel, profileType })
+   * @param {Object} to - The baseline to compare to ({ profileId } or { securityLevel, profileType })
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profiles
+   * @param {Function} [options.onProgress] - Progress callback (progress, total, message)
+   * @returns {Promise<Object>} - The comparison: the two baselines, a summary of counts, the added,
+   *   removed and common control IDs grouped by family, and the added, removed and changed parameters
+   */
+  async compareBaselines(from, to, options = {}) {
+    try {
+      const catalog = await this.getCatalog();
+      
+      const baselines = [];
+      for (const [index, reference] of [from, to].entries()) {
+        const profile = await this.findReferencedProfile(reference);
+        const controlIds = await this.collectProfileControls(profile, subOperation(options, index, index + 1, 3));
+        const resolution = await this.resolveProfile(profile.path, options);
+        baselines.push({
+          profile,
+          controlIds: [...new Set(controlIds.map(toControlKey))].sort(compareControlIds),
+          settings: resolution.parameterSettings
+        });
       }
+      throwIfCancelled(options.signal);
+      reportProgress(options, 2, 3, 'Comparing baselines');
+      
+      const [source, target] = baselines;
+      const sourceIds = new Set(source.controlIds);
+      const targetIds = new Set(target.controlIds);
+      const comparison = {
+        added: target.controlIds.filter(id => !sourceIds.has(id)),
+        removed: source.controlIds.filter(id => !targetIds.has(id)),
+        common: source.controlIds.filter(id => targetIds.has(id))
+      };
+      
+      const describe = ({ profile, controlIds }) => ({
+        id: profile.id,
+        title: profile.title,
+        profileType: profile.profileType,
+        securityLevel: profile.securityLevel,
+        ...countByType(catalog, controlIds)
+      });
+      
+      reportProgress(options, 3, 3, `${comparison.added.length} added, ${comparison.removed.length} removed`);
+      return {
+        from: describe(source),
+        to: describe(target),
+        summary: {
+          added: countByType(catalog, comparison.added),
+          removed: countByType(catalog, comparison.removed),
+          common: countByType(catalog, comparison.common)
+        },
+        families: groupByFamily(catalog, comparison),
+        parameters: diffParameterSettings(catalog, source.settings, target.settings)
+      };
+    } catch (error) {
+      logger.error('Failed to compare baselines', error);
+      throw error;
     }
+  },
+
+  /**
+   * Get baseline controls for a security level
+   * @param {string} securityLevel - Security level (LOW, MODERATE, HIGH)
+   * @param {string} [profileType] - Profile type to use (baseline, fedramp)
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts loading the profile
+   * @param {Function} [options.onProgress] - Progress callback (progress, total, message)
+   * @returns {Promise<Array>} - Array of baseline controls
+   */
+  async getBaselineControls(securityLevel, profileType = 'baseline', options = {}) {
+    const profile = await this.findProfile(securityLevel, profileType);
+    return this.collectProfileControls(profile, options);
+  },
+    
+  /**
+   * Get the controls a registered profile selects
+   * @param {string} profileId - The profile ID or UUID
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts loading the profile
+   * @param {Function} [options.onProgress] - Progress callback (progress, total, message)
+   * @returns {Promise<Array>} - Array of baseline controls
+   */
+  async getProfileControls(profileId, options = {}) {
+    const profile = await this.findProfileById(profileId);
+    return this.collectProfileControls(profile, options);
+  },
+
+  /**
+   * Resolve a profile and collect the IDs of the controls it selects
+   * @param {Object} profile - The registered profile
+   * @param {Object} [options] - Operation options
+   * @returns {Promise<Array>} - OSCAL control IDs (e.g., ac-2.1)
+   */
+  async collectProfileControls(profile, options = {}) {
+    // Resolve the profile; large profiles such as FedRAMP High take a moment
+    reportProgress(options, 0, 3, `Resolving profile ${profile.id}`);
+    const resolution = await this.resolveProfile(profile.path, options);
+    
+    throwIfCancelled(options.signal);
+    reportProgress(options, 2, 3, 'Collecting baseline controls');
+    const { controlIds } = resolution;
     
     if (controlIds.length === 0) {
-      throw new Error(`No controls found in profile: ${profilePath}`);
+      throw new Error(`No controls found in profile: ${profile.path}`);
     }
     
-    console.log(`Found ${controlIds.length} controls for ${normalizedLevel} in ${profileType} profile`);
-    return controlIds;
+    logger.debug(`Found ${controlIds.length} controls in profile ${profile.id}`);
+    reportProgress(options, 3, 3, `Found ${controlIds.length} baseline controls`);
+    return [...controlIds];
+  },
+
+  /**
+   * Find the profile a request refers to: by ID, or by security level and profile type
+   * @param {Object} reference - { profileId } or { securityLevel, profileType }
+   * @returns {Promise<Object>} - The registered profile
+   */
+  async findReferencedProfile({ profileId, securityLevel, profileType = 'baseline' }) {
+    if (profileId) {
+      return this.findProfileById(profileId);
+    }
+    if (!securityLevel) {
+      throw new Error('Either a profileId or a securityLevel is required');
+    }
+    return this.findProfile(securityLevel, profileType);
   }
 };
 
@@ -8,13 +8,13 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { randomUUID } from 'crypto';
 import { oscalService } from './oscalService.js';
-import { normalize as normalizeControlId } from '../utils/controlUtils.js';
+import { compareControlIds } from '../utils/controlUtils.js';
+import { toControlKey } from '../utils/catalogParser.js';
+import { reportProgress, subOperation, throwIfCancelled } from '../utils/operation.js';
+import { paginate } from '../utils/pagination.js';
+import { createLogger } from '../utils/logger.js';
 
-// Ensure all console logs go to stderr in this module
-const originalConsoleLog = console.log;
-console.log = function() {
-  console.error.apply(console, arguments);
-};
+const logger = createLogger('sspService');
 
 // Get directory paths
 const __filename = fileURLToPath(import.meta.url);
@@ -24,6 +24,127 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
 const SSP_DIR = path.join(DATA_DIR, 'ssp');
 
+// SSP IDs name their files, so they are limited to characters that cannot leave SSP_DIR
+const SSP_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Check whether an SSP ID can be used to name an SSP file
+ * 
+ * @param {string} sspId - The SSP ID
+ * @returns {boolean} - True if the ID is a string matching SSP_ID_PATTERN
+ */
+export function isValidSSPId(sspId) {
+  return typeof sspId === 'string' && SSP_ID_PATTERN.test(sspId);
+}
+
+/**
+ * Get the path of an SSP's file, rejecting IDs that are not valid or would resolve outside SSP_DIR
+ */
+function sspFilePath(sspId) {
+  const sspDir = path.resolve(SSP_DIR);
+  const sspPath = path.resolve(sspDir, `${sspId}.json`);
+  if (!isValidSSPId(sspId) || path.dirname(sspPath) !== sspDir) {
+    throw new Error(`Invalid SSP ID: ${sspId}. SSP IDs may only contain letters, digits, dots, underscores and hyphens, and must start with a letter or digit`);
+  }
+  return sspPath;
+}
+
+/**
+ * Get the reference to the profile an SSP was created from
+ * SSPs created before profiles were recorded by ID name their profile type and security level.
+ */
+function sspProfileReference(ssp) {
+  const { profileId, profileType, securityImpactLevel, catalog, migratedFrom } = ssp.systemCharacteristics;
+  if (!profileId && migratedFrom) {
+    throw new Error(`SSP ${ssp.id} has no profile: it was migrated to catalog ${catalog}, which no ${securityImpactLevel} profile selects from`);
+  }
+  return profileId
+    ? { profileId }
+    : { profileType: profileType || 'baseline', securityLevel: securityImpactLevel };
+}
+
+/**
+ * Get the profile to render an SSP's controls for: a profile given by ID, type or level replaces
+ * the SSP's own, taking the SSP's type and level where it leaves them out
+ */
+function renderingProfile(ssp, { profileId, profileType, securityLevel }) {
+  return profileId || profileType || securityLevel
+    ? { profileId, profileType: profileType || ssp.systemCharacteristics.profileType, securityLevel: securityLevel || ssp.systemCharacteristics.securityImpactLevel }
+    : sspProfileReference(ssp);
+}
+
+/**
+ * Collect the parameter values an SSP's implementations define
+ * Parameter IDs are unique across the catalog, so enhancements can use values set on any implementation.
+ */
+function sspParameterValues(ssp) {
+  return Object.assign({}, ...ssp.controlImplementations.map(impl => impl.parameters || {}));
+}
+
+/**
+ * Find a profile of an SSP's type and security level that selects from another catalog, to replace
+ * the SSP's profile when it is migrated there
+ */
+async function findMigratedProfile(ssp, catalogId, options) {
+  const { securityImpactLevel, migratedFrom } = ssp.systemCharacteristics;
+  const profileType = ssp.systemCharacteristics.profileType || migratedFrom?.profileType || 'baseline';
+  const candidates = (await oscalService.getProfileRegistry()).filter(profile =>
+    profile.profileType === profileType && profile.securityLevel === securityImpactLevel?.toUpperCase());
+  for (const candidate of candidates) {
+    if ((await oscalService.findProfileCatalog(candidate, options)).id === catalogId) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Explain why a control is withdrawn, e.g. "Control AC-2(10) is withdrawn (incorporated into AC-2)"
+ */
+function describeWithdrawal({ controlId, successors }) {
+  const replacements = successors.map(successor => `${successor.relation.replace('-', ' ')} ${successor.id}`);
+  return `Control ${controlId} is withdrawn${replacements.length > 0 ? ` (${replacements.join(', ')})` : ''}`;
+}
+
+// A response point on the whole statement or objective (e.g., ac-10_smt) rather than one of its items
+const WHOLE_CONTROL_PART = /_(smt|obj)$/;
+
+/**
+ * Check whether an implementation responds to a response point: with a narrative for the part in
+ * its statements, or, for a part covering the whole control, with a description of its own
+ * The placeholder createSSP gives the baseline controls, until they are implemented, is no answer.
+ */
+function hasResponse(implementation, { partId }) {
+  if (implementation.statements?.[partId]?.trim()) {
+    return true;
+  }
+  return WHOLE_CONTROL_PART.test(partId) && !implementation.placeholder && Boolean(implementation.description?.trim());
+}
+
+// Implementation statuses from least to most complete; combined implementations take the least complete
+const STATUS_COMPLETENESS = ['PLANNED', 'PARTIALLY_IMPLEMENTED', 'ALTERNATIVE_IMPLEMENTATION', 'IMPLEMENTED', 'NOT_APPLICABLE'];
+
+/**
+ * Combine the implementations of controls that map to the same control in another catalog
+ */
+function combineImplementations(existing, incoming) {
+  // Each narrative is labelled with the control it came from, once
+  const labelled = (impl) => impl.migratedFrom.length === 1 ? `[${impl.migratedFrom[0]}] ${impl.description}` : impl.description;
+  const { placeholder, ...rest } = existing;
+  return {
+    ...rest,
+    // Still a placeholder only if neither implementation was written
+    ...(placeholder && incoming.placeholder ? { placeholder: true } : {}),
+    status: STATUS_COMPLETENESS[Math.min(
+      STATUS_COMPLETENESS.indexOf(existing.status),
+      STATUS_COMPLETENESS.indexOf(incoming.status)
+    )] || existing.status,
+    description: `${labelled(existing)}\n\n${labelled(incoming)}`,
+    responsibleRoles: [...new Set([...existing.responsibleRoles, ...incoming.responsibleRoles])],
+    migratedFrom: [...existing.migratedFrom, ...incoming.migratedFrom]
+  };
+}
+
 /**
  * The SSP service for managing System Security Plans
  */
@@ -37,10 +158,10 @@ export const sspService = {
       await fs.mkdir(DATA_DIR, { recursive: true });
       await fs.mkdir(SSP_DIR, { recursive: true });
       
-      console.log(`SSP directory: ${SSP_DIR}`);
+      logger.debug(`SSP directory: ${SSP_DIR}`);
       return true;
     } catch (error) {
-      console.error('Failed to initialize SSP service:', error);
+      logger.error('Failed to initialize SSP service', error);
       return false;
     }
   },
@@ -50,20 +171,35 @@ export const sspService = {
    * 
    * @param {string} title - Title of the SSP
    * @param {string} description - Description of the system
-   * @param {string} securityLevel - Security categorization level (LOW, MODERATE, HIGH)
-   * @param {string} systemId - Optional system identifier
+   * @param {string} [securityLevel] - Security categorization level (LOW, MODERATE, HIGH);
+   *   defaults to the level the profile states, if any
+   * @param {string} systemId - Optional system identifier, used as the SSP ID (letters, digits, dots, underscores and hyphens)
+   * @param {string} [profileId] - ID or UUID of the profile to take the baseline from (see oscalService.listProfiles);
+   *   without one, the FedRAMP baseline for the security level is used, or else the standard one
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts creation before the SSP is saved
+   * @param {Function} [options.onProgress] - Progress callback (progress, total, message)
    * @returns {Promise<Object>} - The created SSP
    */
-  async createSSP(title, description, securityLevel, systemId) {
+  async createSSP(title, description, securityLevel, systemId, profileId, options = {}) {
     try {
+      // Create a unique ID for the SSP
+      const id = systemId || randomUUID();
+      const sspPath = sspFilePath(id);
+      
+      const profile = profileId ? await oscalService.findProfileById(profileId) : undefined;
+      if (!securityLevel && !profile) {
+        throw new Error('securityLevel is required');
+      }
+      
       // Validate security level
       const validLevels = ['LOW', 'MODERATE', 'HIGH'];
-      if (!validLevels.includes(securityLevel)) {
+      if (securityLevel && !validLevels.includes(securityLevel)) {
         throw new Error(`Invalid security level: ${securityLevel}. Must be one of: ${validLevels.join(', ')}`);
       }
       
-      // Create a unique ID for the SSP
-      const id = systemId || randomUUID();
+      // A profile whose level is not Low, Moderate or High (e.g., DoD IL4) gives its own, when it states one
+      securityLevel = securityLevel || profile.securityLevel || profile.impactLevel;
       
       // Create the SSP object
       const ssp = {
@@ -88,43 +224,57 @@ export const sspService = {
         updated: new Date().toISOString(),
       };
       
-      // Get baseline controls for the security level
-      // If the user specified a profile type, use it, otherwise default to trying FedRAMP first
+      // Get baseline controls from the requested profile, otherwise default to trying FedRAMP first
       let baselineControls;
-      let profileType = 'fedramp'; // Default to FedRAMP
+      let baselineProfile = profile;
       
-      try {
-        // First try with FedRAMP
-        baselineControls = await oscalService.getBaselineControls(securityLevel, profileType);
-      } catch (fedrampError) {
-        console.log(`Could not use FedRAMP profile: ${fedrampError.message}`);
+      const baselineOptions = subOperation(options, 0, 2, 4);
+      if (baselineProfile) {
+        baselineControls = await oscalService.getProfileControls(baselineProfile.id, baselineOptions);
+      } else {
+        try {
+          // First try with FedRAMP
+          baselineProfile = await oscalService.findProfile(securityLevel, 'fedramp');
+          baselineControls = await oscalService.getProfileControls(baselineProfile.id, baselineOptions);
+        } catch (fedrampError) {
+          throwIfCancelled(options.signal);
+          logger.warning(`Could not use FedRAMP profile: ${fedrampError.message}`);
         
-        // Try with standard baseline as fallback
-        profileType = 'baseline';
-        baselineControls = await oscalService.getBaselineControls(securityLevel, profileType);
+          // Try with standard baseline as fallback
+          baselineProfile = await oscalService.findProfile(securityLevel, 'baseline');
+          baselineControls = await oscalService.getProfileControls(baselineProfile.id, baselineOptions);
+        }
       }
       
-      // Store the profile type used for this SSP
-      ssp.systemCharacteristics.profileType = profileType || 'standard';
+      // Store the profile used for this SSP, and the catalog its controls come from
+      ssp.systemCharacteristics.profileType = baselineProfile.profileType;
+      ssp.systemCharacteristics.profileId = baselineProfile.id;
+      ssp.systemCharacteristics.catalog = (await oscalService.findProfileCatalog(baselineProfile, options)).id;
       
       // Initialize control implementations
+      throwIfCancelled(options.signal);
+      reportProgress(options, 2, 4, `Adding ${baselineControls.length} baseline controls`);
       ssp.controlImplementations = baselineControls.map(controlId => {
         return {
-          controlId: normalizeControlId(controlId),
+          controlId: toControlKey(controlId),
           status: 'PLANNED',
           description: `Implementation of ${controlId} is planned.`,
           responsibleRoles: [],
+          // Until addControlImplementation replaces it, the description is no response to response points
+          placeholder: true,
         };
       });
       
-      // Save the SSP to file
-      const sspPath = path.join(SSP_DIR, `${id}.json`);
+      // Save the SSP to file; cancelling after this point no longer has any effect
+      reportProgress(options, 3, 4, 'Saving SSP');
+      throwIfCancelled(options.signal);
       await fs.writeFile(sspPath, JSON.stringify(ssp, null, 2));
       
-      console.log(`Created SSP ${id} at ${sspPath}`);
+      reportProgress(options, 4, 4, `Created SSP ${id}`);
+      logger.info(`Created SSP ${id} at ${sspPath}`);
       return ssp;
     } catch (error) {
-      console.error('Failed to create SSP:', error);
+      logger.error('Failed to create SSP', error);
       throw error;
     }
   },
@@ -136,30 +286,46 @@ export const sspService = {
    * @returns {Promise<Object>} - The SSP
    */
   async getSSP(sspId) {
+    const sspPath = sspFilePath(sspId);
     try {
-      const sspPath = path.join(SSP_DIR, `${sspId}.json`);
       const sspData = await fs.readFile(sspPath, 'utf8');
       return JSON.parse(sspData);
     } catch (error) {
-      console.error(`Failed to get SSP ${sspId}:`, error);
-      throw new Error(`SSP not found: ${sspId}`);
+      logger.error(`Failed to get SSP ${sspId}`, error);
+      throw new Error(error.code === 'ENOENT' ? `SSP not found: ${sspId}` : `Failed to read SSP ${sspId}: ${error.message}`);
     }
   },
 
   /**
-   * List all SSPs
+   * List the IDs of all saved SSPs
    * 
-   * @returns {Promise<Array>} - Array of SSPs
+   * @returns {Promise<Array>} - SSP IDs in sorted order
    */
-  async listSSPs() {
+  async listSSPIds() {
+    const files = await fs.readdir(SSP_DIR);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .filter(isValidSSPId)
+      .sort();
+  },
+
+  /**
+   * List SSPs, one page at a time, ordered by ID
+   * 
+   * @param {Object} [page] - Page options
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [page.limit] - Maximum number of SSPs to return
+   * @returns {Promise<Object>} - SSP summaries and the nextCursor, when there are more
+   */
+  async listSSPs(page = {}) {
     try {
-      const files = await fs.readdir(SSP_DIR);
-      const sspFiles = files.filter(file => file.endsWith('.json'));
+      // Only the SSPs on the requested page are read
+      const { items: sspIds, nextCursor } = paginate(await this.listSSPIds(), page);
       
       const ssps = [];
-      for (const file of sspFiles) {
-        const sspPath = path.join(SSP_DIR, file);
-        const sspData = await fs.readFile(sspPath, 'utf8');
+      for (const sspId of sspIds) {
+        const sspData = await fs.readFile(sspFilePath(sspId), 'utf8');
         const ssp = JSON.parse(sspData);
         
         // Include only summary information
@@ -173,9 +339,9 @@ export const sspService = {
         });
       }
       
-      return ssps;
+      return { ssps, nextCursor };
     } catch (error) {
-      console.error('Failed to list SSPs:', error);
+      logger.error('Failed to list SSPs', error);
       throw error;
     }
   },
@@ -188,15 +354,19 @@ export const sspService = {
    * @param {string} implementationStatus - Implementation status
    * @param {string} description - Description of the implementation
    * @param {Array} responsibleRoles - Roles responsible for the implementation
-   * @returns {Promise<Object>} - The updated control implementation
+   * @param {Object} [parameters] - Values the organization defines for the control's parameters, keyed by parameter ID
+   * @param {boolean} [allowWithdrawn] - Record the implementation even if the control is withdrawn
+   * @param {Object} [statements] - Narratives for the control's response points, keyed by part ID (e.g., ac-1_smt.a)
+   * @param {Object} [options] - Operation options (see utils/operation.js)
+   * @returns {Promise<Object>} - The updated control implementation, with warnings when the control is withdrawn
    */
-  async addControlImplementation(sspId, controlId, implementationStatus, description, responsibleRoles = []) {
+  async addControlImplementation(sspId, controlId, implementationStatus, description, responsibleRoles = [], parameters, allowWithdrawn = false, statements, options = {}) {
     try {
       // Get the SSP
       const ssp = await this.getSSP(sspId);
       
       // Normalize control ID
-      const normalizedControlId = normalizeControlId(controlId);
+      const normalizedControlId = toControlKey(controlId);
       
       // Validate implementation status
       const validStatuses = ['IMPLEMENTED', 'PARTIALLY_IMPLEMENTED', 'PLANNED', 'ALTERNATIVE_IMPLEMENTATION', 'NOT_APPLICABLE'];
@@ -204,6 +374,12 @@ export const sspService = {
         throw new Error(`Invalid implementation status: ${implementationStatus}. Must be one of: ${validStatuses.join(', ')}`);
       }
       
+      // Withdrawn controls should be implemented through their successors
+      const withdrawal = await oscalService.getWithdrawal(normalizedControlId, ssp.systemCharacteristics.catalog);
+      if (withdrawal && !allowWithdrawn) {
+        throw new Error(`${describeWithdrawal(withdrawal)}; implement its successors instead, or set allowWithdrawn to record it anyway`);
+      }
+      
       // Check if the control implementation already exists
       const implementationIndex = ssp.controlImplementations.findIndex(
         impl => impl.controlId === normalizedControlId
@@ -217,6 +393,12 @@ export const sspService = {
         responsibleRoles: responsibleRoles || [],
         lastUpdated: new Date().toISOString(),
       };
+      if (parameters && Object.keys(parameters).length > 0) {
+        implementation.parameters = parameters;
+      }
+      if (statements && Object.keys(statements).length > 0) {
+        implementation.statements = statements;
+      }
       
       if (implementationIndex >= 0) {
         ssp.controlImplementations[implementationIndex] = implementation;
@@ -227,13 +409,19 @@ export const sspService = {
       // Update the SSP
       ssp.updated = new Date().toISOString();
       
-      // Save the updated SSP
-      const sspPath = path.join(SSP_DIR, `${sspId}.json`);
+      // Save the updated SSP; cancelling after this point no longer has any effect
+      const sspPath = sspFilePath(sspId);
+      throwIfCancelled(options.signal);
       await fs.writeFile(sspPath, JSON.stringify(ssp, null, 2));
       
+      if (withdrawal) {
+        const warning = describeWithdrawal(withdrawal);
+        logger.warning(`${warning}; recorded in ${sspId} anyway`);
+        return { ...implementation, warnings: [warning], successors: withdrawal.successors };
+      }
       return implementation;
     } catch (error) {
-      console.error(`Failed to add control implementation for ${sspId}/${controlId}:`, error);
+      logger.error(`Failed to add control implementation for ${sspId}/${controlId}`, error);
       throw error;
     }
   },
@@ -251,7 +439,7 @@ export const sspService = {
       const ssp = await this.getSSP(sspId);
       
       // Normalize control ID
-      const normalizedControlId = normalizeControlId(controlId);
+      const normalizedControlId = toControlKey(controlId);
       
       // Find the control implementation
       const implementation = ssp.controlImplementations.find(
@@ -264,19 +452,161 @@ export const sspService = {
       
       return implementation;
     } catch (error) {
-      console.error(`Failed to get control implementation for ${sspId}/${controlId}:`, error);
+      logger.error(`Failed to get control implementation for ${sspId}/${controlId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a control with its prose rendered for an SSP, using the parameter values its
+   * implementations define and, unless another is given, the profile the SSP was created from
+   * 
+   * @param {string} sspId - The SSP ID
+   * @param {string} controlId - The control ID
+   * @param {Object} [rendering] - Rendering options
+   * @param {string} [rendering.profileId] - Profile ID or UUID, overriding the SSP's
+   * @param {string} [rendering.profileType] - Profile type, overriding the SSP's
+   * @param {string} [rendering.securityLevel] - Security level, overriding the SSP's
+   * @param {boolean} [rendering.includeEnhancements] - Whether to include control enhancements
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The rendered control (see oscalService.renderControl)
+   */
+  async renderControl(sspId, controlId, { profileId, profileType, securityLevel, includeEnhancements = false } = {}, options = {}) {
+    try {
+      const ssp = await this.getSSP(sspId);
+      const control = await oscalService.renderControl(controlId, {
+        ...renderingProfile(ssp, { profileId, profileType, securityLevel }),
+        parameterValues: sspParameterValues(ssp),
+        includeEnhancements
+      }, options);
+      return { ...control, sspId };
+    } catch (error) {
+      logger.error(`Failed to render control ${controlId} for ${sspId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Explain a control for an SSP: the explanation of the control for the SSP's profile (see
+   * oscalService.explainControl), with the SSP's parameter values and its implementation of the control
+   * 
+   * @param {string} sspId - The SSP ID
+   * @param {string} controlId - The control ID
+   * @param {Object} [explanation] - Explanation options
+   * @param {string} [explanation.profileId] - Profile ID or UUID, overriding the SSP's
+   * @param {string} [explanation.profileType] - Profile type, overriding the SSP's
+   * @param {string} [explanation.securityLevel] - Security level, overriding the SSP's
+   * @param {string} [explanation.framework] - Extension framework to take guidance from
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The explanation, with the implementation when the SSP has one
+   */
+  async explainControl(sspId, controlId, { profileId, profileType, securityLevel, framework } = {}, options = {}) {
+    try {
+      const ssp = await this.getSSP(sspId);
+      const explanation = await oscalService.explainControl(controlId, {
+        ...renderingProfile(ssp, { profileId, profileType, securityLevel }),
+        parameterValues: sspParameterValues(ssp),
+        framework
+      }, options);
+      
+      const implementation = ssp.controlImplementations.find(impl => impl.controlId === explanation.controlId);
+      return { ...explanation, implementation, sspId };
+    } catch (error) {
+      logger.error(`Failed to explain control ${controlId} for ${sspId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the controls related to a control, marking those the SSP already implements, so that
+   * narratives for related controls can be reviewed together
+   * 
+   * @param {string} sspId - The SSP ID
+   * @param {string} controlId - The control ID
+   * @param {Object} [traversal] - How to walk the graph (see oscalService.getRelatedControls)
+   * @returns {Promise<Object>} - The related controls, each with inSsp and, when it is in the SSP,
+   *   its implementationStatus
+   */
+  async getRelatedControls(sspId, controlId, traversal = {}) {
+    try {
+      const ssp = await this.getSSP(sspId);
+      const related = await oscalService.getRelatedControls(controlId, traversal);
+      
+      const implementations = new Map(ssp.controlImplementations.map(impl => [impl.controlId, impl]));
+      const describe = (control) => {
+        const implementation = implementations.get(control.id);
+        return implementation
+          ? { ...control, inSsp: true, implementationStatus: implementation.status }
+          : { ...control, inSsp: false };
+      };
+      
+      return {
+        ...related,
+        control: describe(related.control),
+        controls: related.controls.map(describe),
+        sspId
+      };
+    } catch (error) {
+      logger.error(`Failed to get controls related to ${controlId} for ${sspId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a control's assessment objectives and response points for an SSP, marking the response
+   * points its implementation already responds to
+   * 
+   * @param {string} sspId - The SSP ID
+   * @param {string} controlId - The control ID
+   * @param {Object} [reference] - A profile overriding the SSP's (see oscalService.getAssessmentObjectives)
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts resolving the profile
+   * @returns {Promise<Object>} - The objectives (see oscalService.getAssessmentObjectives), with
+   *   each response point's narrative from the SSP, or hasNarrative false
+   */
+  async getAssessmentObjectives(sspId, controlId, { profileId, profileType, securityLevel } = {}, options = {}) {
+    try {
+      const ssp = await this.getSSP(sspId);
+      
+      const parameterValues = sspParameterValues(ssp);
+      const profile = profileId || securityLevel
+        ? { profileId, securityLevel, profileType }
+        : sspProfileReference(ssp);
+      const assessment = await oscalService.getAssessmentObjectives(controlId, { ...profile, parameterValues }, options);
+      
+      const implementation = ssp.controlImplementations.find(impl => impl.controlId === assessment.controlId);
+      const describe = (point) => {
+        if (!implementation || !hasResponse(implementation, point)) {
+          return { ...point, hasNarrative: false };
+        }
+        return { ...point, hasNarrative: true, narrative: implementation.statements?.[point.partId] || implementation.description };
+      };
+      
+      return {
+        ...assessment,
+        responsePoints: assessment.responsePoints.map(describe),
+        implementationStatus: implementation?.status,
+        sspId
+      };
+    } catch (error) {
+      logger.error(`Failed to get assessment objectives for ${controlId} in ${sspId}`, error);
       throw error;
     }
   },
 
   /**
-   * List control implementations for an SSP
+   * List control implementations for an SSP, one page at a time, ordered by control ID
    * 
    * @param {string} sspId - The SSP ID
    * @param {string} status - Filter by implementation status
-   * @returns {Promise<Array>} - Array of control implementations
+   * @param {Object} [page] - Page options
+   * @param {string} [page.cursor] - Cursor from a previous page's nextCursor
+   * @param {number} [page.limit] - Maximum number of implementations to return
+   * @returns {Promise<Object>} - Control implementations and the nextCursor, when there are more
    */
-  async listControlImplementations(sspId, status) {
+  async listControlImplementations(sspId, status, page = {}) {
     try {
       // Get the SSP
       const ssp = await this.getSSP(sspId);
@@ -287,9 +617,11 @@ export const sspService = {
         implementations = implementations.filter(impl => impl.status === status);
       }
       
-      return implementations;
+      const sorted = [...implementations].sort((a, b) => compareControlIds(a.controlId, b.controlId));
+      const { items, nextCursor } = paginate(sorted, page, `${sspId}:${status || ''}`);
+      return { implementations: items, nextCursor };
     } catch (error) {
-      console.error(`Failed to list control implementations for ${sspId}:`, error);
+      logger.error(`Failed to list control implementations for ${sspId}`, error);
       throw error;
     }
   },
@@ -298,25 +630,65 @@ export const sspService = {
    * Validate an SSP against its baseline
    * 
    * @param {string} sspId - The SSP ID
+   * @param {Object} [options] - Operation options
+   * @param {AbortSignal} [options.signal] - Aborts the validation
+   * @param {Function} [options.onProgress] - Progress callback (progress, total, message)
    * @returns {Promise<Object>} - Validation results
    */
-  async validateSSP(sspId) {
+  async validateSSP(sspId, options = {}) {
     try {
       // Get the SSP
+      reportProgress(options, 0, 4, `Loading SSP ${sspId}`);
       const ssp = await this.getSSP(sspId);
+      throwIfCancelled(options.signal);
       
-      // Get baseline controls for the SSP's security level
-      const securityLevel = ssp.systemCharacteristics.securityImpactLevel;
-      const baselineControls = await oscalService.getBaselineControls(securityLevel);
+      // Get baseline controls from the profile the SSP was created from
+      const profile = await oscalService.findReferencedProfile(sspProfileReference(ssp));
+      const baselineControls = await oscalService.getProfileControls(profile.id, subOperation(options, 1, 3, 4));
+      throwIfCancelled(options.signal);
+      reportProgress(options, 3, 4, 'Checking control implementations');
       
       // Check if all baseline controls are implemented
-      const normalizedBaselineControls = baselineControls.map(c => normalizeControlId(c));
+      const normalizedBaselineControls = baselineControls.map(toControlKey);
       const implementedControls = ssp.controlImplementations.map(impl => impl.controlId);
       
       const missingControls = normalizedBaselineControls.filter(
         controlId => !implementedControls.includes(controlId)
       );
       
+      // Entries for withdrawn controls should move to their successors
+      const withdrawnControls = [];
+      for (const impl of ssp.controlImplementations) {
+        const withdrawal = await oscalService.getWithdrawal(impl.controlId, ssp.systemCharacteristics.catalog);
+        if (withdrawal) {
+          withdrawnControls.push({
+            controlId: impl.controlId,
+            status: impl.status,
+            successors: withdrawal.successors.map(successor => ({
+              ...successor,
+              inSsp: implementedControls.includes(successor.id)
+            })),
+            message: describeWithdrawal(withdrawal)
+          });
+        }
+      }
+      
+      // Response points the profile marks (e.g., FedRAMP's) need a narrative, unless the control does not apply
+      const responsePoints = await oscalService.getResponsePoints({ profileId: profile.id }, options);
+      const missingResponses = [];
+      for (const impl of ssp.controlImplementations.filter(impl => impl.status !== 'NOT_APPLICABLE')) {
+        const points = responsePoints.get(impl.controlId) || [];
+        const missing = points.filter(point => !hasResponse(impl, point));
+        if (missing.length > 0) {
+          missingResponses.push({
+            controlId: impl.controlId,
+            status: impl.status,
+            responsePoints: points.length,
+            missing: missing.map(point => point.partId)
+          });
+        }
+      }
+      
       // Check implementation status
       const implementationByStatus = {
         IMPLEMENTED: 0,
@@ -337,15 +709,145 @@ export const sspService = {
       const implementationPercentage = totalControls === 0 ? 0 : 
         (((implementedCount + (partiallyImplementedCount * 0.5)) / totalControls) * 100).toFixed(2);
       
+      reportProgress(options, 4, 4, 'Validation complete');
       return {
-        valid: missingControls.length === 0,
+        valid: missingControls.length === 0 && withdrawnControls.length === 0 && missingResponses.length === 0,
+        profileId: profile.id,
         missingControls,
+        withdrawnControls,
+        missingResponses,
         implementationByStatus,
         implementationPercentage: parseFloat(implementationPercentage),
         totalControls,
       };
     } catch (error) {
-      console.error(`Failed to validate SSP ${sspId}:`, error);
+      logger.error(`Failed to validate SSP ${sspId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Migrate an SSP's control implementations to another catalog revision (e.g., Rev 4 to Rev 5)
+   * The migrated SSP is saved under a new ID; the original is left as it is.
+   * 
+   * @param {string} sspId - The SSP ID
+   * @param {Object} [migration] - Migration options
+   * @param {string} [migration.fromCatalog] - The catalog the SSP was written against, by default the one it records
+   * @param {string} [migration.toCatalog] - The catalog to migrate to, by default the default catalog
+   * @param {string} [migration.targetSspId] - ID of the migrated SSP, by default <sspId>-<toCatalog>
+   * @param {boolean} [migration.dryRun] - Report the migration without saving it
+   * @param {Object} [options] - Operation options (see utils/operation.js)
+   * @returns {Promise<Object>} - The migration: how each implementation was mapped, a summary, the
+   *   implementations that need a human to review them, and the profile the migrated SSP uses (if any)
+   */
+  async migrateSSP(sspId, { fromCatalog, toCatalog, targetSspId, dryRun = false } = {}, options = {}) {
+    try {
+      const ssp = await this.getSSP(sspId);
+      const from = await oscalService.findCatalog(fromCatalog || ssp.systemCharacteristics.catalog);
+      const to = await oscalService.findCatalog(toCatalog);
+      if (from.id === to.id) {
+        throw new Error(`SSP ${sspId} already uses catalog ${to.id}`);
+      }
+      
+      const targetId = targetSspId || `${sspId}-${to.id.replace(/[^A-Za-z0-9._-]/g, '-')}`;
+      const targetPath = sspFilePath(targetId);
+      if (!dryRun && await fs.access(targetPath).then(() => true, () => false)) {
+        throw new Error(`SSP ${targetId} already exists`);
+      }
+      
+      const crosswalk = await oscalService.getCrosswalk(from.id, to.id);
+      const mappingsById = new Map(crosswalk.mappings.map(mapping => [mapping.controlId, mapping]));
+      
+      const migrated = new Map();
+      const mappings = [];
+      const review = [];
+      for (const impl of ssp.controlImplementations) {
+        const mapping = mappingsById.get(impl.controlId) ||
+          { controlId: impl.controlId, type: 'unmapped', targets: [], needsReview: true };
+        const targets = mapping.targets.map(target => target.id);
+        mappings.push({ controlId: impl.controlId, type: mapping.type, targets });
+        
+        const reasons = [];
+        if (targets.length === 0) {
+          reasons.push(mapping.type === 'withdrawn'
+            ? `Withdrawn in ${to.id} without a successor; the implementation was not carried over`
+            : `Not in ${to.id}; the implementation was not carried over`);
+        } else if (mapping.type === 'merged') {
+          reasons.push(`Incorporated into ${targets.join(', ')}; the narrative may need rewriting for the new control`);
+        }
+        if (targets.length > 1) {
+          reasons.push(`Split across ${targets.join(', ')}; the implementation was copied to each`);
+        }
+        if (impl.parameters && targets.length > 0) {
+          // Parameter IDs are not stable across revisions
+          reasons.push(`Parameter values were not carried over: ${Object.keys(impl.parameters).join(', ')}`);
+        }
+        if (impl.statements && targets.length > 0) {
+          // Neither are part IDs
+          reasons.push(`Response point narratives were not carried over: ${Object.keys(impl.statements).join(', ')}`);
+        }
+        
+        for (const target of targets) {
+          const entry = { ...impl, controlId: target, migratedFrom: [impl.controlId] };
+          delete entry.parameters;
+          delete entry.statements;
+          const existing = migrated.get(target);
+          if (existing) {
+            reasons.push(`Combined with the implementation of ${existing.migratedFrom.join(', ')} in ${target}`);
+            migrated.set(target, combineImplementations(existing, entry));
+          } else {
+            migrated.set(target, entry);
+          }
+        }
+        
+        if (reasons.length > 0) {
+          review.push({ controlId: impl.controlId, type: mapping.type, targets, reasons });
+        }
+      }
+      
+      const summary = { implementations: ssp.controlImplementations.length, migrated: migrated.size, needsReview: review.length };
+      for (const mapping of mappings) {
+        summary[mapping.type] = (summary[mapping.type] || 0) + 1;
+      }
+      
+      // The SSP's profile selects from the old catalog, so take the matching one for the new catalog if there is one
+      const profile = await findMigratedProfile(ssp, to.id, options);
+      
+      const result = { sspId, targetSspId: targetId, from: from.id, to: to.id, profileId: profile?.id || null, dryRun, summary, mappings, review };
+      if (dryRun) {
+        return result;
+      }
+      
+      const now = new Date().toISOString();
+      const migratedSsp = {
+        ...ssp,
+        id: targetId,
+        uuid: randomUUID(),
+        metadata: { ...ssp.metadata, lastModified: now },
+        systemCharacteristics: {
+          ...ssp.systemCharacteristics,
+          profileId: profile?.id,
+          profileType: profile?.profileType,
+          catalog: to.id,
+          migratedFrom: {
+            sspId,
+            catalog: from.id,
+            profileId: ssp.systemCharacteristics.profileId,
+            profileType: ssp.systemCharacteristics.profileType
+          }
+        },
+        controlImplementations: [...migrated.values()].sort((a, b) => compareControlIds(a.controlId, b.controlId)),
+        created: now,
+        updated: now
+      };
+      // Cancelling after this point no longer has any effect
+      throwIfCancelled(options.signal);
+      await fs.writeFile(targetPath, JSON.stringify(migratedSsp, null, 2));
+      
+      logger.info(`Migrated SSP ${sspId} from ${from.id} to ${to.id} as ${targetId}; ${review.length} implementations need review`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to migrate SSP ${sspId}`, error);
       throw error;
     }
   }
@@ -0,0 +1,65 @@
+/**
+ * Stdio Transport
+ * Serves an MCP server over newline-delimited JSON-RPC on stdin/stdout
+ */
+
+import { format } from 'util';
+import { createLineReader } from '../utils/jsonRpc.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('stdioTransport');
+
+/**
+ * Start serving an MCP server on stdin/stdout
+ * 
+ * @param {Object} server - The MCP server
+ * @returns {Object} - The single stdio session
+ */
+export function startStdioTransport(server) {
+  // Increase buffer sizes for better handling of large responses
+  process.stdin.setEncoding('utf8');
+  
+  // Increase highWaterMark for stdout to help with large responses
+  // This configures Node.js stream to use larger chunks
+  if (process.stdout._handle && typeof process.stdout._handle.setBlocking === 'function') {
+    process.stdout._handle.setBlocking(true);
+  }
+  
+  // Route stray console.log output (e.g., from dependencies) through the logger so it
+  // cannot corrupt the JSON-RPC stream on stdout
+  console.log = (...args) => {
+    logger.info(format(...args));
+  };
+  
+  /**
+   * Write a JSON-RPC message to stdout
+   */
+  const send = (message) => {
+    process.stdout.write(JSON.stringify(message) + '\n');
+  };
+  
+  // Stdio has exactly one client for the lifetime of the process
+  const session = server.createSession(send);
+  
+  // Handle newline-delimited JSON-RPC messages, buffering lines split across chunks.
+  // Messages are handled concurrently so a slow request does not block the ones after it.
+  const reader = createLineReader((line) => {
+    server.handleMessage(line, { session })
+      .then(response => {
+        if (response) {
+          send(response);
+        }
+      })
+      .catch(error => {
+        logger.error('Error processing request', error);
+      });
+  });
+  
+  process.stdin.on('data', (data) => reader.push(data));
+  process.stdin.on('end', () => reader.end());
+  
+  // Indicate server is ready
+  logger.notice('MCP server ready for input');
+  
+  return session;
+}
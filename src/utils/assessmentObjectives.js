@@ -0,0 +1,114 @@
+/**
+ * Assessment Objectives
+ * Reads a control's assessment objectives, the methods used to assess them and the parts that
+ * need a response in an SSP, combining the catalog's parts with the props a profile adds to them
+ * 
+ * FedRAMP profiles add, in the https://fedramp.gov/ns/oscal namespace, a method prop (EXAMINE,
+ * INTERVIEW or TEST) to each objective part and a response-point prop to each statement or
+ * objective part an SSP must respond to. The adds are read even when the catalog lacks the parts
+ * they target, in which case only the part IDs are known.
+ */
+
+import { getProp } from './catalogParser.js';
+
+const ASSESSMENT_METHODS = ['EXAMINE', 'INTERVIEW', 'TEST'];
+
+// Namespace of FedRAMP's method and response-point props; props of the same name in others mean something else
+const FEDRAMP_NAMESPACE = 'https://fedramp.gov/ns/oscal';
+
+/**
+ * Check whether a prop is the FedRAMP prop of a name
+ */
+function isFedrampProp(prop, name) {
+  return prop.name === name && prop.ns === FEDRAMP_NAMESPACE;
+}
+
+/**
+ * Work out what a part is from its name, or else from its ID (e.g., ac-1_obj.a, ac-1_smt.a)
+ */
+function partType(id, part) {
+  if (part) {
+    if (part.name === 'assessment-objective') {
+      return 'objective';
+    }
+    return part.name === 'statement' || part.name === 'item' ? 'statement' : part.name;
+  }
+  if (id.includes('_obj')) {
+    return 'objective';
+  }
+  return id.includes('_smt') ? 'statement' : undefined;
+}
+
+/**
+ * List a control's parts and sub-parts with IDs, in document order
+ */
+function flattenParts(parts, result = []) {
+  for (const part of parts || []) {
+    if (part.id) {
+      result.push(part);
+    }
+    flattenParts(part.parts, result);
+  }
+  return result;
+}
+
+/**
+ * Order assessment methods as EXAMINE, INTERVIEW, TEST, then any others
+ */
+function sortMethods(methods) {
+  const rank = (method) => {
+    const index = ASSESSMENT_METHODS.indexOf(method);
+    return index === -1 ? ASSESSMENT_METHODS.length : index;
+  };
+  return [...new Set(methods)].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Describe a control's assessment objectives and response points
+ * 
+ * @param {Object} [control] - The indexed control (see catalogParser.parseCatalog), with its raw parts
+ * @param {Array} [adds] - The profile's alter adds for the control (see profileResolver.resolveProfile)
+ * @returns {Object} - {
+ *   objectives: [{ id, label, prose, methods, responsePoint }] in document order,
+ *   methods: the assessment methods of all objectives,
+ *   responsePoints: [{ partId, type (statement or objective), label, prose }] }
+ *   Label and prose are missing for parts the catalog does not contain.
+ */
+export function describeAssessment(control, adds = []) {
+  const parts = flattenParts(control?.parts);
+  const partsById = new Map(parts.map(part => [part.id, part]));
+  
+  // Props added to each part, in the order the profile adds them
+  const addedProps = new Map();
+  for (const add of adds.filter(add => add['by-id'] && add.props)) {
+    addedProps.set(add['by-id'], [...(addedProps.get(add['by-id']) || []), ...add.props]);
+  }
+  
+  const ids = [...new Set([...parts.map(part => part.id), ...addedProps.keys()])];
+  const described = ids.map(id => {
+    const part = partsById.get(id);
+    const props = [...(part?.props || []), ...(addedProps.get(id) || [])];
+    return {
+      id,
+      type: partType(id, part),
+      label: getProp(part?.props, 'label'),
+      prose: part?.prose,
+      methods: sortMethods(props.filter(prop => isFedrampProp(prop, 'method')).map(prop => prop.value)),
+      responsePoint: props.some(prop => isFedrampProp(prop, 'response-point'))
+    };
+  });
+  
+  // The objective wrapper part only counts when it says or carries something
+  const objectives = described
+    .filter(part => part.type === 'objective')
+    .filter(part => part.prose || part.methods.length > 0 || part.responsePoint)
+    .map(({ id, label, prose, methods, responsePoint }) => ({ id, label, prose, methods, responsePoint }));
+  
+  return {
+    objectives,
+    methods: sortMethods(objectives.flatMap(objective => objective.methods)),
+    responsePoints: described
+      .filter(part => part.responsePoint)
+      .map(({ id, type, label, prose }) => ({ partId: id, type, label, prose }))
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Catalog Parser
+ * Parses an OSCAL catalog (groups, controls, nested enhancements, parts, params, props, links)
+ * into an in-memory index keyed by control ID
+ */
+
+import { normalize as normalizeControlId } from './controlUtils.js';
+
+/**
+ * Read a property value by name
+ * 
+ * @param {Array} [props] - OSCAL props
+ * @param {string} name - The property name
+ * @returns {string|undefined} - The value of the first property with that name
+ */
+export function getProp(props, name) {
+  return props?.find(prop => prop.name === name)?.value;
+}
+
+/**
+ * Convert an OSCAL control ID to the catalog index key
+ * NIST IDs become AC-2 / AC-2(1); IDs in other schemes are kept, uppercased
+ * 
+ * @param {string} oscalId - Control ID as it appears in OSCAL (e.g., ac-2.1)
+ * @returns {string} - The index key (e.g., AC-2(1))
+ */
+export function toControlKey(oscalId) {
+  try {
+    return normalizeControlId(oscalId);
+  } catch (error) {
+    return oscalId.toUpperCase();
+  }
+}
+
+/**
+ * Render a part and its sub-parts as indented, labelled text
+ * 
+ * @param {Object} part - The OSCAL part
+ * @param {number} [depth] - Nesting depth, used for indentation
+ * @returns {string} - The part's text
+ */
+export function renderPart(part, depth = 0) {
+  const lines = [];
+  const label = getProp(part.props, 'label');
+  const text = [label, part.title, part.prose].filter(Boolean).join(' ');
+  
+  if (text) {
+    lines.push(`${'  '.repeat(depth)}${text}`);
+  }
+  for (const subPart of part.parts || []) {
+    // Top-level parts without text of their own (e.g., the statement wrapper) do not indent their items
+    lines.push(renderPart(subPart, text ? depth + 1 : depth));
+  }
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Render all of a control's parts with a given name
+ * 
+ * @param {Array} [parts] - The control's OSCAL parts
+ * @param {string} name - The part name (e.g., statement, guidance)
+ * @returns {string|undefined} - The parts' text, or undefined when there are none
+ */
+export function renderParts(parts, name) {
+  const text = (parts || [])
+    .filter(part => part.name === name)
+    .map(part => renderPart(part))
+    .join('\n');
+  return text || undefined;
+}
+
+/**
+ * Summarize a parameter
+ * 
+ * @param {Object} param - The OSCAL parameter, or a profile set-parameter with an id
+ * @returns {Object} - { id, label, guidelines, values?, select?: { howMany, choice }, constraints?, props? }
+ */
+export function parseParam(param) {
+  const result = {
+    id: param.id,
+    label: param.label,
+    guidelines: (param.guidelines || []).map(guideline => guideline.prose)
+  };
+  
+  if (param.values) result.values = param.values;
+  if (param.select) {
+    result.select = {
+      howMany: param.select['how-many'] || 'one',
+      choice: param.select.choice || []
+    };
+  }
+  if (param.constraints) result.constraints = param.constraints.map(constraint => constraint.description);
+  if (param.props) result.props = param.props;
+  return result;
+}
+
+/**
+ * Summarize the assessment methods (EXAMINE, INTERVIEW, TEST) and the objects they apply to
+ */
+function parseAssessmentMethods(parts) {
+  return (parts || [])
+    .filter(part => part.name === 'assessment-method')
+    .map(part => ({
+      method: getProp(part.props, 'method'),
+      objects: renderParts(part.parts, 'assessment-objects')
+    }));
+}
+
+/**
+ * Build the index entry for a control
+ */
+function parseControl(control, family, parent) {
+  const parts = control.parts || [];
+  
+  return {
+    id: toControlKey(control.id),
+    oscalId: control.id,
+    title: control.title,
+    family,
+    class: control.class,
+    label: getProp(control.props, 'label'),
+    sortId: getProp(control.props, 'sort-id'),
+    status: getProp(control.props, 'status') || 'active',
+    parent: parent?.id,
+    // Minimal catalogs carry a description instead of a statement part
+    statement: renderParts(parts, 'statement') || control.description,
+    guidance: renderParts(parts, 'guidance'),
+    objective: renderParts(parts, 'assessment-objective'),
+    assessmentMethods: parseAssessmentMethods(parts),
+    params: (control.params || []).map(parseParam),
+    props: control.props || [],
+    links: control.links || [],
+    enhancements: (control.controls || []).map(enhancement => toControlKey(enhancement.id)),
+    parts
+  };
+}
+
+/**
+ * Parse an OSCAL catalog document into an index
+ * 
+ * @param {Object} document - The parsed catalog JSON ({ catalog: { ... } })
+ * @returns {Object} - The catalog index:
+ *   { uuid, title, version, families: [{ id, title, controlCount }], controls: Map<controlId, control>, params: Map<paramId, param> }
+ */
+export function parseCatalog(document) {
+  const catalog = document.catalog || document;
+  if (!catalog || (!catalog.groups && !catalog.controls)) {
+    throw new Error('Not an OSCAL catalog: expected catalog.groups or catalog.controls');
+  }
+  
+  const index = {
+    uuid: catalog.uuid,
+    title: catalog.metadata?.title,
+    version: catalog.metadata?.version,
+    families: [],
+    controls: new Map(),
+    params: new Map()
+  };
+  
+  const addControl = (control, family, parent) => {
+    const entry = parseControl(control, family, parent);
+    index.controls.set(entry.id, entry);
+    for (const param of entry.params) {
+      index.params.set(param.id, param);
+    }
+    for (const enhancement of control.controls || []) {
+      addControl(enhancement, family, entry);
+    }
+    return entry;
+  };
+  
+  const addGroup = (group, parentFamily) => {
+    // Families are the top-level groups; nested groups stay in their family
+    const family = parentFamily || (group.id ? group.id.toUpperCase() : group.title);
+    let controlCount = 0;
+    for (const control of group.controls || []) {
+      addControl(control, family);
+      controlCount++;
+    }
+    for (const subGroup of group.groups || []) {
+      controlCount += addGroup(subGroup, family);
+    }
+    if (!parentFamily) {
+      index.families.push({ id: family, title: group.title, controlCount });
+    }
+    return controlCount;
+  };
+  
+  for (const group of catalog.groups || []) {
+    addGroup(group);
+  }
+  
+  // Ungrouped controls take their family from the ID prefix
+  for (const control of catalog.controls || []) {
+    const key = toControlKey(control.id);
+    addControl(control, key.split('-')[0]);
+  }
+  
+  return index;
+}
@@ -0,0 +1,93 @@
+/**
+ * Catalog Registry
+ * Discovers OSCAL catalogs in a directory tree laid out as <org>/<name> (e.g., nist.gov/SP800-53,
+ * cisecurity.org/controls-v8), so that any catalog, and several revisions of one (e.g., SP 800-53
+ * Rev 4 and Rev 5), can be loaded side by side
+ * 
+ * An SP 800-53 catalog is identified by the revision its title states ("NIST SP 800-53 Revision 4"
+ * is rev4). Other catalogs are identified by their path: example.org/policy.json is
+ * example.org/policy, and a directory's catalog.json takes the directory's path. Catalogs may be
+ * JSON, XML or YAML (see oscalFormats).
+ */
+
+import path from 'path';
+import { findOscalFiles } from './contentFiles.js';
+import { readOscalDocument, withoutExtension } from './oscalFormats.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('catalogRegistry');
+
+const REVISION_PATTERN = /\bRev(?:ision)?\.?\s*(\d+)/i;
+
+// Catalogs whose revision identifies them
+const SP800_53_PATTERN = /\b800-53\b/;
+
+/**
+ * Work out the revision an SP 800-53 catalog's metadata states
+ * 
+ * @param {Object} [metadata] - The catalog's OSCAL metadata
+ * @returns {string|undefined} - The revision (e.g., rev5), when the title is SP 800-53's and states one
+ */
+export function detectRevision(metadata = {}) {
+  const match = SP800_53_PATTERN.test(metadata.title || '') && REVISION_PATTERN.exec(metadata.title);
+  return match ? `rev${match[1]}` : undefined;
+}
+
+/**
+ * Get the ID a catalog takes from its path
+ */
+function pathId(file) {
+  const segments = withoutExtension(file).split(path.sep);
+  if (segments.length > 1 && segments[segments.length - 1] === 'catalog') {
+    segments.pop();
+  }
+  return segments.join('/');
+}
+
+/**
+ * Discover the catalogs under a directory (e.g., oscal-content/catalogs)
+ * Files that are not OSCAL catalogs, or cannot be parsed, are skipped. When two catalogs state
+ * the same revision, both are identified by their path.
+ * 
+ * @param {string} catalogsPath - Root directory of the catalogs
+ * @returns {Promise<Array>} - Catalogs, each { id, uuid, title, version, revision, organization, file, path },
+ *   where the organization is the top-level directory's name (e.g., nist.gov)
+ */
+export async function discoverCatalogs(catalogsPath) {
+  const catalogs = [];
+  
+  for (const filePath of await findOscalFiles(catalogsPath)) {
+    let document;
+    try {
+      document = await readOscalDocument(filePath);
+    } catch (error) {
+      logger.warning(`Skipping unreadable catalog ${filePath}`, { error: error.message });
+      continue;
+    }
+    if (!document?.catalog) {
+      logger.debug(`Skipping ${filePath}: not an OSCAL catalog`);
+      continue;
+    }
+    
+    const { uuid, metadata = {} } = document.catalog;
+    const file = path.relative(catalogsPath, filePath);
+    catalogs.push({
+      uuid,
+      title: metadata.title?.trim(),
+      version: metadata.version,
+      revision: detectRevision(metadata),
+      organization: file.split(path.sep).length > 1 ? file.split(path.sep)[0] : undefined,
+      file,
+      path: filePath
+    });
+  }
+  
+  const revisionCounts = new Map();
+  for (const catalog of catalogs.filter(catalog => catalog.revision)) {
+    revisionCounts.set(catalog.revision, (revisionCounts.get(catalog.revision) || 0) + 1);
+  }
+  return catalogs.map(catalog => ({
+    id: revisionCounts.get(catalog.revision) === 1 ? catalog.revision : pathId(catalog.file),
+    ...catalog
+  }));
+}
@@ -0,0 +1,40 @@
+/**
+ * Content Files
+ * Finds OSCAL documents in the oscal-content directory tree
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { OSCAL_EXTENSIONS, withoutExtension } from './oscalFormats.js';
+
+/**
+ * List the OSCAL documents (JSON, XML and YAML files) under a directory, recursively, in sorted order
+ * A document published in several formats is listed once, in the first of JSON, XML and YAML.
+ * 
+ * @param {string} directory - The directory to search
+ * @returns {Promise<Array>} - Paths of the files
+ */
+export async function findOscalFiles(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const rank = (name) => OSCAL_EXTENSIONS.indexOf(path.extname(name).toLowerCase());
+  
+  // The file each document is read from
+  const preferred = new Map();
+  for (const entry of entries.filter(candidate => !candidate.isDirectory() && rank(candidate.name) !== -1)) {
+    const document = withoutExtension(entry.name);
+    if (!preferred.has(document) || rank(entry.name) < rank(preferred.get(document))) {
+      preferred.set(document, entry.name);
+    }
+  }
+  
+  const files = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findOscalFiles(entryPath));
+    } else if (preferred.get(withoutExtension(entry.name)) === entry.name) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
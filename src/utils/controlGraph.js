@@ -0,0 +1,102 @@
+/**
+ * Control Graph
+ * The relationships between catalog controls as typed edges, walked breadth-first to a given depth
+ * 
+ * Edges come from control links (related, incorporated-into, moved-to) and from enhancements,
+ * each of which is an enhancement-of its base control. Links to anything but a control in the
+ * catalog, such as references, are ignored.
+ */
+
+import { toControlKey } from './catalogParser.js';
+
+export const EDGE_TYPES = ['related', 'enhancement-of', 'incorporated-into', 'moved-to'];
+
+// Link relations that become edges
+const LINK_EDGE_TYPES = new Set(['related', 'incorporated-into', 'moved-to']);
+
+/**
+ * Get the control a link points to
+ * Links into a control's parts (e.g., #ac-2_smt.a) point to the control itself.
+ */
+function linkTarget(href) {
+  if (!href?.startsWith('#')) {
+    return undefined;
+  }
+  return toControlKey(href.slice(1).split('_')[0]);
+}
+
+/**
+ * Build the graph of a catalog's controls
+ * 
+ * @param {Object} catalog - The catalog index (see catalogParser.parseCatalog)
+ * @returns {Object} - { outgoing, incoming }: edges ({ from, to, type }) keyed by control ID
+ */
+export function buildControlGraph(catalog) {
+  const outgoing = new Map();
+  const incoming = new Map();
+  
+  const addEdge = (from, to, type) => {
+    if (!to || to === from || !catalog.controls.has(to)) {
+      return;
+    }
+    const edge = { from, to, type };
+    outgoing.set(from, [...(outgoing.get(from) || []), edge]);
+    incoming.set(to, [...(incoming.get(to) || []), edge]);
+  };
+  
+  for (const control of catalog.controls.values()) {
+    if (control.parent) {
+      addEdge(control.id, control.parent, 'enhancement-of');
+    }
+    for (const link of control.links) {
+      if (LINK_EDGE_TYPES.has(link.rel)) {
+        addEdge(control.id, linkTarget(link.href), link.rel);
+      }
+    }
+  }
+  
+  return { outgoing, incoming };
+}
+
+/**
+ * Walk the graph from a control
+ * 
+ * @param {Object} graph - The graph from buildControlGraph
+ * @param {string} start - ID of the control to start from
+ * @param {Object} [traversal] - How to walk
+ * @param {number} [traversal.depth] - Number of hops
+ * @param {Array} [traversal.types] - Edge types to follow (see EDGE_TYPES)
+ * @param {string} [traversal.direction] - Follow edges outgoing from controls, incoming to them, or both
+ * @returns {Object} - { distances: Map(control ID -> hops from the start), edges: the edges followed }
+ */
+export function traverseGraph(graph, start, { depth = 1, types = EDGE_TYPES, direction = 'outgoing' } = {}) {
+  const distances = new Map([[start, 0]]);
+  const edges = [];
+  const followed = new Set();
+  
+  let frontier = [start];
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    const next = [];
+    for (const id of frontier) {
+      const candidates = [
+        ...(direction !== 'incoming' ? graph.outgoing.get(id) || [] : []),
+        ...(direction !== 'outgoing' ? graph.incoming.get(id) || [] : [])
+      ];
+      for (const edge of candidates.filter(candidate => types.includes(candidate.type))) {
+        // An edge between two controls at the same distance is reached from both ends
+        if (!followed.has(edge)) {
+          followed.add(edge);
+          edges.push(edge);
+        }
+        const neighbour = edge.from === id ? edge.to : edge.from;
+        if (!distances.has(neighbour)) {
+          distances.set(neighbour, distance);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+  
+  return { distances, edges };
+}
@@ -166,6 +166,8 @@ export function getBaseControl(controlId) {
 
 /**
  * Compare two control IDs for sorting
+ * IDs that are not in the SP 800-53 scheme (e.g., CIS Controls' 1.1) are compared as text, with
+ * their numbers in numeric order.
  * 
  * @param {string} controlIdA - The first control ID
  * @param {string} controlIdB - The second control ID
@@ -176,8 +178,14 @@ export function compareControlIds(controlIdA, controlIdB) {
     throw new Error('Both control IDs are required');
   }
   
-  const parsedA = parse(controlIdA);
-  const parsedB = parse(controlIdB);
+  let parsedA;
+  let parsedB;
+  try {
+    parsedA = parse(controlIdA);
+    parsedB = parse(controlIdB);
+  } catch (error) {
+    return controlIdA.localeCompare(controlIdB, undefined, { numeric: true });
+  }
   
   // Compare families
   if (parsedA.family < parsedB.family) return -1;
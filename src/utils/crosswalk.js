@@ -0,0 +1,124 @@
+/**
+ * Crosswalk
+ * Maps controls between two revisions of a catalog (e.g., SP 800-53 Rev 4 to Rev 5)
+ * 
+ * Controls are matched by ID, and withdrawn controls are followed, in either revision, to the
+ * active controls they were incorporated into or moved to. Each mapping has a type:
+ * - unchanged: the same control ID and title
+ * - retitled: the same control ID with another title
+ * - renumbered: withdrawn and moved to other controls
+ * - merged: withdrawn and incorporated into other controls
+ * - withdrawn: withdrawn without a successor
+ * - unmapped: not in the target catalog
+ * Implementations of merged, withdrawn and unmapped controls need a human to review them.
+ */
+
+import { compareControlIds } from './controlUtils.js';
+
+export const MAPPING_TYPES = ['unchanged', 'retitled', 'renumbered', 'merged', 'withdrawn', 'unmapped'];
+
+const REVIEW_TYPES = new Set(['merged', 'withdrawn', 'unmapped']);
+
+const SUCCESSOR_TYPES = new Set(['incorporated-into', 'moved-to']);
+
+/**
+ * Follow a withdrawn control to the active controls that replace it
+ * 
+ * @returns {Object} - { targets: control IDs, relations: the edge types followed }
+ */
+function followSuccessors({ catalog, graph }, controlId) {
+  const targets = [];
+  const relations = new Set();
+  const seen = new Set([controlId]);
+  
+  const visit = (id) => {
+    for (const edge of (graph.outgoing.get(id) || []).filter(edge => SUCCESSOR_TYPES.has(edge.type))) {
+      relations.add(edge.type);
+      if (seen.has(edge.to)) {
+        continue;
+      }
+      seen.add(edge.to);
+      if (catalog.controls.get(edge.to).status === 'withdrawn') {
+        visit(edge.to);
+      } else {
+        targets.push(edge.to);
+      }
+    }
+  };
+  visit(controlId);
+  return { targets, relations };
+}
+
+/**
+ * Name the mapping of a withdrawn control from the relations to its successors
+ */
+function withdrawalType(targets, relations) {
+  if (targets.length === 0) {
+    return 'withdrawn';
+  }
+  return relations.has('incorporated-into') ? 'merged' : 'renumbered';
+}
+
+/**
+ * Map a control from one catalog to another
+ * 
+ * @param {Object} from - The source: { catalog (see catalogParser.parseCatalog), graph (see controlGraph.buildControlGraph) }
+ * @param {Object} to - The target, likewise
+ * @param {string} controlId - ID of a control in the source catalog
+ * @returns {Object} - { controlId, title, type, targets: [{ id, title }], needsReview }
+ */
+export function crosswalkControl(from, to, controlId) {
+  const control = from.catalog.controls.get(controlId);
+  let type;
+  let targetIds;
+  
+  if (control.status === 'withdrawn') {
+    // Controls already withdrawn in the source map through their successors there
+    const { targets, relations } = followSuccessors(from, controlId);
+    targetIds = [...new Set(targets.flatMap(id => crosswalkControl(from, to, id).targets.map(target => target.id)))];
+    type = withdrawalType(targetIds, relations);
+  } else {
+    const counterpart = to.catalog.controls.get(controlId);
+    if (!counterpart) {
+      type = 'unmapped';
+      targetIds = [];
+    } else if (counterpart.status === 'withdrawn') {
+      const { targets, relations } = followSuccessors(to, controlId);
+      type = withdrawalType(targets, relations);
+      targetIds = targets;
+    } else {
+      type = counterpart.title === control.title ? 'unchanged' : 'retitled';
+      targetIds = [controlId];
+    }
+  }
+  
+  return {
+    controlId,
+    title: control.title,
+    type,
+    targets: targetIds.sort(compareControlIds).map(id => ({ id, title: to.catalog.controls.get(id).title })),
+    needsReview: REVIEW_TYPES.has(type)
+  };
+}
+
+/**
+ * Map every control of one catalog to another
+ * 
+ * @param {Object} from - The source (see crosswalkControl)
+ * @param {Object} to - The target
+ * @returns {Object} - { mappings: one per source control in ID order, added: IDs of active target
+ *   controls that no source control maps to }
+ */
+export function buildCrosswalk(from, to) {
+  const mappings = [...from.catalog.controls.keys()]
+    .sort(compareControlIds)
+    .map(id => crosswalkControl(from, to, id));
+  
+  const mapped = new Set(mappings.flatMap(mapping => mapping.targets.map(target => target.id)));
+  const added = [...to.catalog.controls.values()]
+    .filter(control => control.status !== 'withdrawn' && !mapped.has(control.id))
+    .map(control => control.id)
+    .sort(compareControlIds);
+  
+  return { mappings, added };
+}
@@ -0,0 +1,102 @@
+/**
+ * Directory Watcher
+ * Watches directory trees for changes to their files, batching the bursts of events that saving a
+ * file produces (e.g., an editor writing a temporary file and renaming it) into one callback
+ * 
+ * Each directory is watched on its own, as recursive watching needs Node.js 20 on Linux.
+ * Directories created later are watched once they appear.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('directoryWatcher');
+
+/**
+ * Watch directory trees for changes
+ * 
+ * @param {Array} roots - Directories to watch, with everything under them; missing ones are skipped
+ * @param {Function} onChange - Called with the paths that changed, once changes have settled
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.delay] - Milliseconds without changes before onChange is called
+ * @returns {Object} - { close() } to stop watching
+ */
+export function watchDirectories(roots, onChange, { delay = 500 } = {}) {
+  const watchers = new Map();
+  let changedPaths = new Set();
+  let timer = null;
+  
+  const unwatch = (directory) => {
+    watchers.get(directory)?.close();
+    watchers.delete(directory);
+  };
+  
+  const flush = () => {
+    timer = null;
+    const paths = [...changedPaths];
+    changedPaths = new Set();
+    
+    // Stop watching directories that have been removed
+    for (const directory of watchers.keys()) {
+      if (!fs.existsSync(directory)) {
+        unwatch(directory);
+      }
+    }
+    onChange(paths);
+  };
+  
+  const watchTree = async (directory) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      // Not a directory, or already gone again
+      return;
+    }
+    if (watchers.has(directory)) {
+      return;
+    }
+    
+    try {
+      const watcher = fs.watch(directory, (eventType, fileName) => {
+        const changedPath = fileName ? path.join(directory, fileName.toString()) : directory;
+        changedPaths.add(changedPath);
+        if (eventType === 'rename') {
+          // The change may be a new directory
+          watchTree(changedPath);
+        }
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+      });
+      watcher.on('error', (error) => {
+        logger.debug(`Stopped watching ${directory}`, { error: error.message });
+        unwatch(directory);
+      });
+      
+      // Watching never keeps the process alive on its own
+      watcher.unref();
+      watchers.set(directory, watcher);
+    } catch (error) {
+      logger.warning(`Could not watch ${directory}`, { error: error.message });
+      return;
+    }
+    
+    await Promise.all(entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => watchTree(path.join(directory, entry.name))));
+  };
+  
+  for (const root of roots) {
+    watchTree(path.resolve(root));
+  }
+  
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const directory of [...watchers.keys()]) {
+        unwatch(directory);
+      }
+    }
+  };
+}
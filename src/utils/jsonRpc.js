@@ -0,0 +1,153 @@
+/**
+ * JSON-RPC Utilities
+ * Error codes, error type and message framing helpers for JSON-RPC 2.0
+ */
+
+/**
+ * Standard JSON-RPC 2.0 and MCP error codes
+ */
+export const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SERVER_ERROR: -32000,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+/**
+ * An error that maps directly onto a JSON-RPC error object
+ */
+export class JsonRpcError extends Error {
+  /**
+   * @param {number} code - The JSON-RPC error code
+   * @param {string} message - Human readable error message
+   * @param {*} [data] - Additional error details
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Build a JSON-RPC success response
+ * 
+ * @param {string|number|null} id - The request ID
+ * @param {*} result - The method result
+ * @returns {Object} - The response object
+ */
+export function createResult(id, result) {
+  return {
+    jsonrpc: '2.0',
+    result,
+    id
+  };
+}
+
+/**
+ * Build a JSON-RPC error response
+ * 
+ * @param {string|number|null} id - The request ID, or null when it could not be determined
+ * @param {number} code - The JSON-RPC error code
+ * @param {string} message - Human readable error message
+ * @param {*} [data] - Additional error details
+ * @returns {Object} - The response object
+ */
+export function createError(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  
+  return {
+    jsonrpc: '2.0',
+    error,
+    id
+  };
+}
+
+/**
+ * Check whether a value is a valid JSON-RPC request ID
+ * 
+ * @param {*} id - The ID to check
+ * @returns {boolean} - Whether the ID is a string, number or null
+ */
+export function isValidId(id) {
+  return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+/**
+ * Check whether a parsed message is a well-formed JSON-RPC 2.0 request or notification
+ * 
+ * @param {*} message - The parsed message
+ * @returns {boolean} - Whether the message is valid
+ */
+export function isValidRequest(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return false;
+  }
+  
+  if (message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return false;
+  }
+  
+  if ('id' in message && !isValidId(message.id)) {
+    return false;
+  }
+  
+  if ('params' in message && (message.params === null || typeof message.params !== 'object')) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether a message is a notification (a request without an ID)
+ * 
+ * @param {Object} message - The parsed message
+ * @returns {boolean} - Whether the message is a notification
+ */
+export function isNotification(message) {
+  return !('id' in message);
+}
+
+/**
+ * Create a reader that splits a stream of chunks into complete lines
+ * A line split across several chunks is buffered until its newline arrives
+ * 
+ * @param {Function} onLine - Called with each complete, non-empty line
+ * @returns {Object} - Reader with push(chunk) and end() methods
+ */
+export function createLineReader(onLine) {
+  let buffer = '';
+  
+  return {
+    push(chunk) {
+      buffer += chunk;
+      
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+        
+        if (line.trim()) {
+          onLine(line);
+        }
+      }
+    },
+    
+    end() {
+      // Treat any unterminated data at end of input as a final line
+      const line = buffer.trim();
+      buffer = '';
+      if (line) {
+        onLine(line);
+      }
+    }
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Logger
+ * Structured, level-controlled logging with JSON output
+ * 
+ * Records go to stderr (never stdout, which carries the stdio JSON-RPC stream), to an optional
+ * log file, and to any registered sinks such as the MCP server's notifications/message forwarder.
+ * 
+ * Environment:
+ * - LOG_LEVEL: minimum level for stderr and the log file (default info)
+ * - LOG_FILE: path of a file to append JSON log lines to
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Log levels in increasing severity, as defined by RFC 5424 and used by MCP
+ */
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const config = {
+  level: 'info',
+  fileStream: null
+};
+
+const sinks = new Set();
+
+/**
+ * Compare two log levels
+ * 
+ * @param {string} level - The level of a record
+ * @param {string} minimum - The minimum level to let through
+ * @returns {boolean} - Whether the record's level is at or above the minimum
+ */
+export function isLevelEnabled(level, minimum) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minimum);
+}
+
+/**
+ * Check whether a string is a known log level
+ * 
+ * @param {string} level - The level to check
+ * @returns {boolean} - Whether the level is valid
+ */
+export function isValidLevel(level) {
+  return LOG_LEVELS.includes(level);
+}
+
+/**
+ * Configure the stderr/file level and the log file
+ * 
+ * @param {Object} options - Logger options
+ * @param {string} [options.level] - Minimum level for stderr and the log file
+ * @param {string} [options.file] - Path of a file to append JSON log lines to
+ */
+export function configureLogger({ level, file } = {}) {
+  if (level) {
+    if (!isValidLevel(level)) {
+      throw new Error(`Invalid log level: ${level}. Must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    config.level = level;
+  }
+  
+  if (file) {
+    if (config.fileStream) {
+      config.fileStream.end();
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    config.fileStream = fs.createWriteStream(file, { flags: 'a' });
+  }
+}
+
+/**
+ * Register a sink that receives every log record, regardless of the stderr level
+ * Sinks may pass records on to clients, so errors in their data carry no stack traces.
+ * 
+ * @param {Function} sink - Called with each record ({ timestamp, level, logger, message, data })
+ * @returns {Function} - Removes the sink
+ */
+export function addLogSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+/**
+ * Make values JSON-friendly; errors lose their fields under JSON.stringify otherwise
+ * Stack traces are kept for the local log only.
+ */
+function serialize(value, { withStack = true } = {}) {
+  if (value instanceof Error) {
+    return withStack
+      ? { name: value.name, message: value.message, stack: value.stack }
+      : { name: value.name, message: value.message };
+  }
+  return value;
+}
+
+/**
+ * Copy a record for the sinks, with errors in its data reduced to their name and message
+ */
+function toSinkRecord(record) {
+  if (record.data === undefined) {
+    return record;
+  }
+  const data = JSON.parse(JSON.stringify(record.data, (key, value) => serialize(value, { withStack: false })));
+  return { ...record, data };
+}
+
+/**
+ * Build and emit a log record
+ */
+function emit(level, component, message, data) {
+  const record = {
+    timestamp: new Date().toISOString(),
+    level,
+    logger: component,
+    message
+  };
+  if (data !== undefined) {
+    record.data = data instanceof Error ? { error: data } : data;
+  }
+  
+  if (isLevelEnabled(level, config.level)) {
+    const line = JSON.stringify(record, (key, value) => serialize(value)) + '\n';
+    process.stderr.write(line);
+    if (config.fileStream) {
+      config.fileStream.write(line);
+    }
+  }
+  
+  if (sinks.size === 0) {
+    return;
+  }
+  let sinkRecord;
+  try {
+    sinkRecord = toSinkRecord(record);
+  } catch (error) {
+    process.stderr.write(`Log record could not be serialized: ${error.message}\n`);
+    return;
+  }
+  for (const sink of sinks) {
+    try {
+      sink(sinkRecord);
+    } catch (error) {
+      // A failing sink must never break the code that logged
+      process.stderr.write(`Log sink failed: ${error.message}\n`);
+    }
+  }
+}
+
+/**
+ * Create a logger for a component
+ * 
+ * @param {string} component - Component name included in every record (e.g., sspService)
+ * @returns {Object} - Logger with one method per level: logger.info(message, data)
+ */
+export function createLogger(component) {
+  const logger = {};
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, data) => emit(level, component, message, data);
+  }
+  return logger;
+}
+
+// Apply environment configuration before any module logs
+configureLogger({
+  level: process.env.LOG_LEVEL,
+  file: process.env.LOG_FILE
+});
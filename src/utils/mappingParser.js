@@ -0,0 +1,73 @@
+/**
+ * Mapping Parser
+ * Parses an OSCAL mapping collection (the control mapping model) into indexes of the relationships
+ * between SP 800-53 controls and another framework's requirements
+ * 
+ * Each map relates source controls (e.g., ac-2) to target requirements (e.g., PR.AA-01). Its
+ * relationship describes the source relative to the target: a source that is equal-to,
+ * equivalent-to or a superset-of a target covers all of it; one that is a subset-of or
+ * intersects-with it covers part of it.
+ */
+
+import { getProp, toControlKey } from './catalogParser.js';
+
+export const RELATIONSHIPS = ['equal-to', 'equivalent-to', 'superset-of', 'subset-of', 'intersects-with', 'no-relationship'];
+
+// Relationships in which a source control covers all of the target requirement
+export const FULL_RELATIONSHIPS = new Set(['equal-to', 'equivalent-to', 'superset-of']);
+
+/**
+ * Add an entry to a list in a map of lists
+ */
+function addTo(map, key, entry) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(entry);
+}
+
+/**
+ * Parse an OSCAL mapping collection
+ * 
+ * @param {Object} document - The parsed mapping JSON ({ "mapping-collection": { ... } })
+ * @returns {Object} - { uuid, title, framework (the target's title), version, description, maps,
+ *   bySource: Map<controlId, [{ target, relationship, remarks }]>, byTarget: Map<requirementId, [{ source, relationship, remarks }]> }.
+ *   Relationships of no-relationship are kept in maps but left out of the indexes.
+ */
+export function parseMappingCollection(document) {
+  const collection = document['mapping-collection'];
+  if (!collection?.mappings) {
+    throw new Error('Not an OSCAL mapping collection: expected mapping-collection.mappings');
+  }
+  
+  const maps = collection.mappings.flatMap(mapping => (mapping.maps || []).map(map => ({
+    relationship: map.relationship,
+    sources: (map.sources || []).map(source => toControlKey(source['id-ref'])),
+    targets: (map.targets || []).map(target => target['id-ref']),
+    remarks: map.remarks
+  })));
+  
+  const bySource = new Map();
+  const byTarget = new Map();
+  for (const map of maps.filter(map => map.relationship !== 'no-relationship')) {
+    for (const source of map.sources) {
+      for (const target of map.targets) {
+        addTo(bySource, source, { target, relationship: map.relationship, remarks: map.remarks });
+        addTo(byTarget, target, { source, relationship: map.relationship, remarks: map.remarks });
+      }
+    }
+  }
+  
+  const { metadata = {}, provenance = {} } = collection;
+  const targetResource = collection.mappings[0]?.['target-resource'];
+  return {
+    uuid: collection.uuid,
+    title: metadata.title,
+    framework: getProp(targetResource?.props, 'title') || metadata.title,
+    version: metadata.version,
+    description: provenance['mapping-description'],
+    maps,
+    bySource,
+    byTarget
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Operation Utilities
+ * Cancellation and progress reporting for long-running service operations
+ * 
+ * Service methods that may take a while accept an optional options object:
+ * - signal: an AbortSignal that aborts the operation when the client cancels
+ * - onProgress: called as onProgress(progress, total, message) as work completes
+ */
+
+/**
+ * Error thrown when an operation is aborted through its signal
+ */
+export class OperationCancelledError extends Error {
+  /**
+   * @param {*} [reason] - Why the operation was cancelled
+   */
+  constructor(reason) {
+    super(`Operation cancelled${reason ? `: ${reason}` : ''}`);
+    this.name = 'OperationCancelledError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Throw if the operation's signal has been aborted
+ * 
+ * @param {AbortSignal} [signal] - The operation's abort signal
+ * @throws {OperationCancelledError} - When the signal is aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new OperationCancelledError(signal.reason);
+  }
+}
+
+/**
+ * Wait for work that may be shared with other operations, unless this operation is cancelled first
+ * Cancelling stops the wait, not the work, so the other operations still get its result.
+ * 
+ * @param {Promise} promise - The work to wait for
+ * @param {AbortSignal} [signal] - The operation's abort signal
+ * @returns {Promise} - Settles as the work does, or rejects with OperationCancelledError when the signal is aborted first
+ */
+export function waitUnlessCancelled(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new OperationCancelledError(signal.reason));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Report progress if the caller asked for it
+ * 
+ * @param {Object} [options] - The operation options
+ * @param {number} progress - Work completed so far
+ * @param {number} [total] - Total work, when known
+ * @param {string} [message] - Description of the current step
+ */
+export function reportProgress(options, progress, total, message) {
+  if (typeof options?.onProgress === 'function') {
+    options.onProgress(progress, total, message);
+  }
+}
+
+/**
+ * Derive options for a sub-operation whose progress maps onto a slice of the parent's range
+ * 
+ * @param {Object} [options] - The parent operation options
+ * @param {number} start - Parent progress when the sub-operation starts
+ * @param {number} end - Parent progress when the sub-operation finishes
+ * @param {number} total - The parent's total
+ * @returns {Object} - Options for the sub-operation, sharing the parent's signal
+ */
+export function subOperation(options, start, end, total) {
+  return {
+    signal: options?.signal,
+    onProgress: (progress, subTotal, message) => {
+      const fraction = subTotal ? Math.min(progress / subTotal, 1) : 0;
+      reportProgress(options, start + (end - start) * fraction, total, message);
+    }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * OSCAL Formats
+ * Reads OSCAL documents published as JSON, XML or YAML into the JSON format's model
+ * 
+ * A document's format is chosen by its file extension, or else by sniffing its content: XML
+ * starts with <, JSON with { or [, and anything else is read as YAML.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parseOscalXml } from './oscalXml.js';
+import { throwIfCancelled } from './operation.js';
+
+// Formats by file extension, in order of preference when a document is published in several
+export const OSCAL_FORMATS = {
+  '.json': 'json',
+  '.xml': 'xml',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+export const OSCAL_EXTENSIONS = Object.keys(OSCAL_FORMATS);
+
+/**
+ * Work out a document's format
+ * 
+ * @param {string} text - The document
+ * @param {string} [fileName] - The document's file name or path
+ * @returns {string} - json, xml or yaml
+ */
+export function detectFormat(text, fileName) {
+  const format = fileName && OSCAL_FORMATS[path.extname(fileName).toLowerCase()];
+  if (format) {
+    return format;
+  }
+  
+  const start = text.trimStart();
+  if (start.startsWith('<')) {
+    return 'xml';
+  }
+  return start.startsWith('{') || start.startsWith('[') ? 'json' : 'yaml';
+}
+
+/**
+ * Parse an OSCAL document
+ * 
+ * @param {string} text - The document
+ * @param {string} [fileName] - The document's file name or path, which states its format
+ * @returns {Object} - The document in the JSON format's model (e.g., { catalog: { ... } })
+ */
+export function parseOscalDocument(text, fileName) {
+  // Byte order marks are not part of any format
+  const content = text.replace(/^\uFEFF/, '');
+  switch (detectFormat(content, fileName)) {
+    case 'xml':
+      return parseOscalXml(content);
+    case 'yaml':
+      // The JSON schema keeps dates and other timestamps as strings, as JSON has them
+      return yaml.load(content, { schema: yaml.JSON_SCHEMA, filename: fileName });
+    default:
+      return JSON.parse(content);
+  }
+}
+
+/**
+ * Read an OSCAL document from a file
+ * 
+ * @param {string} location - File path of the document
+ * @param {Object} [options] - Read options
+ * @param {AbortSignal} [options.signal] - Aborts the read
+ * @returns {Promise<Object>} - The document in the JSON format's model
+ */
+export async function readOscalDocument(location, { signal } = {}) {
+  let data;
+  try {
+    data = await fs.readFile(location, { encoding: 'utf8', signal });
+  } catch (error) {
+    throwIfCancelled(signal);
+    throw error;
+  }
+  return parseOscalDocument(data, location);
+}
+
+/**
+ * Get a document's path without its format's extension
+ * 
+ * @param {string} file - The document's path
+ * @returns {string} - The path (e.g., rev4/catalog for rev4/catalog.xml)
+ */
+export function withoutExtension(file) {
+  return OSCAL_FORMATS[path.extname(file).toLowerCase()] ? file.slice(0, -path.extname(file).length) : file;
+}
@@ -0,0 +1,290 @@
+/**
+ * OSCAL XML
+ * Converts OSCAL documents in the XML format into the JSON format's model, so that catalogs and
+ * profiles published as XML are read like those published as JSON
+ * 
+ * The conversion follows the OSCAL metaschema's rules for the models the server reads (catalogs,
+ * profiles, mapping collections, and their metadata and back-matter): attributes become
+ * properties, repeated elements are grouped into arrays under their JSON names (prop into props,
+ * with-id into with-ids), and markup (p, ul, em, insert) becomes the Markdown the JSON format
+ * uses, with parameter insertions as {{ insert: param, id }}.
+ */
+
+import { parseXml } from './xmlParser.js';
+
+// Elements that may repeat, and the arrays they are grouped into
+const GROUP_NAMES = {
+  action: 'actions',
+  add: 'adds',
+  address: 'addresses',
+  'addr-line': 'addr-lines',
+  alter: 'alters',
+  choice: 'choice',
+  constraint: 'constraints',
+  control: 'controls',
+  'document-id': 'document-ids',
+  'email-address': 'email-addresses',
+  'exclude-controls': 'exclude-controls',
+  'external-id': 'external-ids',
+  group: 'groups',
+  guideline: 'guidelines',
+  hash: 'hashes',
+  import: 'imports',
+  'include-controls': 'include-controls',
+  'insert-controls': 'insert-controls',
+  link: 'links',
+  location: 'locations',
+  'location-uuid': 'location-uuids',
+  map: 'maps',
+  mapping: 'mappings',
+  matching: 'matching',
+  'member-of-organization': 'member-of-organizations',
+  param: 'params',
+  part: 'parts',
+  party: 'parties',
+  'party-uuid': 'party-uuids',
+  prop: 'props',
+  remove: 'removes',
+  resource: 'resources',
+  'responsible-party': 'responsible-parties',
+  revision: 'revisions',
+  rlink: 'rlinks',
+  role: 'roles',
+  'set-parameter': 'set-parameters',
+  source: 'sources',
+  target: 'targets',
+  'telephone-number': 'telephone-numbers',
+  test: 'tests',
+  url: 'urls',
+  value: 'values',
+  'with-id': 'with-ids'
+};
+
+// Arrays the XML format wraps in an element of their own (e.g., metadata's revisions)
+const WRAPPER_NAMES = new Set(Object.values(GROUP_NAMES).filter(name => !(name in GROUP_NAMES)));
+
+// Elements that are not grouped under some parents
+const UNGROUPED_IN = {
+  location: new Set(['address'])
+};
+
+// Elements with attributes whose text is their value, and the property the value is kept in
+const FIELD_VALUE_KEYS = {
+  base64: 'value',
+  'document-id': 'identifier',
+  'external-id': 'id',
+  hash: 'value',
+  'telephone-number': 'number'
+};
+
+// Elements holding a line of markup, and those holding blocks of it
+const MARKUP_LINE_FIELDS = new Set(['choice', 'text', 'title']);
+const MARKUP_MULTILINE_FIELDS = new Set(['description', 'mapping-description', 'remarks', 'usage']);
+
+const BOOLEAN_FIELDS = new Set(['as-is']);
+
+// Elements that are objects even when empty
+const EMPTY_ASSEMBLIES = new Set(['flat', 'include-all']);
+
+// Block markup, which makes up the prose of parts and guidelines
+const BLOCK_ELEMENTS = new Set(['blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ol', 'p', 'pre', 'table', 'ul']);
+
+/**
+ * Get an element's name without its namespace prefix
+ */
+function localName(node) {
+  return node.name.split(':').pop();
+}
+
+/**
+ * List an element's child elements
+ */
+function childElements(element) {
+  return element.children.filter(child => typeof child !== 'string');
+}
+
+/**
+ * Get all the text in an element, without markup
+ */
+function textOf(element) {
+  return element.children.map(child => (typeof child === 'string' ? child : textOf(child))).join('');
+}
+
+/**
+ * Render inline markup (e.g., em, code, insert) as Markdown
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node.replace(/\s+/g, ' ');
+    }
+    const content = () => renderInline(node.children);
+    switch (localName(node)) {
+      case 'insert':
+        return `{{ insert: ${node.attributes.type || 'param'}, ${node.attributes['id-ref']} }}`;
+      case 'em':
+      case 'i':
+        return `*${content()}*`;
+      case 'strong':
+      case 'b':
+        return `**${content()}**`;
+      case 'code':
+        return `\`${textOf(node)}\``;
+      case 'q':
+        return `"${content()}"`;
+      case 'sub':
+        return `~${content()}~`;
+      case 'sup':
+        return `^${content()}^`;
+      case 'a':
+        return `[${content()}](${node.attributes.href || ''})`;
+      case 'img':
+        return `![${node.attributes.alt || ''}](${node.attributes.src || ''})`;
+      case 'br':
+        return '\n';
+      default:
+        return content();
+    }
+  }).join('');
+}
+
+/**
+ * Render a list as Markdown, nesting lists within its items
+ */
+function renderList(list, depth = 0) {
+  const isList = (node) => typeof node !== 'string' && ['ol', 'ul'].includes(localName(node));
+  const ordered = localName(list) === 'ol';
+  
+  return childElements(list).map((item, index) => {
+    const marker = ordered ? `${index + 1}.` : '-';
+    const text = renderInline(item.children.filter(child => !isList(child))).trim();
+    const nested = item.children.filter(isList).map(child => renderList(child, depth + 1));
+    return [`${'  '.repeat(depth)}${marker} ${text}`, ...nested].join('\n');
+  }).join('\n');
+}
+
+/**
+ * Render a table as a Markdown table, taking its first row as the header
+ */
+function renderTable(table) {
+  const rows = childElements(table).flatMap(child => (localName(child) === 'tr' ? [child] : childElements(child)));
+  const cells = rows.map(row => childElements(row).map(cell => renderInline(cell.children).trim().replace(/\|/g, '\\|')));
+  if (cells.length === 0) {
+    return '';
+  }
+  const line = (row) => `| ${row.join(' | ')} |`;
+  return [line(cells[0]), line(cells[0].map(() => '---')), ...cells.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Render a block of markup as Markdown
+ */
+function renderBlock(block) {
+  const name = localName(block);
+  if (/^h[1-6]$/.test(name)) {
+    return `${'#'.repeat(Number(name[1]))} ${renderInline(block.children).trim()}`;
+  }
+  switch (name) {
+    case 'ul':
+    case 'ol':
+      return renderList(block);
+    case 'table':
+      return renderTable(block);
+    case 'pre':
+      return `\`\`\`\n${textOf(block).replace(/^\n|\n$/g, '')}\n\`\`\``;
+    case 'blockquote':
+      return renderBlocks(block.children).split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    default:
+      return renderInline(block.children).trim();
+  }
+}
+
+/**
+ * Render multiline markup as Markdown, with blank lines between blocks
+ * Text and inline markup outside a block are taken as a paragraph.
+ */
+function renderBlocks(nodes) {
+  const blocks = [];
+  let inline = [];
+  const flush = () => {
+    const text = renderInline(inline).trim();
+    if (text) {
+      blocks.push(text);
+    }
+    inline = [];
+  };
+  
+  for (const node of nodes) {
+    if (typeof node !== 'string' && BLOCK_ELEMENTS.has(localName(node))) {
+      flush();
+      blocks.push(renderBlock(node));
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+  return blocks.join('\n\n');
+}
+
+/**
+ * Get an element's attributes, leaving out namespace declarations and other prefixed attributes
+ */
+function ownAttributes(element) {
+  return Object.fromEntries(Object.entries(element.attributes).filter(([name]) => name !== 'xmlns' && !name.includes(':')));
+}
+
+/**
+ * Convert an element into its value in the JSON model
+ */
+function convertElement(element) {
+  const name = localName(element);
+  if (MARKUP_LINE_FIELDS.has(name)) {
+    return renderInline(element.children).trim();
+  }
+  if (MARKUP_MULTILINE_FIELDS.has(name)) {
+    return renderBlocks(element.children);
+  }
+  if (BOOLEAN_FIELDS.has(name)) {
+    return textOf(element).trim() === 'true';
+  }
+  
+  const result = ownAttributes(element);
+  const children = childElements(element);
+  if (children.length === 0 && Object.keys(result).length === 0 && !FIELD_VALUE_KEYS[name]) {
+    return EMPTY_ASSEMBLIES.has(name) ? {} : textOf(element).trim();
+  }
+  
+  const prose = [];
+  for (const child of children) {
+    const childName = localName(child);
+    const groupName = !UNGROUPED_IN[name]?.has(childName) && GROUP_NAMES[childName];
+    if (BLOCK_ELEMENTS.has(childName)) {
+      prose.push(child);
+    } else if (groupName) {
+      result[groupName] = [...(result[groupName] || []), convertElement(child)];
+    } else if (WRAPPER_NAMES.has(childName)) {
+      result[childName] = childElements(child).map(convertElement);
+    } else {
+      result[childName] = convertElement(child);
+    }
+  }
+  
+  if (prose.length > 0) {
+    result.prose = renderBlocks(prose);
+  }
+  if (FIELD_VALUE_KEYS[name]) {
+    result[FIELD_VALUE_KEYS[name]] = textOf(element).trim();
+  }
+  return result;
+}
+
+/**
+ * Parse an OSCAL document in the XML format into the JSON format's model
+ * 
+ * @param {string} text - The XML document
+ * @returns {Object} - The document as the JSON format would hold it (e.g., { catalog: { ... } })
+ */
+export function parseOscalXml(text) {
+  const root = parseXml(text);
+  return { [localName(root)]: convertElement(root) };
+}
@@ -0,0 +1,67 @@
+/**
+ * Pagination Utilities
+ * Opaque cursors for paging through stable, ordered result lists
+ * 
+ * A cursor encodes the offset of the next page and the query it belongs to, so it cannot be
+ * replayed against a different query. Clients should treat cursors as opaque strings.
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Encode a cursor for the page starting at an offset
+ * 
+ * @param {number} offset - Index of the first item of the page
+ * @param {string} [scope] - Identifies the query the cursor belongs to
+ * @returns {string} - The opaque cursor
+ */
+export function encodeCursor(offset, scope = '') {
+  return Buffer.from(JSON.stringify({ offset, scope })).toString('base64url');
+}
+
+/**
+ * Decode a cursor into the offset of the page it points to
+ * 
+ * @param {string} [cursor] - The cursor from a previous page's nextCursor
+ * @param {string} [scope] - The query the cursor must belong to
+ * @returns {number} - The offset, or 0 when there is no cursor
+ * @throws {Error} - When the cursor is malformed or belongs to another query
+ */
+export function decodeCursor(cursor, scope = '') {
+  if (cursor === undefined || cursor === null) {
+    return 0;
+  }
+  
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  
+  if (!Number.isInteger(decoded?.offset) || decoded.offset < 0 || decoded.scope !== scope) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  return decoded.offset;
+}
+
+/**
+ * Take one page from an ordered list
+ * 
+ * @param {Array} items - All results, in a stable order
+ * @param {Object} [page] - Page options
+ * @param {string} [page.cursor] - Cursor of the page to return (the first page when omitted)
+ * @param {number} [page.limit] - Maximum number of items per page
+ * @param {string} [scope] - Identifies the query, e.g. its filters, so cursors are not reused across queries
+ * @returns {Object} - The page's items and the nextCursor, which is omitted on the last page
+ */
+export function paginate(items, { cursor, limit = DEFAULT_PAGE_SIZE } = {}, scope = '') {
+  const offset = decodeCursor(cursor, scope);
+  const end = offset + limit;
+  
+  const result = { items: items.slice(offset, end) };
+  if (end < items.length) {
+    result.nextCursor = encodeCursor(end, scope);
+  }
+  return result;
+}
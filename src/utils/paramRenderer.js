@@ -0,0 +1,156 @@
+/**
+ * Parameter Renderer
+ * Substitutes parameter values for the {{ insert: param, id }} placeholders in control prose
+ * 
+ * Each parameter takes the first value available from:
+ * 1. the SSP (values the organization defined for its system)
+ * 2. the profile's set-parameters (values, or constraints such as FedRAMP's "at least annually")
+ * 3. the catalog (values, otherwise the selection, label or guidelines as an [Assignment: ...] prompt)
+ * Parameters that fall through to the catalog's selection, label or guidelines are unresolved:
+ * the organization still has to define them.
+ */
+
+const INSERT_PATTERN = /\{\{\s*insert:\s*param,\s*([^\s}]+)\s*\}\}/g;
+
+/**
+ * Find the parameters a text refers to
+ * 
+ * @param {string} [text] - Control prose
+ * @returns {Array} - Parameter IDs in order of first appearance
+ */
+export function findParamInserts(text) {
+  const ids = [...(text || '').matchAll(INSERT_PATTERN)].map(match => match[1]);
+  return [...new Set(ids)];
+}
+
+/**
+ * Describe a selection the way NIST prints it, e.g. [Selection (one or more): a; b]
+ */
+function describeSelection(select, render) {
+  const howMany = select.howMany === 'one-or-more' ? 'one or more' : 'one';
+  return `[Selection (${howMany}): ${select.choice.map(render).join('; ')}]`;
+}
+
+/**
+ * Create a resolver for parameter values
+ * 
+ * @param {Object} sources - Where values come from
+ * @param {Map} sources.params - Parameters (see catalogParser.parseParam), keyed by ID
+ * @param {Object} [sources.settings] - The profile's set-parameters (parsed), keyed by parameter ID
+ * @param {Object} [sources.values] - Values defined in the SSP, keyed by parameter ID
+ * @returns {Object} - { resolve(id), render(text) }
+ */
+export function createParamResolver({ params, settings = {}, values = {} }) {
+  const resolved = new Map();
+  const resolving = new Set();
+  
+  const render = (text) => text?.replace(INSERT_PATTERN, (match, id) => resolve(id).value);
+  
+  /**
+   * Work out a parameter's value and where it came from
+   */
+  const resolveUncached = (id) => {
+    const param = params.get(id);
+    const setting = settings[id];
+    const label = setting?.label || param?.label;
+    
+    if (values[id] !== undefined && values[id] !== '') {
+      return { id, label, value: values[id], source: 'ssp', resolved: true };
+    }
+    if (setting?.values) {
+      return { id, label, value: setting.values.join(', '), source: 'profile', resolved: true };
+    }
+    if (setting?.select) {
+      // The profile narrowed the choices, but the organization still has to pick
+      return { id, label, value: describeSelection(setting.select, render), source: 'profile', resolved: false };
+    }
+    if (setting?.constraints?.length) {
+      return { id, label, value: setting.constraints.map(constraint => constraint.trim()).join('; '), source: 'profile', resolved: true };
+    }
+    if (!param) {
+      return { id, value: `[Assignment: ${id}]`, source: 'catalog', resolved: false };
+    }
+    
+    // Aggregate parameters (e.g., ac-1_prm_1) stand for several organization-defined parameters
+    const aggregates = (param.props || []).filter(prop => prop.name === 'aggregates').map(prop => prop.value);
+    if (aggregates.length > 0 && !param.values) {
+      const parts = aggregates.map(resolve);
+      return {
+        id,
+        label,
+        value: parts.map(part => part.value).join(', '),
+        source: parts.every(part => part.source === parts[0].source) ? parts[0].source : 'mixed',
+        resolved: parts.every(part => part.resolved),
+        aggregates
+      };
+    }
+    
+    if (param.values) {
+      return { id, label, value: param.values.join(', '), source: 'catalog', resolved: true };
+    }
+    if (param.select) {
+      return { id, label, value: describeSelection(param.select, render), source: 'catalog', resolved: false };
+    }
+    const prompt = param.label || param.guidelines?.[0] || id;
+    return { id, label, value: `[Assignment: ${prompt}]`, source: 'catalog', resolved: false };
+  };
+  
+  /**
+   * Resolve a parameter once, guarding against parameters that refer to themselves
+   */
+  const resolve = (id) => {
+    if (resolved.has(id)) {
+      return resolved.get(id);
+    }
+    if (resolving.has(id)) {
+      return { id, value: `[Assignment: ${id}]`, source: 'catalog', resolved: false };
+    }
+    
+    resolving.add(id);
+    const result = resolveUncached(id);
+    resolving.delete(id);
+    resolved.set(id, result);
+    return result;
+  };
+  
+  return { resolve, render };
+}
+
+/**
+ * Render a control's prose with parameter values substituted
+ * 
+ * @param {Object} control - The indexed control (see catalogParser.parseCatalog)
+ * @param {Object} resolver - A resolver from createParamResolver
+ * @returns {Object} - The rendered statement, guidance, objective and assessment methods, the
+ *   parameterValues used ({ id, label, value, source, resolved }) and the IDs of unresolvedParameters
+ */
+export function renderControlProse(control, resolver) {
+  const rendered = {
+    statement: resolver.render(control.statement),
+    guidance: resolver.render(control.guidance),
+    objective: resolver.render(control.objective),
+    assessmentMethods: control.assessmentMethods.map(method => ({
+      ...method,
+      objects: resolver.render(method.objects)
+    }))
+  };
+  
+  // Every parameter the prose uses, then any the control defines but does not insert
+  const ids = new Set([
+    ...[control.statement, control.guidance, control.objective].flatMap(findParamInserts),
+    ...control.params.map(param => param.id)
+  ]);
+  for (const id of [...ids]) {
+    for (const aggregated of resolver.resolve(id).aggregates || []) {
+      ids.add(aggregated);
+    }
+  }
+  
+  const parameterValues = [...ids].map(id => resolver.resolve(id));
+  return {
+    ...rendered,
+    parameterValues,
+    unresolvedParameters: parameterValues.filter(param => !param.resolved && !param.aggregates).map(param => param.id)
+  };
+}
+
@@ -0,0 +1,75 @@
+/**
+ * Profile Additions
+ * Reads the parts a profile adds to a control through its alters, such as FedRAMP's "Additional
+ * FedRAMP Requirements and Guidance", into requirements and guidance
+ * 
+ * FedRAMP adds a part (e.g., ac-2.3_fr) to the end of the control's statement, holding items
+ * labelled "Requirement:" and guidance parts labelled "Guidance:". A single requirement or guidance
+ * part may also be added on its own.
+ */
+
+import { getProp, renderParts } from './catalogParser.js';
+
+/**
+ * List a part and its sub-parts that have prose, in document order
+ */
+function flattenProse(part, result = []) {
+  if (part.prose) {
+    result.push(part);
+  }
+  for (const subPart of part.parts || []) {
+    flattenProse(subPart, result);
+  }
+  return result;
+}
+
+/**
+ * Describe the parts a profile adds to a control
+ * 
+ * @param {Array} [adds] - The profile's alter adds for the control (see profileResolver.resolveProfile)
+ * @param {Function} [render] - Renders prose, e.g. substituting parameter values (see paramRenderer.createParamResolver)
+ * @returns {Array} - One entry per added part: { id, title, target (the part it was added to),
+ *   requirements: [{ id, label, prose }], guidance: [{ id, label, prose }] }
+ */
+export function describeAddedParts(adds = [], render = (text) => text) {
+  return adds
+    .filter(add => add.parts)
+    .flatMap(add => add.parts.map(part => {
+      const entries = flattenProse(part).map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        label: getProp(entry.props, 'label'),
+        prose: render(entry.prose)
+      }));
+      const describe = ({ id, label, prose }) => ({ id, label, prose });
+      
+      return {
+        id: part.id,
+        title: part.title,
+        target: add['by-id'],
+        requirements: entries.filter(entry => entry.name !== 'guidance').map(describe),
+        guidance: entries.filter(entry => entry.name === 'guidance').map(describe)
+      };
+    }));
+}
+
+/**
+ * Render a control's statement and guidance without the parts a profile added to them, so that
+ * additions described by describeAddedParts are not repeated in the control's own prose
+ * 
+ * @param {Object} control - The indexed control from a resolved profile catalog, with its raw parts
+ * @param {Array} addedParts - The added parts (see describeAddedParts)
+ * @returns {Object} - { statement, guidance }
+ */
+export function renderWithoutAddedParts(control, addedParts) {
+  const addedIds = new Set(addedParts.map(part => part.id));
+  const strip = (parts) => (parts || [])
+    .filter(part => !addedIds.has(part.id))
+    .map(part => (part.parts ? { ...part, parts: strip(part.parts) } : part));
+  const parts = strip(control.parts);
+  
+  return {
+    statement: renderParts(parts, 'statement') || control.statement,
+    guidance: renderParts(parts, 'guidance')
+  };
+}
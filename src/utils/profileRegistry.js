@@ -0,0 +1,100 @@
+/**
+ * Profile Registry
+ * Discovers OSCAL profiles in a directory tree and describes them from their metadata
+ * 
+ * A profile's security level comes from an impact-level property in its metadata
+ * (e.g., { "name": "impact-level", "value": "moderate" }), or else from its title
+ * ("FedRAMP Rev 5 Low Baseline"). File names are never used, so any profile can be
+ * registered: custom organization baselines, StateRAMP, CMMC-aligned or DoD IL profiles.
+ */
+
+import path from 'path';
+import { getProp } from './catalogParser.js';
+import { findOscalFiles } from './contentFiles.js';
+import { readOscalDocument, withoutExtension } from './oscalFormats.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('profileRegistry');
+
+// Metadata properties that state a profile's impact level, in order of preference
+const IMPACT_LEVEL_PROPS = ['impact-level', 'security-impact-level', 'security-level', 'baseline-level'];
+
+const SECURITY_LEVEL_PATTERN = /\b(low|moderate|high)\b/i;
+
+// Directories whose name does not match the profile type they hold
+const PROFILE_TYPE_ALIASES = {
+  baselines: 'baseline'
+};
+
+/**
+ * Work out a profile's security level and impact level from its metadata
+ * 
+ * @param {Object} [metadata] - The profile's OSCAL metadata
+ * @returns {Object} - { securityLevel (LOW, MODERATE or HIGH), impactLevel (as stated) }, each when known
+ */
+export function detectImpactLevel(metadata = {}) {
+  const stated = IMPACT_LEVEL_PROPS.map(name => getProp(metadata.props, name)).find(Boolean);
+  const match = SECURITY_LEVEL_PATTERN.exec(stated || '') || (!stated && SECURITY_LEVEL_PATTERN.exec(metadata.title || ''));
+  
+  return {
+    securityLevel: match ? match[1].toUpperCase() : undefined,
+    impactLevel: stated || (match ? match[1].toUpperCase() : undefined)
+  };
+}
+
+/**
+ * Discover the profiles under a directory
+ * Profiles may be JSON, XML or YAML (see oscalFormats); files that are not OSCAL profiles, or
+ * cannot be parsed, are skipped.
+ * 
+ * @param {string} profilesPath - Root directory of the profiles (e.g., oscal-content/profiles)
+ * @returns {Promise<Array>} - Profiles, each { id, uuid, title, version, profileType, securityLevel,
+ *   impactLevel, file, path }. The ID is the file name without its extension, or the path relative to the
+ *   root when several files share a name; the profile type is the top-level directory's name
+ *   (baselines becomes baseline), or custom for files directly under the root.
+ */
+export async function discoverProfiles(profilesPath) {
+  const profiles = [];
+  
+  for (const filePath of await findOscalFiles(profilesPath)) {
+    let document;
+    try {
+      document = await readOscalDocument(filePath);
+    } catch (error) {
+      logger.warning(`Skipping unreadable profile ${filePath}`, { error: error.message });
+      continue;
+    }
+    if (!document?.profile) {
+      logger.debug(`Skipping ${filePath}: not an OSCAL profile`);
+      continue;
+    }
+    
+    const { uuid, metadata = {} } = document.profile;
+    const file = path.relative(profilesPath, filePath);
+    const directory = file.split(path.sep).length > 1 ? file.split(path.sep)[0] : 'custom';
+    
+    profiles.push({
+      id: path.basename(withoutExtension(file)),
+      uuid,
+      title: metadata.title?.trim(),
+      version: metadata.version,
+      profileType: PROFILE_TYPE_ALIASES[directory] || directory,
+      ...detectImpactLevel(metadata),
+      file,
+      path: filePath
+    });
+  }
+  
+  // File names identify profiles unless two share one
+  const nameCounts = new Map();
+  for (const profile of profiles) {
+    nameCounts.set(profile.id, (nameCounts.get(profile.id) || 0) + 1);
+  }
+  for (const profile of profiles) {
+    if (nameCounts.get(profile.id) > 1) {
+      profile.id = withoutExtension(profile.file).split(path.sep).join('/');
+    }
+  }
+  
+  return profiles;
+}
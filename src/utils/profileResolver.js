@@ -0,0 +1,568 @@
+/**
+ * Profile Resolver
+ * Resolves OSCAL profiles into resolved catalogs, following the NIST OSCAL profile resolution
+ * specification: import (with back-matter and nested profile references), merge, and modify.
+ * 
+ * Supported:
+ * - Imports by relative path, by #uuid reference into back-matter resources, and of other profiles
+ * - include-all, include-controls and exclude-controls with with-ids, matching patterns and with-child-controls
+ * - merge as-is (keeps groups and enhancement nesting) and flat (the default)
+ * - modify set-parameters and alters (adds and removes, by-id into parts)
+ * - Profiles and catalogs in JSON, XML or YAML (see oscalFormats)
+ */
+
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { parseOscalDocument, readOscalDocument } from './oscalFormats.js';
+import { throwIfCancelled } from './operation.js';
+
+// Properties of a set-parameter that replace the catalog's value, and those added to it
+const PARAM_REPLACED_FIELDS = ['label', 'usage', 'values', 'select'];
+const PARAM_ADDED_FIELDS = ['props', 'links', 'constraints', 'guidelines'];
+
+/**
+ * Work out what an import href points to
+ * 
+ * @returns {Object} - { location } of a file to load, or { document } for inline base64 resources
+ */
+function resolveHref(href, document, baseDir, options) {
+  if (!href) {
+    // Minimal profiles omit the href and import the default catalog
+    if (!options.defaultImport) {
+      throw new Error('Import has no href and no default catalog is configured');
+    }
+    return { location: options.defaultImport };
+  }
+  
+  // #uuid references a back-matter resource of the importing document
+  if (href.startsWith('#')) {
+    const uuid = href.slice(1);
+    const resource = document['back-matter']?.resources?.find(candidate => candidate.uuid === uuid);
+    if (!resource) {
+      throw new Error(`Back-matter resource not found for import ${href}`);
+    }
+    
+    if (resource.base64?.value) {
+      const text = Buffer.from(resource.base64.value, 'base64').toString('utf8');
+      return { document: parseOscalDocument(text, resource.base64.filename) };
+    }
+    
+    const rlinks = resource.rlinks || [];
+    const rlink = rlinks.find(link => link['media-type']?.includes('json')) || rlinks[0];
+    if (!rlink) {
+      throw new Error(`Back-matter resource ${uuid} has no rlink to import`);
+    }
+    return resolveHref(rlink.href, document, baseDir, options);
+  }
+  
+  // Well-known documents (e.g., NIST_SP-800-53_rev5_catalog.json) can be mapped to local copies
+  const fileName = href.split(/[?#]/)[0].split('/').pop();
+  if (options.aliases?.[fileName]) {
+    return { location: options.aliases[fileName] };
+  }
+  
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(href)) {
+    throw new Error(`Remote import not supported: ${href}`);
+  }
+  return { location: path.resolve(baseDir, href) };
+}
+
+/**
+ * Collect every control of a catalog with its parent control, depth-first in document order
+ */
+function flattenControls(catalog) {
+  const entries = [];
+  
+  const visit = (controls, parent) => {
+    for (const control of controls || []) {
+      entries.push({ control, parent });
+      visit(control.controls, control);
+    }
+  };
+  const visitGroups = (groups) => {
+    for (const group of groups || []) {
+      visit(group.controls, null);
+      visitGroups(group.groups);
+    }
+  };
+  
+  visitGroups(catalog.groups);
+  visit(catalog.controls, null);
+  return entries;
+}
+
+/**
+ * Convert a matching pattern (with * and ? wildcards) to a regular expression
+ */
+function patternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Apply include-controls / exclude-controls selectors
+ * 
+ * @returns {Object} - The matched IDs and the with-ids that are not in the catalog
+ */
+function applySelectors(selectors, entries) {
+  const matched = new Set();
+  const missing = [];
+  const byId = new Map(entries.map(entry => [entry.control.id.toLowerCase(), entry]));
+  
+  const addWithChildren = (control, withChildren) => {
+    matched.add(control.id.toLowerCase());
+    if (withChildren) {
+      for (const child of control.controls || []) {
+        addWithChildren(child, true);
+      }
+    }
+  };
+  
+  for (const selector of selectors || []) {
+    const withChildren = selector['with-child-controls'] === 'yes';
+    
+    for (const id of selector['with-ids'] || []) {
+      const entry = byId.get(id.toLowerCase());
+      if (entry) {
+        addWithChildren(entry.control, withChildren);
+      } else {
+        missing.push(id);
+      }
+    }
+    
+    for (const { pattern } of selector.matching || []) {
+      const regex = patternToRegex(pattern);
+      for (const entry of entries) {
+        if (regex.test(entry.control.id)) {
+          addWithChildren(entry.control, withChildren);
+        }
+      }
+    }
+  }
+  
+  return { matched, missing };
+}
+
+/**
+ * Select the controls of one import from its source catalog
+ */
+function selectControls(importDirective, catalog) {
+  const entries = flattenControls(catalog);
+  
+  let selected;
+  let missing = [];
+  if (importDirective['include-all']) {
+    selected = new Set(entries.map(entry => entry.control.id.toLowerCase()));
+  } else {
+    ({ matched: selected, missing } = applySelectors(importDirective['include-controls'], entries));
+  }
+  
+  const { matched: excluded } = applySelectors(importDirective['exclude-controls'], entries);
+  for (const id of excluded) {
+    selected.delete(id);
+  }
+  missing = missing.filter(id => !excluded.has(id.toLowerCase()));
+  
+  return { selected, missing };
+}
+
+/**
+ * Deep copy an object, leaving out some of its fields
+ */
+function copyWithout(object, ...fields) {
+  const copy = { ...object };
+  for (const field of fields) {
+    delete copy[field];
+  }
+  return structuredClone(copy);
+}
+
+/**
+ * Copy the selected controls of a catalog, keeping groups and enhancement nesting (merge as-is)
+ * Selected enhancements of unselected controls move up to the nearest kept container.
+ */
+function structureAsIs(catalog, selected) {
+  const keepControls = (controls) => {
+    const kept = [];
+    for (const control of controls || []) {
+      const children = keepControls(control.controls);
+      if (selected.has(control.id.toLowerCase())) {
+        const copy = copyWithout(control, 'controls');
+        if (children.length > 0) {
+          copy.controls = children;
+        }
+        kept.push(copy);
+      } else {
+        kept.push(...children);
+      }
+    }
+    return kept;
+  };
+  
+  const keepGroups = (groups) => {
+    const kept = [];
+    for (const group of groups || []) {
+      const copy = copyWithout(group, 'controls', 'groups');
+      const controls = keepControls(group.controls);
+      const subGroups = keepGroups(group.groups);
+      if (controls.length === 0 && subGroups.length === 0) {
+        continue;
+      }
+      if (controls.length > 0) copy.controls = controls;
+      if (subGroups.length > 0) copy.groups = subGroups;
+      kept.push(copy);
+    }
+    return kept;
+  };
+  
+  return {
+    groups: keepGroups(catalog.groups),
+    controls: keepControls(catalog.controls)
+  };
+}
+
+/**
+ * Copy the selected controls of a catalog as one flat list without groups (merge flat)
+ */
+function structureFlat(catalog, selected) {
+  const controls = flattenControls(catalog)
+    .filter(entry => selected.has(entry.control.id.toLowerCase()))
+    .map(entry => copyWithout(entry.control, 'controls'));
+  return { groups: [], controls };
+}
+
+/**
+ * Find a part (or the control itself) by ID, with the array that holds it
+ */
+function findTarget(control, id) {
+  if (!id || id === control.id) {
+    return { target: control, container: null };
+  }
+  
+  const search = (parts) => {
+    for (let index = 0; index < (parts || []).length; index++) {
+      const part = parts[index];
+      if (part.id === id) {
+        return { target: part, container: parts, index };
+      }
+      const found = search(part.parts);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+  return search(control.parts);
+}
+
+/**
+ * Apply an alter's adds to a control
+ * 
+ * @returns {boolean} - Whether the add found its target
+ */
+function applyAdd(control, add) {
+  const found = findTarget(control, add['by-id']);
+  if (!found) {
+    return false;
+  }
+  
+  const { target, container, index } = found;
+  const position = add.position || 'ending';
+  
+  if (add.title) {
+    target.title = add.title;
+  }
+  
+  // Parts added before or after a part become its siblings
+  if ((position === 'before' || position === 'after') && container) {
+    const offset = position === 'before' ? index : index + 1;
+    container.splice(offset, 0, ...structuredClone(add.parts || []));
+    return true;
+  }
+  
+  for (const field of ['params', 'props', 'links', 'parts']) {
+    if (!add[field]) {
+      continue;
+    }
+    const items = structuredClone(add[field]);
+    target[field] = position === 'starting'
+      ? [...items, ...(target[field] || [])]
+      : [...(target[field] || []), ...items];
+  }
+  return true;
+}
+
+/**
+ * Check whether an item matches all of a remove's criteria
+ */
+function matchesRemove(item, itemName, remove) {
+  if (remove['by-item-name'] && remove['by-item-name'] !== itemName) return false;
+  if (remove['by-name'] && item.name !== remove['by-name']) return false;
+  if (remove['by-class'] && item.class !== remove['by-class']) return false;
+  if (remove['by-id'] && item.id !== remove['by-id']) return false;
+  if (remove['by-ns'] && item.ns !== remove['by-ns']) return false;
+  return true;
+}
+
+/**
+ * Apply an alter's removes to a control, recursing into its parts
+ */
+function applyRemove(container, remove) {
+  const fields = { parts: 'part', props: 'prop', links: 'link', params: 'param' };
+  for (const [field, itemName] of Object.entries(fields)) {
+    if (container[field]) {
+      container[field] = container[field].filter(item => !matchesRemove(item, itemName, remove));
+    }
+  }
+  for (const part of container.parts || []) {
+    applyRemove(part, remove);
+  }
+}
+
+/**
+ * Apply set-parameters and alters to the resolved controls
+ * 
+ * @returns {Object} - The profile's set-parameters (settings, keyed by parameter ID), the adds of
+ *   its alters (alterations, keyed by control ID), and the IDs of parameters and controls the
+ *   modifications could not find
+ */
+function applyModify(modify, resolved) {
+  const result = { settings: {}, alterations: {}, unresolvedParameters: [], unresolvedAlters: [] };
+  if (!modify) {
+    return result;
+  }
+  
+  const controls = new Map(flattenControls(resolved).map(({ control }) => [control.id.toLowerCase(), control]));
+  const params = new Map();
+  for (const param of resolved.params || []) {
+    params.set(param.id, param);
+  }
+  for (const control of controls.values()) {
+    for (const param of control.params || []) {
+      params.set(param.id, param);
+    }
+  }
+  
+  for (const setParameter of modify['set-parameters'] || []) {
+    // Settings are kept even when the parameter is missing, so profiles can still be compared
+    result.settings[setParameter['param-id']] = structuredClone(setParameter);
+    
+    const param = params.get(setParameter['param-id']);
+    if (!param) {
+      result.unresolvedParameters.push(setParameter['param-id']);
+      continue;
+    }
+    for (const field of PARAM_REPLACED_FIELDS) {
+      if (setParameter[field] !== undefined) {
+        param[field] = structuredClone(setParameter[field]);
+      }
+    }
+    for (const field of PARAM_ADDED_FIELDS) {
+      if (setParameter[field]) {
+        param[field] = [...(param[field] || []), ...structuredClone(setParameter[field])];
+      }
+    }
+  }
+  
+  for (const alter of modify.alters || []) {
+    // Adds are kept even when their target is missing (e.g., from a catalog without parts), so the
+    // props they carry, such as FedRAMP response points, can still be read
+    const controlId = alter['control-id'].toLowerCase();
+    result.alterations[controlId] = [...(result.alterations[controlId] || []), ...structuredClone(alter.adds || [])];
+    
+    const control = controls.get(controlId);
+    if (!control) {
+      result.unresolvedAlters.push(alter['control-id']);
+      continue;
+    }
+    for (const remove of alter.removes || []) {
+      applyRemove(control, remove);
+    }
+    for (const add of alter.adds || []) {
+      if (!applyAdd(control, add)) {
+        result.unresolvedAlters.push(`${alter['control-id']}#${add['by-id']}`);
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Merge alter adds keyed by control ID, keeping the earlier adds of each control first
+ */
+function mergeAlterations(...alterationSets) {
+  const merged = {};
+  for (const alterations of alterationSets) {
+    for (const [controlId, adds] of Object.entries(alterations || {})) {
+      merged[controlId] = [...(merged[controlId] || []), ...adds];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge back-matter resources, keeping the first resource with each UUID
+ */
+function mergeBackMatter(...backMatters) {
+  const resources = new Map();
+  for (const backMatter of backMatters) {
+    for (const resource of backMatter?.resources || []) {
+      if (!resources.has(resource.uuid)) {
+        resources.set(resource.uuid, resource);
+      }
+    }
+  }
+  return { resources: [...resources.values()] };
+}
+
+/**
+ * Resolve a loaded profile document
+ */
+async function resolveProfileDocument(document, location, options, stack) {
+  const profile = document.profile;
+  const baseDir = path.dirname(location);
+  const asIs = Boolean(profile.merge?.['as-is']) || Boolean(profile.merge?.custom);
+  
+  const resolved = { params: [], groups: [], controls: [] };
+  const seen = new Set();
+  const controlIds = [];
+  const missingControlIds = [];
+  const catalogLocations = new Set();
+  let parameterSettings = {};
+  let alterations = {};
+  let backMatter = mergeBackMatter(profile['back-matter']);
+  
+  for (const importDirective of profile.imports || []) {
+    throwIfCancelled(options.signal);
+    
+    const source = resolveHref(importDirective.href, profile, baseDir, options);
+    const imported = source.document
+      ? await resolveLoadedDocument(source.document, location, options, stack)
+      : await resolveDocument(source.location, options, stack);
+    const catalog = imported.catalog.catalog;
+    
+    const { selected, missing } = selectControls(importDirective, catalog);
+    
+    // Controls selected by an earlier import win (combine use-first)
+    for (const id of seen) {
+      selected.delete(id);
+    }
+    
+    const structured = asIs ? structureAsIs(catalog, selected) : structureFlat(catalog, selected);
+    resolved.groups.push(...structured.groups);
+    resolved.controls.push(...structured.controls);
+    resolved.params.push(...structuredClone(catalog.params || []));
+    
+    for (const { control } of flattenControls(structured)) {
+      seen.add(control.id.toLowerCase());
+      controlIds.push(control.id);
+    }
+    // Controls a nested profile could not find stay selected when this import takes everything
+    const inheritedMissing = importDirective['include-all'] ? imported.missingControlIds : [];
+    for (const id of [...missing, ...inheritedMissing]) {
+      if (!seen.has(id.toLowerCase())) {
+        seen.add(id.toLowerCase());
+        missingControlIds.push(id);
+        controlIds.push(id);
+      }
+    }
+    imported.catalogLocations.forEach(catalogLocation => catalogLocations.add(catalogLocation));
+    backMatter = mergeBackMatter(backMatter, catalog['back-matter']);
+    parameterSettings = { ...parameterSettings, ...imported.parameterSettings };
+    alterations = mergeAlterations(alterations, imported.alterations);
+  }
+  
+  const modified = applyModify(profile.modify, resolved);
+  
+  const catalog = {
+    uuid: randomUUID(),
+    metadata: {
+      ...structuredClone(profile.metadata || {}),
+      'last-modified': new Date().toISOString(),
+      links: [
+        ...(profile.metadata?.links || []),
+        { href: location, rel: 'source-profile' }
+      ]
+    }
+  };
+  if (resolved.params.length > 0) catalog.params = resolved.params;
+  if (resolved.groups.length > 0) catalog.groups = resolved.groups;
+  if (resolved.controls.length > 0) catalog.controls = resolved.controls;
+  if (backMatter.resources.length > 0) catalog['back-matter'] = backMatter;
+  
+  return {
+    catalog: { catalog },
+    controlIds,
+    missingControlIds,
+    catalogLocations: [...catalogLocations],
+    // This profile's settings override those of the profiles it imports
+    parameterSettings: { ...parameterSettings, ...modified.settings },
+    // This profile's adds apply after those of the profiles it imports
+    alterations: mergeAlterations(alterations, modified.alterations),
+    unresolvedParameters: modified.unresolvedParameters,
+    unresolvedAlters: modified.unresolvedAlters
+  };
+}
+
+/**
+ * Resolve an already loaded catalog or profile document
+ */
+async function resolveLoadedDocument(document, location, options, stack) {
+  if (document.catalog) {
+    return {
+      catalog: document,
+      controlIds: flattenControls(document.catalog).map(({ control }) => control.id),
+      missingControlIds: [],
+      // Catalogs embedded in a profile's back-matter have no location of their own
+      catalogLocations: [],
+      parameterSettings: {},
+      alterations: {},
+      unresolvedParameters: [],
+      unresolvedAlters: []
+    };
+  }
+  if (document.profile) {
+    return resolveProfileDocument(document, location, options, stack);
+  }
+  throw new Error(`Not an OSCAL catalog or profile: ${location}`);
+}
+
+/**
+ * Load and resolve a catalog or profile, detecting import cycles
+ */
+async function resolveDocument(location, options, stack) {
+  if (stack.includes(location)) {
+    throw new Error(`Circular profile import: ${[...stack, location].join(' -> ')}`);
+  }
+  
+  const loadDocument = options.loadDocument || readOscalDocument;
+  const document = await loadDocument(location, { signal: options.signal });
+  const resolution = await resolveLoadedDocument(document, location, options, [...stack, location]);
+  return document.catalog ? { ...resolution, catalogLocations: [location] } : resolution;
+}
+
+/**
+ * Resolve a profile into a resolved catalog
+ * 
+ * @param {string} profilePath - Path of the profile document
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.defaultImport] - Catalog imported by imports without an href
+ * @param {Object} [options.aliases] - Local paths for imported documents, keyed by file name
+ *   (e.g., { 'NIST_SP-800-53_rev5_catalog.json': '/path/to/catalog.json' })
+ * @param {Function} [options.loadDocument] - Loads a document: (location, { signal }) => Promise<Object>
+ * @param {AbortSignal} [options.signal] - Aborts resolution
+ * @returns {Promise<Object>} - The resolution:
+ *   - catalog: the resolved catalog document ({ catalog: { ... } })
+ *   - controlIds: IDs of all selected controls, including those missing from the source catalog
+ *   - missingControlIds: selected IDs that the source catalog does not contain
+ *   - catalogLocations: paths of the catalog files the controls were imported from, directly or
+ *     through other profiles
+ *   - parameterSettings: the set-parameters of the profile and the profiles it imports, keyed by parameter ID
+ *   - alterations: the adds of the alters of the profile and the profiles it imports, keyed by
+ *     lowercase OSCAL control ID (e.g., ac-2.1), including those whose target was not found
+ *   - unresolvedParameters / unresolvedAlters: modifications whose target was not found
+ */
+export async function resolveProfile(profilePath, options = {}) {
+  return resolveDocument(path.resolve(profilePath), options, []);
+}
@@ -0,0 +1,69 @@
+/**
+ * Schema Validator
+ * Validates method parameters against JSON Schema definitions using Ajv
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true });
+
+/**
+ * Convert an Ajv error into a field-level error description
+ * 
+ * @param {Object} error - The Ajv error
+ * @returns {Object} - The field, message and failing keyword
+ */
+function toFieldError(error) {
+  // Turn JSON pointers like /responsibleRoles/0 into responsibleRoles[0]
+  let field = error.instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('')
+    .replace(/^\./, '');
+  
+  if (error.keyword === 'required') {
+    field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+  } else if (error.keyword === 'additionalProperties') {
+    field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+  }
+  
+  const fieldError = {
+    field: field || '(params)',
+    message: error.message,
+    keyword: error.keyword
+  };
+  if (error.keyword === 'enum') {
+    fieldError.allowedValues = error.params.allowedValues;
+  }
+  return fieldError;
+}
+
+/**
+ * Compile a validator for a JSON Schema
+ * 
+ * @param {Object} schema - The JSON Schema to validate against
+ * @returns {Function} - Returns an array of field errors, or null when the value is valid
+ */
+export function compileValidator(schema) {
+  const validate = ajv.compile(schema);
+  
+  return (value) => {
+    if (validate(value)) {
+      return null;
+    }
+    return validate.errors.map(toFieldError);
+  };
+}
+
+/**
+ * Summarize field errors in a single message
+ * 
+ * @param {Array} errors - Field errors from a compiled validator
+ * @returns {string} - A readable summary (e.g., "sspId must have required property 'sspId'")
+ */
+export function formatErrors(errors) {
+  return errors
+    .map(error => (error.keyword === 'required' ? error.message : `${error.field} ${error.message}`))
+    .join('; ');
+}
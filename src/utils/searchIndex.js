@@ -0,0 +1,183 @@
+/**
+ * Search Index
+ * An inverted index over text documents with BM25 ranking and highlighted snippets
+ * 
+ * Documents have several text fields, each weighted (BM25F-style) so that, e.g., a match in a
+ * control's title counts for more than one in its guidance. Terms are lowercased, lightly stemmed
+ * and stripped of stop words; hyphenated words are also indexed joined, so "multifactor" finds
+ * "multi-factor".
+ */
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const WORD_PATTERN = /[A-Za-z0-9]+(?:-[A-Za-z0-9]+)*/g;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with'
+]);
+
+/**
+ * Reduce a word to its stem by stripping common English suffixes
+ * Deliberately light: privileged, privileges and privilege all become privileg.
+ * 
+ * @param {string} word - A lowercase word
+ * @returns {string} - The stem
+ */
+export function stem(word) {
+  if (word.length <= 3 || /^\d/.test(word)) {
+    return word;
+  }
+  
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  
+  if (result.endsWith('ing') && result.length > 5) {
+    result = result.slice(0, -3);
+  } else if (result.endsWith('ed') && result.length > 4) {
+    result = result.slice(0, -2);
+  }
+  if (result.endsWith('e') && result.length > 4) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Get the index terms for a single word, including the joined form of hyphenated words
+ */
+function wordTerms(word) {
+  const parts = word.toLowerCase().split('-');
+  const terms = parts.length > 1 ? [...parts, parts.join('')] : parts;
+  return terms.filter(term => !STOP_WORDS.has(term)).map(stem);
+}
+
+/**
+ * Split text into index terms
+ * 
+ * @param {string} [text] - The text
+ * @returns {Array} - Terms in order of appearance
+ */
+export function tokenize(text) {
+  return (text?.match(WORD_PATTERN) || []).flatMap(wordTerms);
+}
+
+/**
+ * Build an index over documents
+ * 
+ * @param {Array} documents - Documents to index ({ id, fields: { name: text } })
+ * @param {Object} [weights] - Weight of each field, keyed by field name (fields without a weight count once)
+ * @returns {Object} - The index: { size, search(query) }
+ */
+export function createSearchIndex(documents, weights = {}) {
+  // term -> Map(document index -> weighted term frequency)
+  const postings = new Map();
+  const lengths = [];
+  
+  documents.forEach((document, docIndex) => {
+    let length = 0;
+    for (const [field, text] of Object.entries(document.fields)) {
+      const weight = weights[field] ?? 1;
+      const terms = tokenize(text);
+      length += weight * terms.length;
+      
+      for (const term of terms) {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+        const frequencies = postings.get(term);
+        frequencies.set(docIndex, (frequencies.get(docIndex) || 0) + weight);
+      }
+    }
+    lengths.push(length);
+  });
+  
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+  
+  /**
+   * Rank the documents matching any query term
+   * Documents matching more of the query's terms are favoured over those matching one term often.
+   * 
+   * @param {string} query - Free-text query
+   * @returns {Array} - Matches ({ id, score, terms }) by descending score, ties in document order
+   */
+  const search = (query) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    const scores = new Map();
+    
+    for (const term of queryTerms) {
+      const frequencies = postings.get(term);
+      if (!frequencies) {
+        continue;
+      }
+      const idf = Math.log(1 + (documents.length - frequencies.size + 0.5) / (frequencies.size + 0.5));
+      
+      for (const [docIndex, frequency] of frequencies) {
+        const norm = K1 * (1 - B + B * lengths[docIndex] / (averageLength || 1));
+        const entry = scores.get(docIndex) || { score: 0, terms: new Set() };
+        entry.score += idf * (frequency * (K1 + 1)) / (frequency + norm);
+        entry.terms.add(term);
+        scores.set(docIndex, entry);
+      }
+    }
+    
+    return [...scores]
+      .map(([docIndex, { score, terms }]) => ({
+        id: documents[docIndex].id,
+        score: score * (0.5 + 0.5 * terms.size / queryTerms.length),
+        terms,
+        docIndex
+      }))
+      .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+      .map(({ id, score, terms }) => ({ id, score, terms }));
+  };
+  
+  return { size: documents.length, search };
+}
+
+/**
+ * Excerpt the part of a text around its first match, with matching words in **bold**
+ * 
+ * @param {string} [text] - The text
+ * @param {Set} terms - Matched index terms (see tokenize)
+ * @param {number} [maxLength] - Approximate length of the excerpt
+ * @returns {string|undefined} - The snippet, or undefined when nothing in the text matches
+ */
+export function highlight(text, terms, maxLength = 200) {
+  const matches = [...(text || '').matchAll(WORD_PATTERN)]
+    .filter(match => wordTerms(match[0]).some(term => terms.has(term)))
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+  if (matches.length === 0) {
+    return undefined;
+  }
+  
+  // Start a little before the first match, on a word boundary
+  let start = Math.max(0, matches[0].start - Math.floor(maxLength / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < matches[0].start ? space + 1 : matches[0].start;
+  }
+  let end = Math.min(text.length, start + maxLength);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > matches[0].end ? space : end;
+  }
+  
+  let snippet = '';
+  let position = start;
+  for (const match of matches.filter(match => match.start >= start && match.end <= end)) {
+    snippet += `${text.slice(position, match.start)}**${text.slice(match.start, match.end)}**`;
+    position = match.end;
+  }
+  snippet += text.slice(position, end);
+  
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
@@ -0,0 +1,145 @@
+/**
+ * XML Parser
+ * Parses an XML document into a tree of elements, enough to read the OSCAL XML format
+ * 
+ * Supports elements, attributes, text, CDATA sections and the predefined and numeric character
+ * references. Comments, processing instructions and the document type declaration are skipped,
+ * so entities declared in a DTD are not expanded.
+ */
+
+const NAMED_ENTITIES = new Map([['lt', '<'], ['gt', '>'], ['amp', '&'], ['quot', '"'], ['apos', '\'']]);
+
+const START_TAG_PATTERN = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const END_TAG_PATTERN = /<\/([A-Za-z_][\w.:-]*)\s*>/y;
+const ATTRIBUTE_PATTERN = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Replace the character and entity references in text
+ * 
+ * @param {string} text - Text as it appears in the document
+ * @returns {string} - The text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_][\w.-]*);/g, (reference, name) => {
+    if (name.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith('#')) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (!NAMED_ENTITIES.has(name)) {
+      throw new Error(`Undefined entity ${reference}`);
+    }
+    return NAMED_ENTITIES.get(name);
+  });
+}
+
+/**
+ * Parse an XML document
+ * 
+ * @param {string} text - The document
+ * @returns {Object} - The root element: { name, attributes, children }, where children are
+ *   elements and strings of text, in document order
+ */
+export function parseXml(text) {
+  const document = { children: [] };
+  const stack = [document];
+  let position = 0;
+  
+  const fail = (message) => {
+    throw new Error(`Invalid XML: ${message} at line ${text.slice(0, position).split('\n').length}`);
+  };
+  const skipPast = (terminator, description) => {
+    const end = text.indexOf(terminator, position);
+    if (end === -1) {
+      fail(`unterminated ${description}`);
+    }
+    const skipped = text.slice(position, end);
+    position = end + terminator.length;
+    return skipped;
+  };
+  const addText = (content) => {
+    const parent = stack[stack.length - 1];
+    if (parent === document) {
+      if (content.trim()) {
+        fail('text outside the root element');
+      }
+      return;
+    }
+    const last = parent.children.length - 1;
+    if (typeof parent.children[last] === 'string') {
+      parent.children[last] += content;
+    } else {
+      parent.children.push(content);
+    }
+  };
+  
+  while (position < text.length) {
+    const next = text.indexOf('<', position);
+    const end = next === -1 ? text.length : next;
+    if (end > position) {
+      addText(decodeEntities(text.slice(position, end)));
+    }
+    position = end;
+    if (next === -1) {
+      break;
+    }
+    
+    if (text.startsWith('<!--', position)) {
+      skipPast('-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', position)) {
+      position += '<![CDATA['.length;
+      addText(skipPast(']]>', 'CDATA section'));
+    } else if (text.startsWith('<?', position)) {
+      skipPast('?>', 'processing instruction');
+    } else if (text.startsWith('<!DOCTYPE', position)) {
+      // The internal subset, when there is one, ends at the first ]
+      const subset = text.indexOf('[', position);
+      if (subset !== -1 && subset < text.indexOf('>', position)) {
+        skipPast(']', 'document type declaration');
+      }
+      skipPast('>', 'document type declaration');
+    } else if (text.startsWith('</', position)) {
+      END_TAG_PATTERN.lastIndex = position;
+      const match = END_TAG_PATTERN.exec(text);
+      const element = stack[stack.length - 1];
+      if (!match) {
+        fail('malformed end tag');
+      }
+      if (element === document || element.name !== match[1]) {
+        fail(`unexpected end tag </${match[1]}>`);
+      }
+      stack.pop();
+      position = END_TAG_PATTERN.lastIndex;
+    } else {
+      START_TAG_PATTERN.lastIndex = position;
+      const match = START_TAG_PATTERN.exec(text);
+      if (!match) {
+        fail('malformed tag');
+      }
+      const parent = stack[stack.length - 1];
+      if (parent === document && document.children.length > 0) {
+        fail('more than one root element');
+      }
+      
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of match[2].matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[name] = decodeEntities((doubleQuoted ?? singleQuoted).replace(/[\t\n\r]/g, ' '));
+      }
+      const element = { name: match[1], attributes, children: [] };
+      parent.children.push(element);
+      if (!match[3]) {
+        stack.push(element);
+      }
+      position = START_TAG_PATTERN.lastIndex;
+    }
+  }
+  
+  if (stack.length > 1) {
+    fail(`unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  if (document.children.length === 0) {
+    fail('no root element');
+  }
+  return document.children[0];
+}
@@ -0,0 +1,51 @@
+import { readFileSync } from 'fs';
+import { parseCatalog } from '../src/utils/catalogParser.js';
+import { describeAssessment } from '../src/utils/assessmentObjectives.js';
+
+const catalog = parseCatalog(JSON.parse(readFileSync(new URL('./fixtures/oscal-content/catalogs/nist.gov/SP800-53/catalog.json', import.meta.url))));
+const profile = JSON.parse(readFileSync(new URL('./fixtures/oscal-content/profiles/fedramp/fedramp_low.json', import.meta.url)));
+const addsFor = (controlId) => profile.profile.modify.alters.find(alter => alter['control-id'] === controlId).adds;
+
+describe('describeAssessment', () => {
+  it("lists the catalog's objectives in document order", () => {
+    expect(describeAssessment(catalog.controls.get('AC-1'))).toEqual({
+      objectives: [
+        { id: 'ac-1_obj.a', label: 'AC-01a.', prose: 'an access control policy is developed and documented;', methods: [], responsePoint: false },
+        { id: 'ac-1_obj.b', label: 'AC-01b.', prose: 'the current access control policy is reviewed and updated;', methods: [], responsePoint: false }
+      ],
+      methods: [],
+      responsePoints: []
+    });
+  });
+  
+  it("adds the profile's FedRAMP methods and response points", () => {
+    const assessment = describeAssessment(catalog.controls.get('AC-1'), addsFor('ac-1'));
+    expect(assessment.objectives.map(({ id, methods, responsePoint }) => ({ id, methods, responsePoint }))).toEqual([
+      { id: 'ac-1_obj.a', methods: ['EXAMINE', 'INTERVIEW'], responsePoint: true },
+      { id: 'ac-1_obj.b', methods: ['TEST'], responsePoint: false }
+    ]);
+    expect(assessment.methods).toEqual(['EXAMINE', 'INTERVIEW', 'TEST']);
+    expect(assessment.responsePoints).toEqual([
+      { partId: 'ac-1_smt.b', type: 'statement', label: 'b.', prose: 'Review and update the current access control policy {{ insert: param, ac-01_odp.03 }}.' },
+      { partId: 'ac-1_obj.a', type: 'objective', label: 'AC-01a.', prose: 'an access control policy is developed and documented;' }
+    ]);
+  });
+  
+  it('ignores props of the same names outside the FedRAMP namespace', () => {
+    const adds = [{ 'by-id': 'ac-1_obj.a', props: [{ name: 'response-point', value: 'x' }, { name: 'method', ns: 'https://example.com/ns/oscal', value: 'TEST' }] }];
+    const [objective] = describeAssessment(catalog.controls.get('AC-1'), adds).objectives;
+    expect(objective).toEqual(expect.objectContaining({ methods: [], responsePoint: false }));
+  });
+  
+  it('describes parts the catalog lacks from their IDs', () => {
+    const adds = [
+      { 'by-id': 'zz-1_smt.a', props: [{ name: 'response-point', ns: 'https://fedramp.gov/ns/oscal', value: 'x' }] },
+      { 'by-id': 'zz-1_obj.a-1', props: [{ name: 'method', ns: 'https://fedramp.gov/ns/oscal', value: 'EXAMINE' }] }
+    ];
+    expect(describeAssessment(undefined, adds)).toEqual({
+      objectives: [{ id: 'zz-1_obj.a-1', label: undefined, prose: undefined, methods: ['EXAMINE'], responsePoint: false }],
+      methods: ['EXAMINE'],
+      responsePoints: [{ partId: 'zz-1_smt.a', type: 'statement', label: undefined, prose: undefined }]
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { readFileSync } from 'fs';
+import { getProp, parseCatalog, parseParam, renderParts, toControlKey } from '../src/utils/catalogParser.js';
+
+const document = JSON.parse(readFileSync(new URL('./fixtures/oscal-content/catalogs/nist.gov/SP800-53/catalog.json', import.meta.url)));
+
+describe('toControlKey', () => {
+  it('normalizes SP 800-53 IDs', () => {
+    expect(toControlKey('ac-2')).toBe('AC-2');
+    expect(toControlKey('ac-2.1')).toBe('AC-2(1)');
+  });
+});
+
+describe('parseParam', () => {
+  it('summarizes labels, guidelines and selections', () => {
+    const [, selection] = document.catalog.groups[0].controls[0].params;
+    expect(parseParam(selection)).toEqual({
+      id: 'ac-01_odp.02',
+      label: undefined,
+      guidelines: [],
+      select: { howMany: 'one-or-more', choice: ['organization-level', 'mission/business process-level', 'system-level'] }
+    });
+  });
+});
+
+describe('renderParts', () => {
+  it('renders labelled, nested items', () => {
+    const [statement] = document.catalog.groups[0].controls[0].parts;
+    expect(renderParts([statement], 'statement')).toBe([
+      'a. Develop, document, and disseminate to {{ insert: param, ac-01_odp.01 }}:',
+      '  1. {{ insert: param, ac-01_odp.02 }} access control policy; and',
+      'b. Review and update the current access control policy {{ insert: param, ac-01_odp.03 }}.'
+    ].join('\n'));
+    expect(renderParts([statement], 'guidance')).toBeUndefined();
+  });
+});
+
+describe('parseCatalog', () => {
+  const catalog = parseCatalog(document);
+  
+  it('reads the metadata and families', () => {
+    expect(catalog.uuid).toBe('11111111-1111-4111-8111-111111111111');
+    expect(catalog.version).toBe('5.1.1');
+    expect(catalog.families).toEqual([
+      { id: 'AC', title: 'Access Control', controlCount: 3 },
+      { id: 'AU', title: 'Audit and Accountability', controlCount: 1 }
+    ]);
+  });
+  
+  it('indexes controls and their enhancements', () => {
+    expect([...catalog.controls.keys()]).toEqual(['AC-1', 'AC-2', 'AC-2(1)', 'AC-2(10)', 'AC-2(13)', 'AC-10', 'AU-2', 'AU-2(3)']);
+    
+    const control = catalog.controls.get('AC-2');
+    expect(control).toEqual(expect.objectContaining({
+      oscalId: 'ac-2',
+      title: 'Account Management',
+      family: 'AC',
+      label: 'AC-2',
+      sortId: 'ac-02',
+      status: 'active',
+      enhancements: ['AC-2(1)', 'AC-2(10)', 'AC-2(13)']
+    }));
+    expect(control.guidance).toMatch(/^Examples of system account types/);
+    
+    const enhancement = catalog.controls.get('AC-2(1)');
+    expect(enhancement.parent).toBe('AC-2');
+    expect(enhancement.family).toBe('AC');
+  });
+  
+  it('reads statuses, objectives and assessment methods', () => {
+    expect(catalog.controls.get('AC-2(10)').status).toBe('withdrawn');
+    
+    const control = catalog.controls.get('AC-1');
+    expect(control.objective).toBe([
+      'AC-01a. an access control policy is developed and documented;',
+      'AC-01b. the current access control policy is reviewed and updated;'
+    ].join('\n'));
+    expect(control.assessmentMethods).toEqual([{ method: 'EXAMINE', objects: 'Access control policy and procedures' }]);
+    expect(getProp(control.props, 'sort-id')).toBe('ac-01');
+  });
+  
+  it('indexes parameters across the catalog', () => {
+    expect(catalog.params.get('ac-02_odp.01')).toEqual({ id: 'ac-02_odp.01', label: 'prerequisites and criteria', guidelines: [] });
+    expect(catalog.params.size).toBe(5);
+  });
+  
+  it('rejects documents that are not catalogs', () => {
+    expect(() => parseCatalog({ profile: {} })).toThrow('Not an OSCAL catalog');
+  });
+});
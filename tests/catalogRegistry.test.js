@@ -0,0 +1,38 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectRevision, discoverCatalogs } from '../src/utils/catalogRegistry.js';
+
+const catalogsPath = fileURLToPath(new URL('./fixtures/oscal-content/catalogs', import.meta.url));
+
+describe('detectRevision', () => {
+  it('reads the revision from an SP 800-53 catalog title', () => {
+    expect(detectRevision({ title: 'NIST Special Publication 800-53 Revision 5: Security and Privacy Controls' })).toBe('rev5');
+    expect(detectRevision({ title: 'NIST SP 800-53 Rev. 4' })).toBe('rev4');
+  });
+  
+  it('ignores other catalogs', () => {
+    expect(detectRevision({ title: 'CIS Controls Revision 8' })).toBeUndefined();
+    expect(detectRevision({ title: 'NIST SP 800-53' })).toBeUndefined();
+    expect(detectRevision()).toBeUndefined();
+  });
+});
+
+describe('discoverCatalogs', () => {
+  it('identifies SP 800-53 catalogs by their revision, and others by their path', async () => {
+    const catalogs = await discoverCatalogs(catalogsPath);
+    expect(catalogs).toEqual([
+      expect.objectContaining({ id: 'example.org/policy', revision: undefined, organization: 'example.org' }),
+      {
+        id: 'rev5',
+        uuid: '11111111-1111-4111-8111-111111111111',
+        title: 'NIST Special Publication 800-53 Revision 5: Security and Privacy Controls for Information Systems and Organizations',
+        version: '5.1.1',
+        revision: 'rev5',
+        organization: 'nist.gov',
+        file: path.join('nist.gov', 'SP800-53', 'catalog.json'),
+        path: path.join(catalogsPath, 'nist.gov', 'SP800-53', 'catalog.json')
+      },
+      expect.objectContaining({ id: 'rev4', revision: 'rev4', file: path.join('nist.gov', 'SP800-53-rev4', 'catalog.json') })
+    ]);
+  });
+});
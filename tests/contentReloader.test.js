@@ -0,0 +1,43 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content path when they are first imported
+const contentPath = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.OSCAL_CONTENT_PATH = contentPath;
+process.env.LOG_LEVEL = 'critical';
+const { addReloadListener, findChangedAreas, reloadContent } = await import('../src/services/contentReloader.js');
+
+describe('findChangedAreas', () => {
+  it('names the areas changed files belong to, in a fixed order', () => {
+    expect(findChangedAreas([
+      path.join(contentPath, 'profiles', 'baselines', 'low.json'),
+      path.join(contentPath, 'catalogs', 'nist.gov', 'SP800-53', 'catalog.json'),
+      path.join(contentPath, 'profiles', 'baselines', 'moderate.json'),
+      path.join(contentPath, 'mappings')
+    ])).toEqual(['catalogs', 'profiles', 'mappings']);
+  });
+  
+  it('ignores files outside the content areas', () => {
+    expect(findChangedAreas([path.join(contentPath, 'README.md'), path.join(contentPath, 'index', 'search.json'), path.dirname(contentPath)])).toEqual([]);
+  });
+});
+
+describe('reloadContent', () => {
+  it('reloads the areas asked for and tells the listeners', async () => {
+    const results = [];
+    const removeListener = addReloadListener(result => results.push(result));
+    
+    const result = await reloadContent(['mappings', 'profiles']);
+    expect(result).toEqual({
+      areas: ['profiles', 'mappings'],
+      catalogs: ['example.org/policy', 'rev5', 'rev4'],
+      profiles: 5,
+      mappedFrameworks: 1,
+      reloadedAt: expect.any(String)
+    });
+    
+    removeListener();
+    await reloadContent(['mappings']);
+    expect(results).toEqual([result]);
+  });
+});
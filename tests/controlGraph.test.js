@@ -0,0 +1,44 @@
+import { readFileSync } from 'fs';
+import { parseCatalog } from '../src/utils/catalogParser.js';
+import { buildControlGraph, traverseGraph } from '../src/utils/controlGraph.js';
+
+const catalog = parseCatalog(JSON.parse(readFileSync(new URL('./fixtures/oscal-content/catalogs/nist.gov/SP800-53/catalog.json', import.meta.url))));
+const graph = buildControlGraph(catalog);
+
+const describeEdges = (edges) => edges.map(({ from, to, type }) => `${from} ${type} ${to}`);
+
+describe('buildControlGraph', () => {
+  it('makes edges of control links and enhancements', () => {
+    expect(describeEdges(graph.outgoing.get('AC-1'))).toEqual(['AC-1 related AC-2']);
+    expect(describeEdges(graph.outgoing.get('AC-2(10)'))).toEqual(['AC-2(10) enhancement-of AC-2', 'AC-2(10) incorporated-into AC-2']);
+    expect(describeEdges(graph.incoming.get('AU-2'))).toEqual(['AC-2 related AU-2', 'AU-2(3) enhancement-of AU-2', 'AU-2(3) incorporated-into AU-2']);
+  });
+  
+  it('ignores links to anything but controls, and link relations that are not edges', () => {
+    // AC-1 also links a reference, and AC-2(1) links AC-2 as required
+    expect(graph.outgoing.get('AC-1')).toHaveLength(1);
+    expect(describeEdges(graph.outgoing.get('AC-2(1)'))).toEqual(['AC-2(1) enhancement-of AC-2']);
+  });
+});
+
+describe('traverseGraph', () => {
+  it('walks outgoing edges to a depth', () => {
+    expect([...traverseGraph(graph, 'AC-1').distances]).toEqual([['AC-1', 0], ['AC-2', 1]]);
+    expect([...traverseGraph(graph, 'AC-1', { depth: 2 }).distances]).toEqual([['AC-1', 0], ['AC-2', 1], ['AU-2', 2]]);
+  });
+  
+  it('follows only the edge types asked for, in the direction asked for', () => {
+    const { distances, edges } = traverseGraph(graph, 'AC-2', { types: ['enhancement-of'], direction: 'incoming' });
+    expect([...distances.keys()]).toEqual(['AC-2', 'AC-2(1)', 'AC-2(10)', 'AC-2(13)']);
+    expect(edges.every(edge => edge.type === 'enhancement-of')).toBe(true);
+    
+    const successors = traverseGraph(graph, 'AU-2(3)', { types: ['incorporated-into'] });
+    expect([...successors.distances.keys()]).toEqual(['AU-2(3)', 'AU-2']);
+  });
+  
+  it('follows each edge once when walking both ways', () => {
+    const { distances, edges } = traverseGraph(graph, 'AC-1', { depth: 2, types: ['related'], direction: 'both' });
+    expect([...distances.keys()]).toEqual(['AC-1', 'AC-2', 'AU-2']);
+    expect(describeEdges(edges)).toEqual(['AC-1 related AC-2', 'AC-2 related AC-1', 'AC-2 related AU-2', 'AU-2 related AC-2']);
+  });
+});
@@ -0,0 +1,34 @@
+import { compareControlIds, getBaseControl, normalize, parse } from '../src/utils/controlUtils.js';
+
+describe('normalize', () => {
+  it('accepts the common ways of writing a control ID', () => {
+    for (const id of ['AC-2(1)', 'ac.2.1', 'ac-2.1']) {
+      expect(normalize(id)).toBe('AC-2(1)');
+    }
+    for (const id of ['AC-2', 'AC.2', 'AC2', 'ac 2']) {
+      expect(normalize(id)).toBe('AC-2');
+    }
+    expect(normalize('AC-2(1)', 'dot')).toBe('AC.2.1');
+  });
+  
+  it('rejects IDs outside the SP 800-53 scheme', () => {
+    expect(() => parse('1.1')).toThrow('Invalid control ID format: 1.1');
+    expect(() => normalize()).toThrow('Control ID is required');
+  });
+});
+
+describe('getBaseControl', () => {
+  it('drops the enhancement', () => {
+    expect(getBaseControl('AC-2(13)')).toBe('AC-2');
+  });
+});
+
+describe('compareControlIds', () => {
+  it('orders SP 800-53 IDs by family, number and enhancement', () => {
+    expect(['AU-2', 'AC-10', 'AC-2(10)', 'AC-2', 'AC-2(2)'].sort(compareControlIds)).toEqual(['AC-2', 'AC-2(2)', 'AC-2(10)', 'AC-10', 'AU-2']);
+  });
+  
+  it('orders IDs in other schemes as text, with numbers in numeric order', () => {
+    expect(['2.1', '1.10', '1.2', '1.1'].sort(compareControlIds)).toEqual(['1.1', '1.2', '1.10', '2.1']);
+  });
+});
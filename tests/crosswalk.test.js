@@ -0,0 +1,60 @@
+import { readFileSync } from 'fs';
+import { parseCatalog } from '../src/utils/catalogParser.js';
+import { buildControlGraph } from '../src/utils/controlGraph.js';
+import { buildCrosswalk, crosswalkControl } from '../src/utils/crosswalk.js';
+
+const load = (catalogDirectory) => {
+  const catalog = parseCatalog(JSON.parse(readFileSync(new URL(`./fixtures/oscal-content/catalogs/nist.gov/${catalogDirectory}/catalog.json`, import.meta.url))));
+  return { catalog, graph: buildControlGraph(catalog) };
+};
+
+const rev4 = load('SP800-53-rev4');
+const rev5 = load('SP800-53');
+
+describe('crosswalkControl', () => {
+  it('maps controls kept under the same ID', () => {
+    expect(crosswalkControl(rev4, rev5, 'AC-2')).toEqual({
+      controlId: 'AC-2',
+      title: 'Account Management',
+      type: 'unchanged',
+      targets: [{ id: 'AC-2', title: 'Account Management' }],
+      needsReview: false
+    });
+    expect(crosswalkControl(rev4, rev5, 'AU-2')).toEqual(expect.objectContaining({ type: 'retitled', targets: [{ id: 'AU-2', title: 'Event Logging' }] }));
+  });
+  
+  it('follows controls withdrawn in the target to their successors', () => {
+    expect(crosswalkControl(rev4, rev5, 'AC-2(10)')).toEqual({
+      controlId: 'AC-2(10)',
+      title: 'Shared / Group Account Credential Termination',
+      type: 'merged',
+      targets: [{ id: 'AC-2', title: 'Account Management' }],
+      needsReview: true
+    });
+  });
+  
+  it('follows controls already withdrawn in the source', () => {
+    expect(crosswalkControl(rev5, rev4, 'AU-2(3)')).toEqual(expect.objectContaining({ type: 'merged', targets: [{ id: 'AU-2', title: 'Audit Events' }] }));
+  });
+  
+  it('reports controls the target does not have', () => {
+    expect(crosswalkControl(rev4, rev5, 'AU-2(4)')).toEqual(expect.objectContaining({ type: 'unmapped', targets: [], needsReview: true }));
+  });
+});
+
+describe('buildCrosswalk', () => {
+  it('maps every source control in ID order and lists the target controls nothing maps to', () => {
+    const { mappings, added } = buildCrosswalk(rev4, rev5);
+    expect(mappings.map(mapping => [mapping.controlId, mapping.type])).toEqual([
+      ['AC-1', 'retitled'],
+      ['AC-2', 'unchanged'],
+      ['AC-2(1)', 'unchanged'],
+      ['AC-2(10)', 'merged'],
+      ['AC-10', 'unchanged'],
+      ['AU-2', 'retitled'],
+      ['AU-2(3)', 'merged'],
+      ['AU-2(4)', 'unmapped']
+    ]);
+    expect(added).toEqual(['AC-2(13)']);
+  });
+});
@@ -0,0 +1,54 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { watchDirectories } from '../src/utils/directoryWatcher.js';
+
+describe('watchDirectories', () => {
+  let directory;
+  let watcher;
+  
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'watched-'));
+  });
+  
+  afterEach(async () => {
+    watcher?.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+  
+  // Resolves with the paths of the next batch of changes
+  const watch = (roots) => {
+    let notify;
+    watcher = watchDirectories(roots, paths => notify(paths), { delay: 100 });
+    return () => new Promise(resolve => {
+      notify = resolve;
+    });
+  };
+  
+  const waitForWatchers = () => new Promise(resolve => setTimeout(resolve, 100));
+  
+  it('batches the changes to a file into one callback', async () => {
+    const nextChange = watch([directory]);
+    await waitForWatchers();
+    
+    const changes = nextChange();
+    const file = path.join(directory, 'catalog.json');
+    await writeFile(file, '{}');
+    await writeFile(file, '{"catalog":{}}');
+    expect(await changes).toEqual([file]);
+  });
+  
+  it('watches directories created after it started', async () => {
+    const nextChange = watch([directory, path.join(directory, 'missing')]);
+    await waitForWatchers();
+    
+    const subdirectory = path.join(directory, 'nist.gov');
+    let changes = nextChange();
+    await mkdir(subdirectory);
+    expect(await changes).toEqual([subdirectory]);
+    
+    changes = nextChange();
+    await writeFile(path.join(subdirectory, 'catalog.json'), '{}');
+    expect(await changes).toEqual([path.join(subdirectory, 'catalog.json')]);
+  });
+});
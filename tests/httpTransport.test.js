@@ -0,0 +1,121 @@
+import { once } from 'events';
+import { configureLogger } from '../src/utils/logger.js';
+import { startHttpTransport } from '../src/services/httpTransport.js';
+
+// Sessions opening and closing are logged as info
+configureLogger({ level: 'error' });
+
+/**
+ * An MCP server that answers each request with the method it was sent, sending a notification
+ * through the request's context first
+ */
+const createEchoServer = () => {
+  const closed = [];
+  let sessionCount = 0;
+  return {
+    closed,
+    createSession(send) {
+      sessionCount += 1;
+      return { id: `session-${sessionCount}`, send };
+    },
+    closeSession(session) {
+      closed.push(session.id);
+    },
+    async handleMessage(text, { session, send = session.send }) {
+      const message = JSON.parse(text);
+      if (message.id === undefined) {
+        return null;
+      }
+      send({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: message.id } });
+      return { jsonrpc: '2.0', id: message.id, result: { method: message.method } };
+    }
+  };
+};
+
+const initialize = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+describe('startHttpTransport', () => {
+  let server;
+  let httpServer;
+  let baseUrl;
+  
+  beforeAll(async () => {
+    server = createEchoServer();
+    httpServer = startHttpTransport(server, { port: 0, allowedOrigins: ['https://app.example.com'] });
+    await once(httpServer, 'listening');
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+  
+  afterAll(async () => {
+    httpServer.closeAllConnections();
+    httpServer.close();
+    await once(httpServer, 'close');
+  });
+  
+  const post = (body, headers = {}) => fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body
+  });
+  
+  it('opens a session on initialize and answers requests on it', async () => {
+    const response = await post(initialize, { Accept: 'application/json' });
+    expect(response.status).toBe(200);
+    const sessionId = response.headers.get('mcp-session-id');
+    expect(sessionId).toBeTruthy();
+    expect(await response.json()).toEqual({ jsonrpc: '2.0', id: 1, result: { method: 'initialize' } });
+    
+    const notified = await post(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }), { 'Mcp-Session-Id': sessionId });
+    expect(notified.status).toBe(202);
+    
+    const closed = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    expect(closed.status).toBe(200);
+    expect(server.closed).toContain(sessionId);
+  });
+  
+  it('streams notifications ahead of the response to clients accepting event streams', async () => {
+    const response = await post(initialize);
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(await response.text()).toBe(
+      'event: message\ndata: {"jsonrpc":"2.0","method":"notifications/progress","params":{"progressToken":1}}\n\n' +
+      'event: message\ndata: {"jsonrpc":"2.0","id":1,"result":{"method":"initialize"}}\n\n'
+    );
+  });
+  
+  it('refuses requests without a known session', async () => {
+    const ping = JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' });
+    expect((await post(ping)).status).toBe(400);
+    
+    const unknown = await post(ping, { 'Mcp-Session-Id': 'no-such-session' });
+    expect(unknown.status).toBe(404);
+    expect((await unknown.json()).error.message).toBe('Session not found: no-such-session');
+  });
+  
+  it('refuses browser origins that are not allowed', async () => {
+    expect((await post(initialize, { Origin: 'https://evil.example.com' })).status).toBe(403);
+    expect((await post(initialize, { Origin: 'https://app.example.com' })).status).toBe(200);
+  });
+  
+  it('answers on the event stream for the HTTP+SSE fallback', async () => {
+    const controller = new AbortController();
+    const stream = await fetch(`${baseUrl}/sse`, { signal: controller.signal });
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    
+    const { value: endpoint } = await reader.read();
+    const [, messagesPath] = endpoint.match(/^event: endpoint\ndata: (\S+)\n\n$/);
+    const accepted = await fetch(`${baseUrl}${messagesPath}`, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'ping' }) });
+    expect(accepted.status).toBe(202);
+    
+    let events = '';
+    while (!events.includes('"id":3')) {
+      events += (await reader.read()).value;
+    }
+    expect(events).toContain('data: {"jsonrpc":"2.0","id":3,"result":{"method":"ping"}}');
+    controller.abort();
+  });
+  
+  it('reports its health', async () => {
+    const response = await fetch(`${baseUrl}/health`);
+    expect(await response.json()).toEqual({ status: 'ok', sessions: expect.any(Number) });
+  });
+});
@@ -0,0 +1,72 @@
+import {
+  createError,
+  createLineReader,
+  createResult,
+  ErrorCodes,
+  isNotification,
+  isValidRequest,
+  JsonRpcError
+} from '../src/utils/jsonRpc.js';
+
+describe('createResult and createError', () => {
+  it('builds JSON-RPC 2.0 responses', () => {
+    expect(createResult(1, { ok: true })).toEqual({ jsonrpc: '2.0', result: { ok: true }, id: 1 });
+    expect(createError(null, ErrorCodes.PARSE_ERROR, 'Parse error')).toEqual({
+      jsonrpc: '2.0',
+      error: { code: -32700, message: 'Parse error' },
+      id: null
+    });
+  });
+  
+  it('includes error data only when given', () => {
+    const response = createError('a', ErrorCodes.INVALID_PARAMS, 'Invalid params', { errors: [] });
+    expect(response.error.data).toEqual({ errors: [] });
+  });
+});
+
+describe('JsonRpcError', () => {
+  it('carries a code and data', () => {
+    const error = new JsonRpcError(ErrorCodes.METHOD_NOT_FOUND, 'Method not found: foo', { method: 'foo' });
+    expect(error).toBeInstanceOf(Error);
+    expect(error.code).toBe(-32601);
+    expect(error.data).toEqual({ method: 'foo' });
+  });
+});
+
+describe('isValidRequest', () => {
+  it('accepts requests and notifications', () => {
+    expect(isValidRequest({ jsonrpc: '2.0', id: 1, method: 'ping' })).toBe(true);
+    expect(isValidRequest({ jsonrpc: '2.0', id: 'a', method: 'getControl', params: { controlId: 'AC-1' } })).toBe(true);
+    expect(isValidRequest({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBe(true);
+  });
+  
+  it('rejects malformed messages', () => {
+    expect(isValidRequest(null)).toBe(false);
+    expect(isValidRequest([])).toBe(false);
+    expect(isValidRequest({ id: 1, method: 'ping' })).toBe(false);
+    expect(isValidRequest({ jsonrpc: '2.0', id: 1 })).toBe(false);
+    expect(isValidRequest({ jsonrpc: '2.0', id: {}, method: 'ping' })).toBe(false);
+    expect(isValidRequest({ jsonrpc: '2.0', id: 1, method: 'ping', params: 'AC-1' })).toBe(false);
+  });
+});
+
+describe('isNotification', () => {
+  it('treats messages without an ID as notifications', () => {
+    expect(isNotification({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBe(true);
+    expect(isNotification({ jsonrpc: '2.0', id: null, method: 'ping' })).toBe(false);
+  });
+});
+
+describe('createLineReader', () => {
+  it('buffers lines split across chunks', () => {
+    const lines = [];
+    const reader = createLineReader(line => lines.push(line));
+    reader.push('{"a":');
+    reader.push('1}\n{"b":2}\r\n\n{"c"');
+    expect(lines).toEqual(['{"a":1}', '{"b":2}']);
+    
+    reader.push(':3}');
+    reader.end();
+    expect(lines).toEqual(['{"a":1}', '{"b":2}', '{"c":3}']);
+  });
+});
@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+import { addLogSink, configureLogger, createLogger, isLevelEnabled, isValidLevel } from '../src/utils/logger.js';
+
+describe('isLevelEnabled and isValidLevel', () => {
+  it('orders levels by severity', () => {
+    expect(isLevelEnabled('error', 'warning')).toBe(true);
+    expect(isLevelEnabled('info', 'warning')).toBe(false);
+    expect(isValidLevel('notice')).toBe(true);
+    expect(isValidLevel('verbose')).toBe(false);
+  });
+});
+
+describe('configureLogger', () => {
+  it('rejects unknown levels', () => {
+    expect(() => configureLogger({ level: 'verbose' })).toThrow('Invalid log level: verbose');
+  });
+});
+
+describe('createLogger', () => {
+  let stderr;
+  let records;
+  let removeSink;
+  
+  beforeEach(() => {
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    records = [];
+    removeSink = addLogSink(record => records.push(record));
+    configureLogger({ level: 'warning' });
+  });
+  
+  afterEach(() => {
+    removeSink();
+    stderr.mockRestore();
+  });
+  
+  it('writes JSON lines at or above the configured level to stderr', () => {
+    const logger = createLogger('test');
+    logger.info('Not written');
+    logger.warning('Written', { controlId: 'AC-1' });
+    
+    expect(stderr).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(stderr.mock.calls[0][0])).toEqual(expect.objectContaining({
+      level: 'warning',
+      logger: 'test',
+      message: 'Written',
+      data: { controlId: 'AC-1' }
+    }));
+  });
+  
+  it('passes every record to the sinks, whatever the level', () => {
+    const logger = createLogger('test');
+    logger.debug('Debugging');
+    expect(records).toEqual([expect.objectContaining({ level: 'debug', logger: 'test', message: 'Debugging' })]);
+  });
+  
+  it('keeps stack traces in the local log but not in the records the sinks get', () => {
+    const logger = createLogger('test');
+    const error = new Error('Catalog not found');
+    logger.error('Failed to load catalog', error);
+    logger.error('Failed to load profile', { error, profileId: 'fedramp_high' });
+    
+    const logged = stderr.mock.calls.map(([line]) => JSON.parse(line));
+    expect(logged[0].data.error.stack).toContain('Catalog not found');
+    expect(logged[1].data.error.stack).toContain('Catalog not found');
+    expect(records.map(record => record.data)).toEqual([
+      { error: { name: 'Error', message: 'Catalog not found' } },
+      { error: { name: 'Error', message: 'Catalog not found' }, profileId: 'fedramp_high' }
+    ]);
+  });
+});
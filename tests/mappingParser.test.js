@@ -0,0 +1,36 @@
+import { readFileSync } from 'fs';
+import { parseMappingCollection } from '../src/utils/mappingParser.js';
+
+const document = JSON.parse(readFileSync(new URL('./fixtures/oscal-content/mappings/test-framework.json', import.meta.url)));
+
+describe('parseMappingCollection', () => {
+  const collection = parseMappingCollection(document);
+  
+  it('describes the collection and the framework it maps to', () => {
+    expect(collection).toEqual(expect.objectContaining({
+      uuid: '33333333-3333-4333-8333-333333333333',
+      title: 'Test Catalog to Test Framework',
+      framework: 'Test Framework',
+      version: '1.0',
+      description: "Test catalog controls that support the test framework's requirements"
+    }));
+    expect(collection.maps).toHaveLength(5);
+  });
+  
+  it('indexes the relationships by source control, with normalized control IDs', () => {
+    expect([...collection.bySource.keys()]).toEqual(['AC-1', 'AC-2', 'AC-2(1)', 'AU-2', 'AC-10']);
+    expect(collection.bySource.get('AC-2(1)')).toEqual([
+      { target: 'REQ-2', relationship: 'subset-of', remarks: 'Account management covers part of the requirement' }
+    ]);
+  });
+  
+  it('indexes them by target requirement, leaving out no-relationship', () => {
+    expect([...collection.byTarget.keys()]).toEqual(['REQ-1', 'REQ-2', 'REQ-3', 'REQ-4']);
+    expect(collection.byTarget.get('REQ-2').map(entry => entry.source)).toEqual(['AC-2', 'AC-2(1)']);
+    expect(collection.bySource.get('AU-2')).toEqual([{ target: 'REQ-3', relationship: 'intersects-with', remarks: undefined }]);
+  });
+  
+  it('rejects documents that are not mapping collections', () => {
+    expect(() => parseMappingCollection({ catalog: {} })).toThrow('Not an OSCAL mapping collection');
+  });
+});
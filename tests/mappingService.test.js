@@ -0,0 +1,76 @@
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content and data paths when they are first imported
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'mapping-data-'));
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'critical';
+const { sspService } = await import('../src/services/sspService.js');
+const { mappingService } = await import('../src/services/mappingService.js');
+
+beforeAll(async () => {
+  await sspService.initialize();
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('mapControl', () => {
+  it('maps a control to the requirements of each framework', async () => {
+    expect(await mappingService.mapControl('ac-2')).toEqual({
+      controlId: 'AC-2',
+      title: 'Account Management',
+      frameworks: [{
+        framework: 'test-framework',
+        frameworkTitle: 'Test Framework',
+        requirements: [{ id: 'REQ-2', relationship: 'subset-of', remarks: 'Account management covers part of the requirement' }]
+      }]
+    });
+  });
+  
+  it("maps a framework's requirement back to controls", async () => {
+    const result = await mappingService.mapControl('req-2', 'test-framework');
+    expect(result.requirementId).toBe('REQ-2');
+    expect(result.controls.map(control => [control.id, control.title])).toEqual([
+      ['AC-2', 'Account Management'],
+      ['AC-2(1)', expect.any(String)]
+    ]);
+  });
+  
+  it('names the available frameworks when one is not found', async () => {
+    await expect(mappingService.mapControl('AC-2', 'csf-2.0')).rejects.toThrow('Framework not found: csf-2.0. Available frameworks: test-framework');
+  });
+});
+
+describe('coverageByFramework', () => {
+  beforeAll(async () => {
+    await sspService.createSSP('Coverage', 'Covers the test framework', 'LOW', 'coverage', 'low');
+    await sspService.addControlImplementation('coverage', 'AC-1', 'IMPLEMENTED', 'Policy is published.');
+    await sspService.addControlImplementation('coverage', 'AC-2', 'PARTIALLY_IMPLEMENTED', 'Accounts are reviewed by hand.');
+  });
+  
+  it('reports how well the SSP covers each requirement', async () => {
+    const result = await mappingService.coverageByFramework('coverage', 'test-framework');
+    expect(result.requirements.map(requirement => [requirement.id, requirement.coverage])).toEqual([
+      ['REQ-1', 'covered'],
+      ['REQ-2', 'partial'],
+      ['REQ-3', 'planned'],
+      ['REQ-4', 'gap']
+    ]);
+    expect(result.summary).toEqual({ total: 4, covered: 1, partial: 1, planned: 1, gap: 1, coveragePercentage: 37.5 });
+  });
+  
+  it('filters and pages the requirements', async () => {
+    const first = await mappingService.coverageByFramework('coverage', 'test-framework', { status: 'gap' }, { limit: 1 });
+    expect(first.requirements.map(requirement => requirement.id)).toEqual(['REQ-4']);
+    expect(first.nextCursor).toBeUndefined();
+    
+    const paged = await mappingService.coverageByFramework('coverage', 'test-framework', {}, { limit: 3 });
+    const rest = await mappingService.coverageByFramework('coverage', 'test-framework', {}, { cursor: paged.nextCursor, limit: 3 });
+    expect(rest.requirements.map(requirement => requirement.id)).toEqual(['REQ-4']);
+  });
+});
@@ -0,0 +1,68 @@
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content and data paths when they are first imported
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'completions-data-'));
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'critical';
+const { sspService } = await import('../src/services/sspService.js');
+const { complete } = await import('../src/services/mcpCompletions.js');
+const { ErrorCodes } = await import('../src/utils/jsonRpc.js');
+
+const draftPrompt = { type: 'ref/prompt', name: 'draft-implementation-statement' };
+const completeValues = async (ref, name, value, context) => (await complete(ref, { name, value }, context)).values;
+
+beforeAll(async () => {
+  await sspService.initialize();
+  await sspService.createSSP('Payroll', 'Payroll system', 'LOW', 'payroll', 'low');
+  await sspService.createSSP('Portal', 'Customer portal', 'LOW', 'portal', 'low');
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('complete', () => {
+  it('completes control IDs in the format the user started typing', async () => {
+    expect(await complete(draftPrompt, { name: 'controlId', value: 'AC-2' })).toEqual({
+      values: ['AC-2', 'AC-2(1)', 'AC-2(10)', 'AC-2(13)'],
+      total: 4,
+      hasMore: false
+    });
+    expect(await completeValues(draftPrompt, 'controlId', 'ac.2')).toEqual(['ac.2', 'ac.2.1', 'ac.2.10', 'ac.2.13']);
+    expect(await completeValues(draftPrompt, 'controlId', 'AC1')).toEqual(['AC1', 'AC10']);
+  });
+  
+  it('completes SSP IDs', async () => {
+    expect(await completeValues(draftPrompt, 'sspId', 'P')).toEqual(['payroll', 'portal']);
+    expect(await completeValues(draftPrompt, 'sspId', 'pa')).toEqual(['payroll']);
+  });
+  
+  it('completes resource template variables, with extension control IDs for extension templates', async () => {
+    const extensionControl = { type: 'ref/resource', uri: 'oscal://extensions/{framework}/controls/{controlId}' };
+    expect(await completeValues(extensionControl, 'framework', 'nist')).toEqual(['nist-800-53']);
+    expect(await completeValues(extensionControl, 'controlId', 'cl', { arguments: { framework: 'nist-800-53' } })).toEqual(['CLOUD-1', 'CLOUD-2']);
+    
+    const implementation = { type: 'ref/resource', uri: 'oscal://ssp/{sspId}/implementations/{controlId}' };
+    expect(await completeValues(implementation, 'controlId', 'AU')).toEqual(['AU-2', 'AU-2(3)']);
+  });
+  
+  it('suggests nothing for arguments without completions', async () => {
+    expect(await complete({ type: 'ref/prompt', name: 'summarize-fedramp-requirements' }, { name: 'securityLevel', value: 'L' }))
+      .toEqual({ values: [], total: 0, hasMore: false });
+    expect(await completeValues(draftPrompt, 'framework', '')).toEqual([]);
+  });
+  
+  it('rejects unknown references', async () => {
+    await expect(complete({ type: 'ref/prompt', name: 'no-such-prompt' }, { name: 'controlId', value: '' }))
+      .rejects.toEqual(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMS, message: 'Prompt not found: no-such-prompt' }));
+    await expect(complete({ type: 'ref/resource', uri: 'oscal://nothing/{id}' }, { name: 'id', value: '' }))
+      .rejects.toThrow('Resource template not found: oscal://nothing/{id}');
+    await expect(complete({ type: 'ref/tool' }, { name: 'controlId', value: '' }))
+      .rejects.toThrow('Unsupported completion reference type: ref/tool');
+    await expect(complete(draftPrompt, {})).rejects.toThrow('Completion argument name is required');
+  });
+});
@@ -0,0 +1,82 @@
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content and data paths when they are first imported
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'prompts-data-'));
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'critical';
+const { sspService } = await import('../src/services/sspService.js');
+const { getPrompt, listPrompts } = await import('../src/services/mcpPrompts.js');
+const { ErrorCodes } = await import('../src/utils/jsonRpc.js');
+
+beforeAll(async () => {
+  await sspService.initialize();
+  await sspService.createSSP('Prompt SSP', 'A payroll system', 'LOW', 'prompt-ssp', 'low');
+  await sspService.addControlImplementation('prompt-ssp', 'AC-1', 'PARTIALLY_IMPLEMENTED', 'A policy is drafted.', [], { 'ac-01_odp.01': 'the CISO' });
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('listPrompts', () => {
+  it('describes each prompt and its arguments', () => {
+    const prompts = listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual(['draft-implementation-statement', 'explain-validation-gaps', 'summarize-fedramp-requirements']);
+    expect(prompts[0].arguments).toEqual([
+      expect.objectContaining({ name: 'controlId', required: true }),
+      expect.objectContaining({ name: 'sspId', required: true })
+    ]);
+  });
+});
+
+describe('getPrompt', () => {
+  it("drafts an implementation statement from the control rendered with the SSP's values", async () => {
+    const prompt = await getPrompt('draft-implementation-statement', { controlId: 'ac.1', sspId: 'prompt-ssp' });
+    expect(prompt.description).toBe('Draft implementation statement for AC-1 in prompt-ssp');
+    
+    const [instructions, control, intro, implementation] = prompt.messages;
+    expect(instructions.content.text).toContain('control AC-1 in the System Security Plan "Prompt SSP" (LOW impact)');
+    expect(instructions.content.text).toContain('System description: A payroll system');
+    expect(control.content.resource.uri).toBe('oscal://catalog/nist-800-53/controls/AC-1');
+    const rendered = JSON.parse(control.content.resource.text);
+    expect(rendered.statement).toContain('Develop, document, and disseminate to the CISO:');
+    expect(rendered.statement).toContain('Review and update the current access control policy annually.');
+    expect(intro.content.text).toContain('Improve on it rather than starting over');
+    expect(implementation.content.resource.uri).toBe('oscal://ssp/prompt-ssp/implementations/AC-1');
+  });
+  
+  it('says when the SSP has no implementation of the control yet', async () => {
+    const prompt = await getPrompt('draft-implementation-statement', { controlId: 'AC-10', sspId: 'prompt-ssp' });
+    expect(prompt.messages.at(-1).content.text).toBe('The SSP has no implementation record for AC-10 yet.');
+  });
+  
+  it("explains the SSP's validation gaps", async () => {
+    const prompt = await getPrompt('explain-validation-gaps', { sspId: 'prompt-ssp' });
+    expect(prompt.messages).toHaveLength(3);
+    expect(prompt.messages[1].content.text).toMatch(/^validateSSP results:\n/);
+    expect(prompt.messages[2].content.text).toMatch(/^Controls that are planned or only partially implemented \(3\):/);
+  });
+  
+  it('summarizes which FedRAMP baselines select a control', async () => {
+    const prompt = await getPrompt('summarize-fedramp-requirements', { controlId: 'AC-10', securityLevel: 'low' });
+    expect(prompt.messages[0].content.text).toContain('control AC-10 at the LOW baseline');
+    expect(prompt.messages[2].content.text).toBe('FedRAMP baseline membership for AC-10:\n{\n  "LOW": true\n}');
+  });
+  
+  it('rejects unknown prompts and missing arguments', async () => {
+    await expect(getPrompt('no-such-prompt')).rejects.toEqual(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMS, message: 'Prompt not found: no-such-prompt' }));
+    await expect(getPrompt('draft-implementation-statement', { controlId: 'AC-1' }))
+      .rejects.toThrow('Missing required arguments for prompt draft-implementation-statement: sspId');
+  });
+  
+  it('rejects SSP IDs that cannot name an SSP as invalid params', async () => {
+    await expect(getPrompt('draft-implementation-statement', { controlId: 'AC-1', sspId: '../prompt-ssp' }))
+      .rejects.toEqual(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMS, message: 'Invalid SSP ID: ../prompt-ssp' }));
+    await expect(getPrompt('explain-validation-gaps', { sspId: ['prompt-ssp'] }))
+      .rejects.toEqual(expect.objectContaining({ code: ErrorCodes.INVALID_PARAMS, message: 'Invalid SSP ID: prompt-ssp' }));
+  });
+});
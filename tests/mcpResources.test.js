@@ -0,0 +1,119 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content and data paths when they are first imported
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'resources-data-'));
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'critical';
+const { sspService } = await import('../src/services/sspService.js');
+const { listResources, listResourceTemplates, readResource } = await import('../src/services/mcpResources.js');
+const { ErrorCodes } = await import('../src/utils/jsonRpc.js');
+
+const readJson = async (uri) => {
+  const [content] = await readResource(uri);
+  expect(content).toEqual({ uri, mimeType: 'application/json', text: expect.any(String) });
+  return JSON.parse(content.text);
+};
+
+beforeAll(async () => {
+  await sspService.initialize();
+  await sspService.createSSP('Resource SSP', 'Read as a resource', 'LOW', 'resource-ssp', 'low');
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('listResources', () => {
+  it('lists the control families, a profile per type and security level, and the SSPs', async () => {
+    expect((await listResources()).map(resource => resource.uri)).toEqual([
+      'oscal://catalog/nist-800-53/families',
+      'oscal://profiles/baseline/LOW',
+      'oscal://profiles/baseline/MODERATE',
+      'oscal://profiles/fedramp/LOW',
+      'oscal://ssp/resource-ssp'
+    ]);
+  });
+  
+  it('lists only the templates with variables', () => {
+    const templates = listResourceTemplates();
+    expect(templates.map(template => template.name)).toEqual([
+      'control',
+      'catalog-control',
+      'profile',
+      'resolved-profile',
+      'control-implementation',
+      'ssp',
+      'extension-control'
+    ]);
+    expect(templates[0]).not.toHaveProperty('read');
+  });
+});
+
+describe('readResource', () => {
+  it('reads controls and profiles', async () => {
+    expect(await readJson('oscal://catalog/nist-800-53/controls/AC-2')).toEqual(expect.objectContaining({
+      id: 'AC-2',
+      enhancements: expect.arrayContaining([expect.objectContaining({ id: 'AC-2(1)' })])
+    }));
+    expect(await readJson('oscal://profiles/baseline/moderate')).toEqual({
+      id: 'moderate',
+      title: 'Test MODERATE Baseline',
+      profileType: 'baseline',
+      securityLevel: 'MODERATE',
+      controls: ['ac-1', 'ac-2', 'ac-2.1', 'ac-10']
+    });
+    expect((await readJson('oscal://profiles/baseline/LOW/resolved')).catalog).toEqual(expect.objectContaining({ groups: expect.any(Array) }));
+  });
+  
+  it('reads controls from any catalog', async () => {
+    expect(await readJson('oscal://catalog/rev4/controls/ac-2')).toEqual(expect.objectContaining({ id: 'AC-2', catalog: 'rev4' }));
+    expect(await readJson('oscal://catalog/example.org%2Fpolicy/controls/1.1')).toEqual(expect.objectContaining({ id: '1.1', catalog: 'example.org/policy' }));
+  });
+  
+  it('reads SSPs and their implementations, decoding the URI', async () => {
+    expect(await readJson('oscal://ssp/resource-ssp')).toEqual(expect.objectContaining({ id: 'resource-ssp' }));
+    expect(await readJson('oscal://ssp/resource-ssp/implementations/AC-2')).toEqual(expect.objectContaining({ controlId: 'AC-2', status: 'PLANNED' }));
+  });
+  
+  it('reports unknown and unreadable resources as not found', async () => {
+    await expect(readResource('oscal://nothing')).rejects.toEqual(expect.objectContaining({
+      code: ErrorCodes.RESOURCE_NOT_FOUND,
+      message: 'Resource not found: oscal://nothing',
+      data: { uri: 'oscal://nothing' }
+    }));
+    for (const uri of [
+      'oscal://ssp/missing',
+      'oscal://ssp/resource-ssp/implementations/AU-9',
+      'oscal://catalog/nist-800-53/controls/ZZ-99',
+      'oscal://catalog/rev9/controls/AC-1',
+      'oscal://profiles/stateramp/LOW',
+      'oscal://extensions/no-such-framework/controls/CLOUD-1'
+    ]) {
+      await expect(readResource(uri)).rejects.toEqual(expect.objectContaining({
+        code: ErrorCodes.RESOURCE_NOT_FOUND,
+        message: `Resource not found: ${uri}`
+      }));
+    }
+  });
+  
+  it('reports resources that exist but cannot be read as internal errors', async () => {
+    await writeFile(path.join(dataDir, 'ssp', 'corrupt.json'), '{ not JSON');
+    await expect(readResource('oscal://ssp/corrupt')).rejects.toEqual(expect.objectContaining({
+      code: ErrorCodes.INTERNAL_ERROR,
+      message: expect.stringContaining('Failed to read resource oscal://ssp/corrupt: Failed to read SSP corrupt: '),
+      data: { uri: 'oscal://ssp/corrupt' }
+    }));
+  });
+  
+  it('does not decode variables into path separators', async () => {
+    await writeFile(path.join(dataDir, 'outside.json'), JSON.stringify({ id: 'outside' }));
+    await expect(readResource('oscal://ssp/..%2Foutside')).rejects.toEqual(expect.objectContaining({
+      code: ErrorCodes.RESOURCE_NOT_FOUND,
+      message: 'Resource not found: oscal://ssp/..%2Foutside'
+    }));
+  });
+});
@@ -0,0 +1,112 @@
+import { spawn } from 'child_process';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLineReader } from '../src/utils/jsonRpc.js';
+
+let server;
+let dataDir;
+let nextId = 1;
+const pending = new Map();
+
+/**
+ * Send a request to the server over stdio and wait for its response
+ */
+const request = (method, params) => new Promise(resolve => {
+  const id = nextId++;
+  pending.set(id, resolve);
+  server.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+});
+
+const notify = (method, params) => {
+  server.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, params }) + '\n');
+};
+
+beforeAll(async () => {
+  dataDir = await mkdtemp(path.join(os.tmpdir(), 'mcp-data-'));
+  server = spawn(process.execPath, ['src/index.js', '--watch', 'false', '--log-level', 'critical'], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: { ...process.env, OSCAL_CONTENT_PATH: fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url)), DATA_DIR: dataDir },
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+  
+  const reader = createLineReader(line => {
+    const message = JSON.parse(line);
+    pending.get(message.id)?.(message);
+    pending.delete(message.id);
+  });
+  server.stdout.setEncoding('utf8');
+  server.stdout.on('data', data => reader.push(data));
+});
+
+afterAll(async () => {
+  const exited = new Promise(resolve => server.once('exit', resolve));
+  server.kill();
+  await exited;
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('MCP lifecycle', () => {
+  it('negotiates the protocol version on initialize', async () => {
+    const response = await request('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'jest', version: '1.0.0' }
+    });
+    expect(response.result).toEqual(expect.objectContaining({
+      protocolVersion: '2025-03-26',
+      serverInfo: { name: 'nist-800-53-oscal-server', version: '0.1.0' },
+      capabilities: expect.objectContaining({ tools: { listChanged: false }, resources: { listChanged: true }, prompts: expect.any(Object) })
+    }));
+    notify('notifications/initialized');
+    
+    expect((await request('ping')).result).toEqual({});
+  });
+  
+  it('offers its latest version to clients asking for one it does not speak', async () => {
+    const response = await request('initialize', { protocolVersion: '1999-01-01', capabilities: {} });
+    expect(response.result.protocolVersion).toBe('2025-06-18');
+  });
+});
+
+describe('MCP tools', () => {
+  it('lists every method as a tool with its input schema', async () => {
+    const { result } = await request('tools/list');
+    const getControl = result.tools.find(tool => tool.name === 'getControl');
+    expect(getControl.inputSchema).toEqual(expect.objectContaining({ type: 'object', required: ['controlId'] }));
+    expect(result.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['searchControls', 'createSSP', 'validateSSP', 'reloadContent']));
+  });
+  
+  it('calls a tool and returns its result as text content', async () => {
+    const { result } = await request('tools/call', { name: 'getControl', arguments: { controlId: 'ac-1' } });
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual(expect.objectContaining({ id: 'AC-1', title: 'Policy and Procedures' }));
+  });
+  
+  it('reports tool failures in the result, and invalid arguments as protocol errors', async () => {
+    const failed = await request('tools/call', { name: 'getControl', arguments: { controlId: 'ZZ-99' } });
+    expect(failed.result).toEqual({ content: [{ type: 'text', text: expect.stringContaining('Control not found: ZZ-99') }], isError: true });
+    
+    const invalid = await request('tools/call', { name: 'getControl', arguments: {} });
+    expect(invalid.error).toEqual(expect.objectContaining({ code: -32602, message: expect.stringContaining('Invalid params for getControl') }));
+    
+    const removed = await request('tools/call', { name: 'searchControls', arguments: { query: 'access', catalog: 'rev4' } });
+    expect(removed.error).toEqual(expect.objectContaining({
+      code: -32602,
+      data: expect.objectContaining({ errors: [expect.objectContaining({ field: 'catalog', keyword: 'additionalProperties' })] })
+    }));
+    
+    const unknown = await request('tools/call', { name: 'noSuchTool', arguments: {} });
+    expect(unknown.error).toEqual(expect.objectContaining({ code: -32602, message: 'Unknown tool: noSuchTool' }));
+  });
+  
+  it('does not validate request metadata as params', async () => {
+    const { result } = await request('getControl', { controlId: 'AC-1', _meta: { progressToken: 'control' } });
+    expect(result).toEqual(expect.objectContaining({ id: 'AC-1' }));
+  });
+  
+  it('answers unknown methods with method not found', async () => {
+    expect((await request('noSuchMethod')).error).toEqual(expect.objectContaining({ code: -32601, message: 'Method not found: noSuchMethod' }));
+  });
+});
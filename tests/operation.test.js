@@ -0,0 +1,63 @@
+import { OperationCancelledError, reportProgress, subOperation, throwIfCancelled, waitUnlessCancelled } from '../src/utils/operation.js';
+
+describe('throwIfCancelled', () => {
+  it('does nothing without a signal or before the signal aborts', () => {
+    const controller = new AbortController();
+    expect(() => throwIfCancelled()).not.toThrow();
+    expect(() => throwIfCancelled(controller.signal)).not.toThrow();
+  });
+  
+  it('throws an OperationCancelledError once the signal aborts', () => {
+    const controller = new AbortController();
+    controller.abort('client cancelled');
+    expect(() => throwIfCancelled(controller.signal)).toThrow(OperationCancelledError);
+    expect(() => throwIfCancelled(controller.signal)).toThrow('Operation cancelled: client cancelled');
+  });
+});
+
+describe('waitUnlessCancelled', () => {
+  it('settles as the work does when the signal does not abort', async () => {
+    const controller = new AbortController();
+    await expect(waitUnlessCancelled(Promise.resolve('done'), controller.signal)).resolves.toBe('done');
+    await expect(waitUnlessCancelled(Promise.reject(new Error('Failed')), controller.signal)).rejects.toThrow('Failed');
+    await expect(waitUnlessCancelled(Promise.resolve('done'))).resolves.toBe('done');
+  });
+  
+  it('stops waiting, but not the work, when the signal aborts', async () => {
+    let finish;
+    const work = new Promise(resolve => { finish = resolve; });
+    const controller = new AbortController();
+    const waiting = waitUnlessCancelled(work, controller.signal);
+    controller.abort('client cancelled');
+    await expect(waiting).rejects.toThrow('Operation cancelled: client cancelled');
+    
+    finish('done');
+    await expect(work).resolves.toBe('done');
+    await expect(waitUnlessCancelled(work, controller.signal)).rejects.toThrow(OperationCancelledError);
+  });
+});
+
+describe('reportProgress', () => {
+  it('calls onProgress when the caller asked for progress', () => {
+    const updates = [];
+    reportProgress({ onProgress: (...update) => updates.push(update) }, 1, 4, 'Loading');
+    reportProgress({}, 2, 4, 'Ignored');
+    reportProgress(undefined, 3, 4, 'Ignored');
+    expect(updates).toEqual([[1, 4, 'Loading']]);
+  });
+});
+
+describe('subOperation', () => {
+  it('maps progress onto a slice of the parent range and shares the signal', () => {
+    const updates = [];
+    const controller = new AbortController();
+    const parent = { signal: controller.signal, onProgress: (...update) => updates.push(update) };
+    
+    const sub = subOperation(parent, 1, 3, 4);
+    expect(sub.signal).toBe(controller.signal);
+    sub.onProgress(0, 10, 'Starting');
+    sub.onProgress(5, 10, 'Halfway');
+    sub.onProgress(20, 10, 'Overshoot');
+    expect(updates).toEqual([[1, 4, 'Starting'], [2, 4, 'Halfway'], [3, 4, 'Overshoot']]);
+  });
+});
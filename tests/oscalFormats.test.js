@@ -0,0 +1,64 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { detectFormat, parseOscalDocument, readOscalDocument, withoutExtension } from '../src/utils/oscalFormats.js';
+
+describe('detectFormat', () => {
+  it('goes by the file extension first', () => {
+    expect(detectFormat('{}', 'catalog.xml')).toBe('xml');
+    expect(detectFormat('<catalog/>', 'catalog.YML')).toBe('yaml');
+  });
+  
+  it('otherwise sniffs the content', () => {
+    expect(detectFormat('  <catalog/>')).toBe('xml');
+    expect(detectFormat('\n{ "catalog": {} }', 'catalog')).toBe('json');
+    expect(detectFormat('catalog:\n  uuid: x')).toBe('yaml');
+  });
+});
+
+describe('parseOscalDocument', () => {
+  const expected = { catalog: { uuid: 'u-1', metadata: { 'last-modified': '2025-05-17T00:00:00Z', version: '1.0' } } };
+  
+  it('reads the same model from each format', () => {
+    expect(parseOscalDocument('{"catalog":{"uuid":"u-1","metadata":{"last-modified":"2025-05-17T00:00:00Z","version":"1.0"}}}')).toEqual(expected);
+    expect(parseOscalDocument('catalog:\n  uuid: u-1\n  metadata:\n    last-modified: 2025-05-17T00:00:00Z\n    version: "1.0"\n')).toEqual(expected);
+    expect(parseOscalDocument('<catalog uuid="u-1"><metadata><last-modified>2025-05-17T00:00:00Z</last-modified><version>1.0</version></metadata></catalog>'))
+      .toEqual(expected);
+  });
+  
+  it('skips a byte order mark', () => {
+    expect(parseOscalDocument('\uFEFF{"catalog":{}}', 'catalog.json')).toEqual({ catalog: {} });
+  });
+});
+
+describe('readOscalDocument', () => {
+  let directory;
+  
+  beforeAll(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'oscal-formats-'));
+  });
+  
+  afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+  
+  it('reads a document in the format its extension states', async () => {
+    const file = path.join(directory, 'profile.yaml');
+    await writeFile(file, 'profile:\n  uuid: p-1\n');
+    expect(await readOscalDocument(file)).toEqual({ profile: { uuid: 'p-1' } });
+  });
+  
+  it('reports cancellation rather than a failed read', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(readOscalDocument(path.join(directory, 'profile.yaml'), { signal: controller.signal })).rejects.toThrow('Operation cancelled');
+  });
+});
+
+describe('withoutExtension', () => {
+  it('removes only the extensions of OSCAL formats', () => {
+    expect(withoutExtension(path.join('rev4', 'catalog.xml'))).toBe(path.join('rev4', 'catalog'));
+    expect(withoutExtension('csf-2.0.json')).toBe('csf-2.0');
+    expect(withoutExtension('csf-2.0')).toBe('csf-2.0');
+  });
+});
@@ -0,0 +1,134 @@
+import { fileURLToPath } from 'url';
+
+// The service reads its content path when it is first imported
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.LOG_LEVEL = 'critical';
+const { oscalService } = await import('../src/services/oscalService.js');
+const { addLogSink } = await import('../src/utils/logger.js');
+
+describe('compareBaselines', () => {
+  it('lists the controls and enhancements one baseline adds to or removes from another', async () => {
+    const comparison = await oscalService.compareBaselines({ profileId: 'low' }, { securityLevel: 'MODERATE', profileType: 'baseline' });
+    
+    expect(comparison.from).toEqual(expect.objectContaining({ id: 'low', securityLevel: 'LOW', controls: 3, enhancements: 0 }));
+    expect(comparison.to).toEqual(expect.objectContaining({ id: 'moderate', securityLevel: 'MODERATE', controls: 3, enhancements: 1 }));
+    expect(comparison.summary.added).toEqual({ controls: 1, enhancements: 1 });
+    expect(comparison.summary.removed).toEqual({ controls: 1, enhancements: 0 });
+    expect(comparison.families).toEqual([
+      expect.objectContaining({ family: 'AC', added: ['AC-2(1)', 'AC-10'], removed: [], common: ['AC-1', 'AC-2'] }),
+      expect.objectContaining({ family: 'AU', added: [], removed: ['AU-2'], common: [] })
+    ]);
+  });
+  
+  it('compares the parameter settings of the two profiles', async () => {
+    const { parameters } = await oscalService.compareBaselines({ profileId: 'low' }, { profileId: 'moderate' });
+    expect(parameters).toEqual(expect.objectContaining({
+      added: [expect.objectContaining({ paramId: 'ac-10_odp.01', controlId: 'AC-10' })],
+      removed: [],
+      changed: [{ paramId: 'ac-01_odp.03', controlId: 'AC-1', from: { values: ['annually'] }, to: { values: ['quarterly'] } }]
+    }));
+  });
+});
+
+describe('withdrawn controls', () => {
+  it('names the controls a withdrawn control was incorporated into', async () => {
+    expect(await oscalService.getWithdrawal('ac-2.10')).toEqual({
+      controlId: 'AC-2(10)',
+      successors: [{ id: 'AC-2', title: 'Account Management', status: 'active', relation: 'incorporated-into' }]
+    });
+    expect(await oscalService.getWithdrawal('AC-2(1)')).toBeUndefined();
+  });
+  
+  it('lists the successors of withdrawn controls and enhancements with getControl', async () => {
+    const control = await oscalService.getControl('AC-2', true);
+    const withdrawn = control.enhancements.find(enhancement => enhancement.id === 'AC-2(10)');
+    expect(withdrawn.status).toBe('withdrawn');
+    expect(withdrawn.successors.map(successor => successor.id)).toEqual(['AC-2']);
+    expect(control.successors).toBeUndefined();
+  });
+});
+
+describe('explainControl', () => {
+  it("lists the profile's additional requirements apart from the statement", async () => {
+    const explanation = await oscalService.explainControl('AC-10', { profileId: 'fedramp_low' });
+    expect(explanation.statement).toBe('Limit the number of concurrent sessions for each account to three sessions.');
+    expect(explanation.additionalRequirements).toEqual([{
+      id: 'ac-10_fr',
+      title: 'AC-10 Additional FedRAMP Requirements and Guidance',
+      target: 'ac-10_smt',
+      requirements: [{ id: 'ac-10_fr_smt.1', label: 'Requirement:', prose: 'The service provider allows no more than three sessions per account.' }],
+      guidance: [{ id: 'ac-10_fr_gdn.1', label: 'Guidance:', prose: 'Sessions of service accounts count toward the limit.' }]
+    }]);
+    expect(explanation.profile).toEqual(expect.objectContaining({ id: 'fedramp_low', profileType: 'fedramp' }));
+  });
+});
+
+describe('catalogs other than SP 800-53', () => {
+  it('lists them by their path', async () => {
+    const catalogs = await oscalService.listCatalogs();
+    expect(catalogs.map(({ id, organization, default: isDefault }) => ({ id, organization, isDefault }))).toEqual([
+      { id: 'example.org/policy', organization: 'example.org', isDefault: false },
+      { id: 'rev5', organization: 'nist.gov', isDefault: true },
+      { id: 'rev4', organization: 'nist.gov', isDefault: false }
+    ]);
+    expect(catalogs[0].path).toBeUndefined();
+  });
+  
+  it('looks their controls up by their own IDs', async () => {
+    const control = await oscalService.getControl('1.1', false, 'example.org/policy');
+    expect(control).toEqual(expect.objectContaining({
+      id: '1.1',
+      title: 'Asset Inventory',
+      family: 'INV',
+      statement: 'Keep an inventory of every enterprise asset.',
+      catalog: 'example.org/policy'
+    }));
+    await expect(oscalService.getControl('1.1')).rejects.toThrow('Control not found: 1.1');
+  });
+  
+  it('lists their controls in numeric order and their groups as families', async () => {
+    const results = await oscalService.searchControls({ catalogId: 'example.org/policy' });
+    expect(results.controls.map(control => control.id)).toEqual(['1.1', '1.2', '1.10', '2.1']);
+    
+    const filtered = await oscalService.searchControls({ catalogId: 'example.org/policy', family: 'log' });
+    expect(filtered.controls.map(control => control.id)).toEqual(['2.1']);
+    
+    expect(await oscalService.getControlFamilies('example.org/policy')).toEqual([
+      { id: 'INV', title: 'Asset Inventory', controlCount: 3 },
+      { id: 'LOG', title: 'Audit Logging', controlCount: 1 }
+    ]);
+  });
+});
+
+describe('resolveProfile', () => {
+  it('resolves a profile once for concurrent callers, whichever of them cancels', async () => {
+    const { path: profilePath } = await oscalService.findProfileById('rev4_low');
+    const cancelled = new AbortController();
+    cancelled.abort();
+    await expect(oscalService.resolveProfile(profilePath, { signal: cancelled.signal })).rejects.toThrow('Operation cancelled');
+    
+    // The first caller cancelling leaves the resolution to the others
+    const first = new AbortController();
+    const waiting = oscalService.resolveProfile(profilePath, { signal: first.signal });
+    const others = Promise.all([oscalService.resolveProfile(profilePath), oscalService.resolveProfile(profilePath)]);
+    first.abort();
+    await expect(waiting).rejects.toThrow('Operation cancelled');
+    const [second, third] = await others;
+    expect(second).toBe(third);
+    expect(second.controlIds).toEqual(['ac-1', 'ac-2', 'au-2']);
+    expect(await oscalService.resolveProfile(profilePath)).toBe(second);
+  });
+});
+
+describe('loadContent', () => {
+  it('logs how many profiles of each type it loaded once', async () => {
+    const messages = [];
+    const removeSink = addLogSink(record => messages.push(record.message));
+    try {
+      await oscalService.loadContent();
+    } finally {
+      removeSink();
+    }
+    expect(messages.filter(message => message.endsWith(' profiles'))).toEqual(['Loaded 2 baseline profiles', 'Loaded 1 fedramp profiles']);
+  });
+});
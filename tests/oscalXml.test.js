@@ -0,0 +1,110 @@
+import { parseOscalXml } from '../src/utils/oscalXml.js';
+
+describe('parseOscalXml', () => {
+  it('converts a catalog into the JSON model', () => {
+    const document = parseOscalXml(`<?xml version="1.0" encoding="UTF-8"?>
+<catalog xmlns="http://csrc.nist.gov/ns/oscal/1.0" uuid="11111111-1111-4111-8111-111111111111">
+  <metadata>
+    <title>Test <em>Catalog</em></title>
+    <last-modified>2025-05-17T00:00:00Z</last-modified>
+    <version>1.0</version>
+    <revisions>
+      <revision><version>0.9</version></revision>
+    </revisions>
+    <document-id scheme="https://www.doi.org/">10.6028/NIST.SP.800-53r5</document-id>
+  </metadata>
+  <group id="ac" class="family">
+    <title>Access Control</title>
+    <control id="ac-1" class="SP800-53">
+      <title>Policy and Procedures</title>
+      <param id="ac-01_odp.01">
+        <label>personnel or roles</label>
+      </param>
+      <prop name="label" value="AC-1"/>
+      <prop name="sort-id" value="ac-01"/>
+      <part id="ac-1_smt" name="statement">
+        <p>Disseminate to <insert type="param" id-ref="ac-01_odp.01"/>:</p>
+        <ul>
+          <li>a policy; and
+            <ol><li>its <strong>procedures</strong></li></ol>
+          </li>
+        </ul>
+      </part>
+    </control>
+  </group>
+</catalog>`);
+    
+    expect(document).toEqual({
+      catalog: {
+        uuid: '11111111-1111-4111-8111-111111111111',
+        metadata: {
+          title: 'Test *Catalog*',
+          'last-modified': '2025-05-17T00:00:00Z',
+          version: '1.0',
+          revisions: [{ version: '0.9' }],
+          'document-ids': [{ scheme: 'https://www.doi.org/', identifier: '10.6028/NIST.SP.800-53r5' }]
+        },
+        groups: [{
+          id: 'ac',
+          class: 'family',
+          title: 'Access Control',
+          controls: [{
+            id: 'ac-1',
+            class: 'SP800-53',
+            title: 'Policy and Procedures',
+            params: [{ id: 'ac-01_odp.01', label: 'personnel or roles' }],
+            props: [{ name: 'label', value: 'AC-1' }, { name: 'sort-id', value: 'ac-01' }],
+            parts: [{
+              id: 'ac-1_smt',
+              name: 'statement',
+              prose: 'Disseminate to {{ insert: param, ac-01_odp.01 }}:\n\n- a policy; and\n  1. its **procedures**'
+            }]
+          }]
+        }]
+      }
+    });
+  });
+  
+  it('converts a profile, with its flags and empty assemblies', () => {
+    const document = parseOscalXml(`<profile uuid="p-1">
+  <import href="catalog.xml">
+    <include-controls>
+      <with-id>ac-1</with-id>
+      <with-id>ac-2</with-id>
+    </include-controls>
+  </import>
+  <merge><as-is>true</as-is></merge>
+  <modify>
+    <set-parameter param-id="ac-01_odp.01"><value>the CISO</value></set-parameter>
+    <alter control-id="ac-1">
+      <add position="ending" by-id="ac-1_smt">
+        <prop name="response-point" ns="https://fedramp.gov/ns/oscal" value="x"/>
+      </add>
+    </alter>
+  </modify>
+  <back-matter>
+    <resource uuid="r-1"><remarks><p>One.</p><p>Two.</p></remarks></resource>
+  </back-matter>
+</profile>`);
+    
+    expect(document.profile).toEqual({
+      uuid: 'p-1',
+      imports: [{ href: 'catalog.xml', 'include-controls': [{ 'with-ids': ['ac-1', 'ac-2'] }] }],
+      merge: { 'as-is': true },
+      modify: {
+        'set-parameters': [{ 'param-id': 'ac-01_odp.01', values: ['the CISO'] }],
+        alters: [{
+          'control-id': 'ac-1',
+          adds: [{
+            position: 'ending',
+            'by-id': 'ac-1_smt',
+            props: [{ name: 'response-point', ns: 'https://fedramp.gov/ns/oscal', value: 'x' }]
+          }]
+        }]
+      },
+      'back-matter': { resources: [{ uuid: 'r-1', remarks: 'One.\n\nTwo.' }] }
+    });
+    expect(parseOscalXml('<profile><import href="c.xml"><include-all/></import></profile>').profile.imports)
+      .toEqual([{ href: 'c.xml', 'include-all': {} }]);
+  });
+});
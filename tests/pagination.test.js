@@ -0,0 +1,45 @@
+import { decodeCursor, DEFAULT_PAGE_SIZE, encodeCursor, paginate } from '../src/utils/pagination.js';
+
+const items = Array.from({ length: 7 }, (_, index) => `AC-${index + 1}`);
+
+describe('paginate', () => {
+  it('pages through the items with opaque cursors', () => {
+    const first = paginate(items, { limit: 3 });
+    expect(first.items).toEqual(['AC-1', 'AC-2', 'AC-3']);
+    
+    const second = paginate(items, { cursor: first.nextCursor, limit: 3 });
+    expect(second.items).toEqual(['AC-4', 'AC-5', 'AC-6']);
+    
+    const last = paginate(items, { cursor: second.nextCursor, limit: 3 });
+    expect(last).toEqual({ items: ['AC-7'] });
+  });
+  
+  it('returns the first page of the default size without options', () => {
+    const many = Array.from({ length: DEFAULT_PAGE_SIZE + 1 }, (_, index) => index);
+    const page = paginate(many);
+    expect(page.items).toHaveLength(DEFAULT_PAGE_SIZE);
+    expect(page.nextCursor).toBeDefined();
+  });
+  
+  it('refuses cursors from another query', () => {
+    const { nextCursor } = paginate(items, { limit: 3 }, 'family=AC');
+    expect(paginate(items, { cursor: nextCursor, limit: 3 }, 'family=AC').items).toEqual(['AC-4', 'AC-5', 'AC-6']);
+    expect(() => paginate(items, { cursor: nextCursor, limit: 3 }, 'family=AU')).toThrow(`Invalid cursor: ${nextCursor}`);
+  });
+});
+
+describe('decodeCursor', () => {
+  it('starts at 0 without a cursor', () => {
+    expect(decodeCursor(undefined)).toBe(0);
+    expect(decodeCursor(null)).toBe(0);
+  });
+  
+  it('decodes the cursors encodeCursor makes', () => {
+    expect(decodeCursor(encodeCursor(20, 'sspId=a'), 'sspId=a')).toBe(20);
+  });
+  
+  it('rejects malformed cursors', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor: not a cursor');
+    expect(() => decodeCursor(Buffer.from(JSON.stringify({ offset: -1, scope: '' })).toString('base64url'))).toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,71 @@
+import { readFileSync } from 'fs';
+import { parseCatalog } from '../src/utils/catalogParser.js';
+import { createParamResolver, findParamInserts, renderControlProse } from '../src/utils/paramRenderer.js';
+
+const catalog = parseCatalog(JSON.parse(readFileSync(new URL('./fixtures/oscal-content/catalogs/nist.gov/SP800-53/catalog.json', import.meta.url))));
+
+describe('findParamInserts', () => {
+  it('lists the parameters a text inserts, once each', () => {
+    expect(findParamInserts('{{ insert: param, a }} and {{insert: param, b}} then {{ insert: param, a }}')).toEqual(['a', 'b']);
+    expect(findParamInserts(undefined)).toEqual([]);
+  });
+});
+
+describe('createParamResolver', () => {
+  it('takes SSP values before profile settings before the catalog', () => {
+    const { resolve } = createParamResolver({
+      params: catalog.params,
+      settings: { 'ac-01_odp.01': { values: ['all personnel'] }, 'ac-01_odp.03': { values: ['annually'] } },
+      values: { 'ac-01_odp.03': 'every six months', 'ac-01_odp.01': '' }
+    });
+    expect(resolve('ac-01_odp.03')).toEqual({ id: 'ac-01_odp.03', label: 'frequency', value: 'every six months', source: 'ssp', resolved: true });
+    expect(resolve('ac-01_odp.01')).toEqual(expect.objectContaining({ value: 'all personnel', source: 'profile', resolved: true }));
+  });
+  
+  it('prompts for parameters nobody defined', () => {
+    const { resolve } = createParamResolver({ params: catalog.params });
+    expect(resolve('ac-01_odp.01')).toEqual(expect.objectContaining({ value: '[Assignment: personnel or roles]', source: 'catalog', resolved: false }));
+    expect(resolve('ac-01_odp.02').value).toBe('[Selection (one or more): organization-level; mission/business process-level; system-level]');
+    expect(resolve('zz-01_odp.01')).toEqual({ id: 'zz-01_odp.01', value: '[Assignment: zz-01_odp.01]', source: 'catalog', resolved: false });
+  });
+  
+  it('uses profile constraints and narrowed selections', () => {
+    const { resolve } = createParamResolver({
+      params: catalog.params,
+      settings: {
+        'ac-01_odp.03': { constraints: ['at least annually '] },
+        'ac-01_odp.02': { select: { howMany: 'one', choice: ['organization-level', 'system-level'] } }
+      }
+    });
+    expect(resolve('ac-01_odp.03')).toEqual(expect.objectContaining({ value: 'at least annually', source: 'profile', resolved: true }));
+    expect(resolve('ac-01_odp.02')).toEqual(expect.objectContaining({ value: '[Selection (one): organization-level; system-level]', resolved: false }));
+  });
+  
+  it('resolves aggregate parameters from the parameters they stand for', () => {
+    const params = new Map([
+      ['ac-1_prm_1', { id: 'ac-1_prm_1', props: [{ name: 'aggregates', value: 'ac-01_odp.01' }, { name: 'aggregates', value: 'ac-01_odp.03' }] }],
+      ...catalog.params
+    ]);
+    const { resolve } = createParamResolver({ params, values: { 'ac-01_odp.01': 'the CISO', 'ac-01_odp.03': 'annually' } });
+    expect(resolve('ac-1_prm_1')).toEqual(expect.objectContaining({ value: 'the CISO, annually', source: 'ssp', resolved: true, aggregates: ['ac-01_odp.01', 'ac-01_odp.03'] }));
+  });
+});
+
+describe('renderControlProse', () => {
+  it('renders the statement and lists the values used', () => {
+    const resolver = createParamResolver({ params: catalog.params, values: { 'ac-01_odp.01': 'the CISO' }, settings: { 'ac-01_odp.03': { values: ['annually'] } } });
+    const rendered = renderControlProse(catalog.controls.get('AC-1'), resolver);
+    
+    expect(rendered.statement).toBe([
+      'a. Develop, document, and disseminate to the CISO:',
+      '  1. [Selection (one or more): organization-level; mission/business process-level; system-level] access control policy; and',
+      'b. Review and update the current access control policy annually.'
+    ].join('\n'));
+    expect(rendered.parameterValues.map(param => [param.id, param.source])).toEqual([
+      ['ac-01_odp.01', 'ssp'],
+      ['ac-01_odp.02', 'catalog'],
+      ['ac-01_odp.03', 'profile']
+    ]);
+    expect(rendered.unresolvedParameters).toEqual(['ac-01_odp.02']);
+  });
+});
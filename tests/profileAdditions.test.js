@@ -0,0 +1,61 @@
+import { describeAddedParts, renderWithoutAddedParts } from '../src/utils/profileAdditions.js';
+
+const adds = [
+  { 'by-id': 'ac-2_obj', props: [{ name: 'method', value: 'EXAMINE' }] },
+  {
+    position: 'ending',
+    'by-id': 'ac-2_smt',
+    parts: [{
+      id: 'ac-2_fr',
+      name: 'item',
+      title: 'AC-2 Additional FedRAMP Requirements and Guidance',
+      parts: [
+        { id: 'ac-2_fr_smt.1', name: 'item', props: [{ name: 'label', value: 'Requirement:' }], prose: 'Review accounts {{ insert: param, ac-02_odp.01 }}.' },
+        { id: 'ac-2_fr_gdn.1', name: 'guidance', props: [{ name: 'label', value: 'Guidance:' }], prose: 'Include service accounts.' }
+      ]
+    }]
+  },
+  { 'by-id': 'ac-2_gdn', parts: [{ id: 'ac-2_fr_gdn', name: 'guidance', prose: 'Guidance added on its own.' }] }
+];
+
+describe('describeAddedParts', () => {
+  it('splits each added part into requirements and guidance', () => {
+    expect(describeAddedParts(adds, text => text.replace('{{ insert: param, ac-02_odp.01 }}', 'monthly'))).toEqual([
+      {
+        id: 'ac-2_fr',
+        title: 'AC-2 Additional FedRAMP Requirements and Guidance',
+        target: 'ac-2_smt',
+        requirements: [{ id: 'ac-2_fr_smt.1', label: 'Requirement:', prose: 'Review accounts monthly.' }],
+        guidance: [{ id: 'ac-2_fr_gdn.1', label: 'Guidance:', prose: 'Include service accounts.' }]
+      },
+      {
+        id: 'ac-2_fr_gdn',
+        title: undefined,
+        target: 'ac-2_gdn',
+        requirements: [],
+        guidance: [{ id: 'ac-2_fr_gdn', label: undefined, prose: 'Guidance added on its own.' }]
+      }
+    ]);
+  });
+  
+  it('finds nothing in adds without parts', () => {
+    expect(describeAddedParts([adds[0]])).toEqual([]);
+    expect(describeAddedParts()).toEqual([]);
+  });
+});
+
+describe('renderWithoutAddedParts', () => {
+  it("leaves the added parts out of the control's statement and guidance", () => {
+    const control = {
+      statement: 'Manage accounts.',
+      parts: [
+        { id: 'ac-2_smt', name: 'statement', prose: 'Manage accounts.', parts: adds[1].parts },
+        { id: 'ac-2_gdn', name: 'guidance', prose: 'Accounts include shared accounts.', parts: adds[2].parts }
+      ]
+    };
+    expect(renderWithoutAddedParts(control, describeAddedParts(adds))).toEqual({
+      statement: 'Manage accounts.',
+      guidance: 'Accounts include shared accounts.'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { configureLogger } from '../src/utils/logger.js';
+import { detectImpactLevel, discoverProfiles } from '../src/utils/profileRegistry.js';
+
+// Skipped files are logged as warnings
+configureLogger({ level: 'error' });
+
+const profilesPath = fileURLToPath(new URL('./fixtures/oscal-content/profiles', import.meta.url));
+
+describe('detectImpactLevel', () => {
+  it('reads the impact level from metadata props before the title', () => {
+    expect(detectImpactLevel({ title: 'High Baseline', props: [{ name: 'impact-level', value: 'moderate' }] }))
+      .toEqual({ securityLevel: 'MODERATE', impactLevel: 'moderate' });
+    expect(detectImpactLevel({ title: 'FedRAMP Rev 5 Low Baseline' })).toEqual({ securityLevel: 'LOW', impactLevel: 'LOW' });
+  });
+  
+  it('keeps levels that are not LOW, MODERATE or HIGH as stated', () => {
+    expect(detectImpactLevel({ props: [{ name: 'security-impact-level', value: 'IL4' }] })).toEqual({ securityLevel: undefined, impactLevel: 'IL4' });
+    expect(detectImpactLevel({ title: 'Organization Policy' })).toEqual({ securityLevel: undefined, impactLevel: undefined });
+  });
+});
+
+describe('discoverProfiles', () => {
+  it('describes the profiles from their metadata', async () => {
+    const profiles = await discoverProfiles(profilesPath);
+    expect(profiles).toEqual([
+      {
+        id: 'low',
+        uuid: 'aaaaaaaa-1111-4111-8111-000000000001',
+        title: 'Test LOW Baseline',
+        version: '1.0',
+        profileType: 'baseline',
+        securityLevel: 'LOW',
+        impactLevel: 'low',
+        file: path.join('baselines', 'low.json'),
+        path: path.join(profilesPath, 'baselines', 'low.json')
+      },
+      expect.objectContaining({ id: 'moderate', profileType: 'baseline', securityLevel: 'MODERATE' }),
+      expect.objectContaining({ id: 'rev4_low', profileType: 'baseline', securityLevel: 'LOW' }),
+      expect.objectContaining({ id: 'il4', profileType: 'dod', securityLevel: undefined, impactLevel: 'IL4' }),
+      expect.objectContaining({ id: 'fedramp_low', profileType: 'fedramp', securityLevel: 'LOW' })
+    ]);
+  });
+  
+  describe('in a directory of its own', () => {
+    let directory;
+    
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(os.tmpdir(), 'profiles-'));
+    });
+    
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+    
+    it('identifies profiles sharing a file name by their path, and skips other files', async () => {
+      const profile = (title) => JSON.stringify({ profile: { uuid: title, metadata: { title }, imports: [] } });
+      await mkdir(path.join(directory, 'stateramp'));
+      await mkdir(path.join(directory, 'dod'));
+      await writeFile(path.join(directory, 'stateramp', 'high.json'), profile('StateRAMP High'));
+      await writeFile(path.join(directory, 'dod', 'high.json'), profile('DoD High'));
+      await writeFile(path.join(directory, 'policy.json'), profile('Organization Policy'));
+      await writeFile(path.join(directory, 'catalog.json'), JSON.stringify({ catalog: { uuid: 'c', metadata: {} } }));
+      await writeFile(path.join(directory, 'broken.json'), '{ not json');
+      
+      const profiles = await discoverProfiles(directory);
+      expect(profiles.map(profile => [profile.id, profile.profileType, profile.securityLevel]).sort()).toEqual([
+        ['dod/high', 'dod', 'HIGH'],
+        ['policy', 'custom', undefined],
+        ['stateramp/high', 'stateramp', 'HIGH']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readOscalDocument } from '../src/utils/oscalFormats.js';
+import { resolveProfile } from '../src/utils/profileResolver.js';
+
+const fixtures = path.dirname(fileURLToPath(new URL('./fixtures/oscal-content/catalogs/nist.gov/SP800-53/catalog.json', import.meta.url)));
+const catalogPath = path.join(fixtures, 'catalog.json');
+
+const lowProfile = {
+  profile: {
+    uuid: 'aaaaaaaa-0000-4000-8000-000000000001',
+    metadata: { title: 'Test LOW Baseline' },
+    imports: [{
+      href: 'catalog.json',
+      'include-controls': [{ 'with-ids': ['ac-1', 'ac-2', 'ac-99'], 'with-child-controls': 'yes' }],
+      'exclude-controls': [{ 'with-ids': ['ac-2.10', 'ac-2.13'] }]
+    }],
+    modify: {
+      'set-parameters': [
+        { 'param-id': 'ac-01_odp.03', values: ['annually'] },
+        { 'param-id': 'xx-01_odp.01', values: ['unused'] }
+      ],
+      alters: [
+        { 'control-id': 'ac-1', adds: [{ 'by-id': 'ac-1_smt', position: 'ending', parts: [{ id: 'ac-1_fr', name: 'item', prose: 'Added requirement.' }] }] },
+        { 'control-id': 'au-2', adds: [{ props: [{ name: 'response-point', value: 'yes' }] }] }
+      ]
+    }
+  }
+};
+
+const highProfile = {
+  profile: {
+    uuid: 'aaaaaaaa-0000-4000-8000-000000000002',
+    metadata: { title: 'Test HIGH Baseline' },
+    imports: [
+      { href: '#bbbbbbbb-0000-4000-8000-000000000001', 'include-all': {} },
+      { href: 'catalog.json', 'include-controls': [{ matching: [{ pattern: 'ac-1?' }] }] }
+    ],
+    merge: { 'as-is': true },
+    modify: {
+      'set-parameters': [{ 'param-id': 'ac-01_odp.03', values: ['quarterly'] }]
+    },
+    'back-matter': {
+      resources: [{ uuid: 'bbbbbbbb-0000-4000-8000-000000000001', rlinks: [{ href: 'low.json', 'media-type': 'application/oscal.profile+json' }] }]
+    }
+  }
+};
+
+const minimalProfile = { profile: { uuid: 'm', metadata: {}, imports: [{ 'include-controls': [{ 'with-ids': ['ac-10'] }] }] } };
+
+const circularProfile = { profile: { uuid: 'c', metadata: {}, imports: [{ href: 'circular.json', 'include-all': {} }] } };
+
+const documents = {
+  'low.json': lowProfile,
+  'high.json': highProfile,
+  'minimal.json': minimalProfile,
+  'circular.json': circularProfile
+};
+
+async function loadDocument(location) {
+  if (location === catalogPath) {
+    return readOscalDocument(location);
+  }
+  const document = documents[path.basename(location)];
+  if (!document) {
+    throw new Error(`No such document: ${location}`);
+  }
+  return structuredClone(document);
+}
+
+const resolve = (name, options = {}) => resolveProfile(path.join(fixtures, name), { loadDocument, ...options });
+
+describe('resolveProfile', () => {
+  it('selects controls with their children, less the excluded ones', async () => {
+    const resolution = await resolve('low.json');
+    expect(resolution.controlIds).toEqual(['ac-1', 'ac-2', 'ac-2.1', 'ac-99']);
+    expect(resolution.missingControlIds).toEqual(['ac-99']);
+    expect(resolution.catalogLocations).toEqual([catalogPath]);
+    
+    // Merged flat by default: no groups, enhancements alongside their controls
+    const { catalog } = resolution.catalog;
+    expect(catalog.groups).toBeUndefined();
+    expect(catalog.controls.map(control => control.id)).toEqual(['ac-1', 'ac-2', 'ac-2.1']);
+    expect(catalog.metadata.links).toEqual([{ href: path.join(fixtures, 'low.json'), rel: 'source-profile' }]);
+  });
+  
+  it('applies set-parameters and alters', async () => {
+    const resolution = await resolve('low.json');
+    const [control] = resolution.catalog.catalog.controls;
+    expect(control.params.find(param => param.id === 'ac-01_odp.03').values).toEqual(['annually']);
+    expect(control.parts[0].parts.map(part => part.id)).toEqual(['ac-1_smt.a', 'ac-1_smt.b', 'ac-1_fr']);
+    
+    expect(resolution.parameterSettings['ac-01_odp.03']).toEqual({ 'param-id': 'ac-01_odp.03', values: ['annually'] });
+    expect(resolution.unresolvedParameters).toEqual(['xx-01_odp.01']);
+    // Adds to controls the profile does not select are kept, but reported
+    expect(resolution.alterations['au-2']).toEqual([{ props: [{ name: 'response-point', value: 'yes' }] }]);
+    expect(resolution.unresolvedAlters).toEqual(['au-2']);
+  });
+  
+  it('imports profiles through back-matter, earlier imports and later settings winning', async () => {
+    const resolution = await resolve('high.json');
+    expect(resolution.controlIds).toEqual(['ac-1', 'ac-2', 'ac-2.1', 'ac-99', 'ac-10']);
+    expect(resolution.missingControlIds).toEqual(['ac-99']);
+    expect(resolution.parameterSettings['ac-01_odp.03'].values).toEqual(['quarterly']);
+    expect(resolution.alterations['ac-1']).toHaveLength(1);
+    
+    // Merged as-is, the imported profile's flat controls keep their own structure and the catalog's groups are kept
+    const { catalog } = resolution.catalog;
+    expect(catalog.groups.map(group => group.id)).toEqual(['ac']);
+    expect(catalog.groups[0].controls.map(control => control.id)).toEqual(['ac-10']);
+  });
+  
+  it('resolves imports without an href to the default catalog', async () => {
+    const resolution = await resolve('minimal.json', { defaultImport: catalogPath });
+    expect(resolution.controlIds).toEqual(['ac-10']);
+    await expect(resolve('minimal.json')).rejects.toThrow('Import has no href and no default catalog is configured');
+  });
+  
+  it('detects circular imports', async () => {
+    await expect(resolve('circular.json')).rejects.toThrow('Circular profile import');
+  });
+  
+  it('stops when its signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(resolve('low.json', { signal: controller.signal })).rejects.toThrow('Operation cancelled');
+  });
+});
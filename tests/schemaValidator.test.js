@@ -0,0 +1,42 @@
+import { compileValidator, formatErrors } from '../src/utils/schemaValidator.js';
+import { toolDefinitions } from '../src/services/mcpToolDefinitions.js';
+
+const validate = compileValidator(toolDefinitions.addControlImplementation.inputSchema);
+
+describe('compileValidator', () => {
+  it('returns null for valid params', () => {
+    expect(validate({ sspId: 'my-system', controlId: 'AC-1', implementationStatus: 'IMPLEMENTED' })).toBeNull();
+  });
+  
+  it('reports one error per failing field', () => {
+    const errors = validate({
+      controlId: 'AC-1',
+      implementationStatus: 'DONE',
+      responsibleRoles: ['ISSO', 7]
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'sspId', keyword: 'required' }),
+      expect.objectContaining({ field: 'implementationStatus', keyword: 'enum', allowedValues: expect.arrayContaining(['IMPLEMENTED']) }),
+      expect.objectContaining({ field: 'responsibleRoles[1]', keyword: 'type' })
+    ]));
+    expect(errors).toHaveLength(3);
+  });
+  
+  it('names nested fields', () => {
+    const errors = validate({ sspId: 's', controlId: 'AC-1', implementationStatus: 'PLANNED', parameters: { 'ac-01_odp.05': 1 } });
+    expect(errors).toEqual([expect.objectContaining({ field: 'parameters.ac-01_odp.05', keyword: 'type' })]);
+  });
+  
+  it('compiles the schema of every tool definition', () => {
+    for (const definition of Object.values(toolDefinitions)) {
+      expect(() => compileValidator(definition.inputSchema)).not.toThrow();
+    }
+  });
+});
+
+describe('formatErrors', () => {
+  it('summarizes errors in one message', () => {
+    const errors = validate({ controlId: 'AC-1', implementationStatus: 'PLANNED', description: 3 });
+    expect(formatErrors(errors)).toBe("must have required property 'sspId'; description must be string");
+  });
+});
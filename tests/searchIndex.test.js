@@ -0,0 +1,63 @@
+import { createSearchIndex, highlight, stem, tokenize } from '../src/utils/searchIndex.js';
+
+const documents = [
+  { id: 'AC-2', fields: { title: 'Account Management', statement: 'Manage system accounts, including privileged accounts.' } },
+  { id: 'IA-2', fields: { title: 'Identification and Authentication', statement: 'Implement multi-factor authentication for access to privileged accounts.' } },
+  { id: 'AC-6', fields: { title: 'Least Privilege', statement: 'Employ the principle of least privilege.' } },
+  { id: 'AU-2', fields: { title: 'Event Logging', statement: 'Identify the types of events that the system is capable of logging.' } }
+];
+
+const index = createSearchIndex(documents, { title: 3 });
+
+describe('stem and tokenize', () => {
+  it('reduces words to light stems', () => {
+    expect(['privileged', 'privileges', 'privilege'].map(stem)).toEqual(['privileg', 'privileg', 'privileg']);
+    expect(stem('policies')).toBe('policy');
+    expect(stem('access')).toBe('access');
+    expect(stem('800')).toBe('800');
+  });
+  
+  it('drops stop words and indexes hyphenated words joined', () => {
+    expect(tokenize('The multi-factor authentication of accounts')).toEqual(['multi', 'factor', 'multifactor', 'authentication', 'account']);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('ranks title matches above matches in other fields', () => {
+    const results = index.search('privilege');
+    expect(results.map(result => result.id)).toEqual(['AC-6', 'AC-2', 'IA-2']);
+    expect(results[0].terms).toEqual(new Set(['privileg']));
+  });
+  
+  it('favours documents matching more of the query', () => {
+    expect(index.search('privileged authentication')[0].id).toBe('IA-2');
+  });
+  
+  it('matches hyphenated words written joined', () => {
+    expect(index.search('multifactor').map(result => result.id)).toEqual(['IA-2']);
+  });
+  
+  it('finds nothing for unknown or stop words', () => {
+    expect(index.search('cryptography')).toEqual([]);
+    expect(index.search('the of and')).toEqual([]);
+    expect(index.size).toBe(4);
+  });
+});
+
+describe('highlight', () => {
+  it('bolds the matching words', () => {
+    const text = documents[1].fields.statement;
+    expect(highlight(text, new Set(['multifactor', 'account']))).toBe('Implement **multi-factor** authentication for access to privileged **accounts**.');
+    expect(highlight(text, new Set(['logging']))).toBeUndefined();
+  });
+  
+  it('excerpts long texts around the first match', () => {
+    const text = `${'Lorem ipsum dolor sit amet. '.repeat(10)}Audit records are retained. ${'Consectetur adipiscing elit. '.repeat(10)}`;
+    const snippet = highlight(text, new Set(['audit']), 80);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('**Audit** records are retained.');
+    expect(snippet.length).toBeLessThanOrEqual(90);
+  });
+});
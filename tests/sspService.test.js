@@ -0,0 +1,209 @@
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The services read their content and data paths when they are first imported
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'ssp-data-'));
+process.env.OSCAL_CONTENT_PATH = fileURLToPath(new URL('./fixtures/oscal-content', import.meta.url));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'critical';
+const { sspService } = await import('../src/services/sspService.js');
+
+beforeAll(async () => {
+  await sspService.initialize();
+});
+
+afterAll(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('SSP IDs', () => {
+  it('rejects IDs that could name files outside the SSP directory', async () => {
+    await writeFile(path.join(dataDir, 'outside.json'), JSON.stringify({ id: 'outside' }));
+    await expect(sspService.getSSP('../outside')).rejects.toThrow('Invalid SSP ID: ../outside');
+    await expect(sspService.createSSP('Outside', 'Escapes', 'LOW', '../escaped', 'low')).rejects.toThrow('Invalid SSP ID: ../escaped');
+    await expect(sspService.addControlImplementation('.hidden', 'AC-1', 'IMPLEMENTED', 'Policy is published.')).rejects.toThrow('Invalid SSP ID: .hidden');
+    expect(await readdir(dataDir)).toEqual(['outside.json', 'ssp']);
+  });
+  
+  it('rejects migrations to an invalid ID', async () => {
+    await sspService.createSSP('Source', 'Migrated nowhere', 'LOW', 'source', 'low');
+    await expect(sspService.migrateSSP('source', { toCatalog: 'rev4', targetSspId: 'sub/dir' })).rejects.toThrow('Invalid SSP ID: sub/dir');
+  });
+});
+
+describe('createSSP', () => {
+  it('takes the impact level of a profile whose level is not Low, Moderate or High', async () => {
+    const ssp = await sspService.createSSP('Impact Level 4', 'A DoD system', undefined, 'il4-system', 'il4');
+    expect(ssp.systemCharacteristics).toEqual(expect.objectContaining({ securityImpactLevel: 'IL4', profileId: 'il4', profileType: 'dod' }));
+    expect(ssp.controlImplementations.map(impl => impl.controlId)).toEqual(['AC-1', 'AC-2']);
+    expect((await sspService.validateSSP('il4-system')).profileId).toBe('il4');
+    
+    const categorized = await sspService.createSSP('Categorized', 'A DoD system', 'MODERATE', 'il4-moderate', 'il4');
+    expect(categorized.systemCharacteristics).toEqual(expect.objectContaining({ securityImpactLevel: 'MODERATE', profileId: 'il4' }));
+  });
+  
+  it('needs a security level without a profile', async () => {
+    await expect(sspService.createSSP('No Level', 'Unknown', undefined, 'no-level')).rejects.toThrow('securityLevel is required');
+    await expect(sspService.createSSP('Bad Level', 'Unknown', 'IL4', 'bad-level')).rejects.toThrow('Invalid security level: IL4');
+  });
+});
+
+describe('withdrawn controls', () => {
+  beforeAll(async () => {
+    await sspService.createSSP('Withdrawn', 'Implements a withdrawn control', 'LOW', 'withdrawn', 'low');
+  });
+  
+  it('refuses implementations of withdrawn controls, naming their successors', async () => {
+    await expect(sspService.addControlImplementation('withdrawn', 'AC-2(10)', 'IMPLEMENTED', 'Shared credentials are changed.'))
+      .rejects.toThrow('Control AC-2(10) is withdrawn (incorporated into AC-2); implement its successors instead');
+  });
+  
+  it('records them anyway when allowed, with a warning', async () => {
+    const implementation = await sspService.addControlImplementation('withdrawn', 'AC-2(10)', 'IMPLEMENTED', 'Shared credentials are changed.', [], undefined, true);
+    expect(implementation.warnings).toEqual(['Control AC-2(10) is withdrawn (incorporated into AC-2)']);
+    expect(implementation.successors.map(successor => successor.id)).toEqual(['AC-2']);
+    
+    const validation = await sspService.validateSSP('withdrawn');
+    expect(validation.valid).toBe(false);
+    expect(validation.withdrawnControls).toEqual([expect.objectContaining({
+      controlId: 'AC-2(10)',
+      successors: [expect.objectContaining({ id: 'AC-2', inSsp: true })]
+    })]);
+  });
+});
+
+describe('cancellation', () => {
+  const cancelled = () => {
+    const controller = new AbortController();
+    controller.abort();
+    return { signal: controller.signal };
+  };
+  
+  it('saves nothing when an operation is cancelled before it writes the SSP', async () => {
+    await expect(sspService.createSSP('Cancelled', 'Never saved', 'LOW', 'cancelled', 'low', cancelled())).rejects.toThrow('Operation cancelled');
+    await expect(sspService.getSSP('cancelled')).rejects.toThrow();
+    
+    await sspService.createSSP('Kept', 'Saved', 'LOW', 'kept', 'low');
+    await expect(sspService.addControlImplementation('kept', 'AC-1', 'IMPLEMENTED', 'Policy is published.', [], undefined, false, undefined, cancelled()))
+      .rejects.toThrow('Operation cancelled');
+    const implementation = await sspService.getControlImplementation('kept', 'AC-1');
+    expect(implementation.status).toBe('PLANNED');
+    
+    const files = await readdir(path.join(dataDir, 'ssp'));
+    expect(files).not.toContain('cancelled.json');
+  });
+});
+
+describe('migrateSSP', () => {
+  beforeAll(async () => {
+    await sspService.createSSP('Migrated', 'Moves to Revision 4', 'LOW', 'migrated', 'low');
+    await sspService.addControlImplementation('migrated', 'AC-1', 'IMPLEMENTED', 'Policy is published.', [], { 'ac-01_odp.03': 'annually' });
+  });
+  
+  it('maps the implementations onto the target catalog without saving a dry run', async () => {
+    const result = await sspService.migrateSSP('migrated', { toCatalog: 'rev4', dryRun: true });
+    expect(result).toEqual(expect.objectContaining({ sspId: 'migrated', targetSspId: 'migrated-rev4', from: 'rev5', to: 'rev4', profileId: 'rev4_low', dryRun: true }));
+    expect(result.mappings).toEqual([
+      { controlId: 'AC-1', type: 'retitled', targets: ['AC-1'] },
+      { controlId: 'AC-2', type: 'unchanged', targets: ['AC-2'] },
+      { controlId: 'AU-2', type: 'retitled', targets: ['AU-2'] }
+    ]);
+    expect(result.review).toEqual([{
+      controlId: 'AC-1',
+      type: 'retitled',
+      targets: ['AC-1'],
+      reasons: ['Parameter values were not carried over: ac-01_odp.03']
+    }]);
+    await expect(sspService.getSSP('migrated-rev4')).rejects.toThrow();
+  });
+  
+  it('takes the profile that selects from the target catalog and records the old one', async () => {
+    await sspService.migrateSSP('migrated', { toCatalog: 'rev4' });
+    const ssp = await sspService.getSSP('migrated-rev4');
+    expect(ssp.systemCharacteristics).toEqual(expect.objectContaining({
+      catalog: 'rev4',
+      profileId: 'rev4_low',
+      profileType: 'baseline',
+      migratedFrom: { sspId: 'migrated', catalog: 'rev5', profileId: 'low', profileType: 'baseline' }
+    }));
+    const implementation = ssp.controlImplementations.find(impl => impl.controlId === 'AC-1');
+    expect(implementation).toEqual(expect.objectContaining({ status: 'IMPLEMENTED', migratedFrom: ['AC-1'] }));
+    expect(ssp.controlImplementations.find(impl => impl.controlId === 'AC-2')).toEqual(expect.objectContaining({ placeholder: true, migratedFrom: ['AC-2'] }));
+    expect(implementation.parameters).toBeUndefined();
+    
+    await expect(sspService.migrateSSP('migrated', { toCatalog: 'rev4' })).rejects.toThrow('SSP migrated-rev4 already exists');
+  });
+  
+  it('leaves the profile unset when no profile for the target catalog matches', async () => {
+    await sspService.createSSP('Moderate', 'No Revision 4 MODERATE profile', 'MODERATE', 'moderate', 'moderate');
+    const result = await sspService.migrateSSP('moderate', { toCatalog: 'rev4' });
+    expect(result.profileId).toBeNull();
+    
+    const ssp = await sspService.getSSP('moderate-rev4');
+    expect(ssp.systemCharacteristics.profileId).toBeUndefined();
+    await expect(sspService.validateSSP('moderate-rev4'))
+      .rejects.toThrow('SSP moderate-rev4 has no profile: it was migrated to catalog rev4, which no MODERATE profile selects from');
+  });
+  
+  it('saves nothing when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(sspService.migrateSSP('migrated', { toCatalog: 'rev4', targetSspId: 'migrated-cancelled' }, { signal: controller.signal }))
+      .rejects.toThrow('Operation cancelled');
+    await expect(sspService.getSSP('migrated-cancelled')).rejects.toThrow();
+  });
+});
+
+describe('response points', () => {
+  beforeAll(async () => {
+    await sspService.createSSP('Responses', 'Responds to FedRAMP response points', 'LOW', 'responses', 'fedramp_low');
+  });
+  
+  it('does not count the description createSSP gives a control as a response', async () => {
+    const assessment = await sspService.getAssessmentObjectives('responses', 'AC-10');
+    expect(assessment.responsePoints).toEqual([expect.objectContaining({ partId: 'ac-10_smt', hasNarrative: false })]);
+    
+    const validation = await sspService.validateSSP('responses');
+    expect(validation.missingResponses).toEqual([
+      { controlId: 'AC-1', status: 'PLANNED', responsePoints: 2, missing: ['ac-1_smt.b', 'ac-1_obj.a'] },
+      { controlId: 'AC-10', status: 'PLANNED', responsePoints: 1, missing: ['ac-10_smt'] }
+    ]);
+  });
+  
+  it('counts a description of its own for a response point on the whole control', async () => {
+    const ssp = await sspService.getSSP('responses');
+    expect(ssp.controlImplementations.find(impl => impl.controlId === 'AC-10')).toEqual(expect.objectContaining({ placeholder: true }));
+    
+    // Written through addControlImplementation, even the placeholder's wording is a response
+    const implementation = await sspService.addControlImplementation('responses', 'AC-10', 'PLANNED', 'Implementation of AC-10 is planned.');
+    expect(implementation.placeholder).toBeUndefined();
+    expect((await sspService.getAssessmentObjectives('responses', 'AC-10')).responsePoints)
+      .toEqual([expect.objectContaining({ partId: 'ac-10_smt', hasNarrative: true })]);
+    
+    await sspService.addControlImplementation('responses', 'AC-10', 'IMPLEMENTED', 'Sessions are limited by the identity provider.');
+    const assessment = await sspService.getAssessmentObjectives('responses', 'AC-10');
+    expect(assessment.responsePoints).toEqual([expect.objectContaining({
+      partId: 'ac-10_smt',
+      hasNarrative: true,
+      narrative: 'Sessions are limited by the identity provider.'
+    })]);
+  });
+  
+  it('needs a narrative for each response point on a part of the control', async () => {
+    await sspService.addControlImplementation('responses', 'AC-1', 'IMPLEMENTED', 'Policy is published.', [], undefined, false, {
+      'ac-1_smt.b': 'The policy is reviewed every year.'
+    });
+    const assessment = await sspService.getAssessmentObjectives('responses', 'AC-1');
+    expect(assessment.responsePoints.map(({ partId, hasNarrative }) => ({ partId, hasNarrative }))).toEqual([
+      { partId: 'ac-1_smt.b', hasNarrative: true },
+      { partId: 'ac-1_obj.a', hasNarrative: false }
+    ]);
+    
+    const validation = await sspService.validateSSP('responses');
+    expect(validation.missingResponses).toEqual([
+      { controlId: 'AC-1', status: 'IMPLEMENTED', responsePoints: 2, missing: ['ac-1_obj.a'] }
+    ]);
+  });
+});
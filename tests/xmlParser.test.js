@@ -0,0 +1,49 @@
+import { decodeEntities, parseXml } from '../src/utils/xmlParser.js';
+
+describe('decodeEntities', () => {
+  it('replaces predefined and numeric character references', () => {
+    expect(decodeEntities('a &lt; b &amp;&amp; c &gt; d &quot;&apos; &#233; &#x2014;')).toBe('a < b && c > d "\' é —');
+  });
+  
+  it('rejects entities a DTD would have to declare', () => {
+    expect(() => decodeEntities('&nbsp;')).toThrow('Undefined entity &nbsp;');
+  });
+});
+
+describe('parseXml', () => {
+  it('reads elements, attributes and text in document order', () => {
+    const root = parseXml(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE catalog [ <!ENTITY x "y"> ]>
+<!-- a comment -->
+<catalog xmlns="http://csrc.nist.gov/ns/oscal/1.0" uuid='u-1'>
+  <p>Use <em>only</em> <![CDATA[<raw> & text]]> here.</p><br/>
+</catalog>`);
+    expect(root).toEqual({
+      name: 'catalog',
+      attributes: { xmlns: 'http://csrc.nist.gov/ns/oscal/1.0', uuid: 'u-1' },
+      children: [
+        '\n  ',
+        {
+          name: 'p',
+          attributes: {},
+          children: ['Use ', { name: 'em', attributes: {}, children: ['only'] }, ' <raw> & text here.']
+        },
+        { name: 'br', attributes: {}, children: [] },
+        '\n'
+      ]
+    });
+  });
+  
+  it('normalizes whitespace in attribute values', () => {
+    expect(parseXml('<a title="one\ntwo&#10;three"/>').attributes.title).toBe('one two\nthree');
+  });
+  
+  it('reports malformed documents with the line they fail on', () => {
+    expect(() => parseXml('<a>\n<b></a>')).toThrow('Invalid XML: unexpected end tag </a> at line 2');
+    expect(() => parseXml('<a><b/>')).toThrow('Invalid XML: unclosed element <a>');
+    expect(() => parseXml('<a/><b/>')).toThrow('Invalid XML: more than one root element');
+    expect(() => parseXml('text')).toThrow('Invalid XML: text outside the root element');
+    expect(() => parseXml('<!-- only a comment -->')).toThrow('Invalid XML: no root element');
+    expect(() => parseXml('<a><!-- open</a>')).toThrow('Invalid XML: unterminated comment');
+  });
+});